@@ -93,6 +93,8 @@ module.exports = function(grunt) {
           "<%= build_dir %>/workers/freesurferasc.intensity.worker.js": "src/brainbrowser/workers/freesurferasc.intensity.worker.js",
           "<%= build_dir %>/workers/deindex.worker.js": "src/brainbrowser/workers/deindex.worker.js",
           "<%= build_dir %>/workers/wireframe.worker.js": "src/brainbrowser/workers/wireframe.worker.js",
+          "<%= build_dir %>/workers/distance.worker.js": "src/brainbrowser/workers/distance.worker.js",
+          "<%= build_dir %>/workers/histogram.worker.js": "src/brainbrowser/workers/histogram.worker.js",
           "<%= build_dir %>/workers/gifti.worker.js": "src/brainbrowser/workers/gifti.worker.js",
           "<%= build_dir %>/workers/gifti-reader.js": "src/brainbrowser/workers/gifti-reader.js"
 
@@ -126,7 +128,8 @@ module.exports = function(grunt) {
             alert: true,
             console: true,
             pako: true,
-            TextDecoder: true
+            TextDecoder: true,
+            AbortController: true
           }
         },
         src: [
@@ -0,0 +1,267 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+(function() {
+  "use strict";
+
+  // Default catalogue of depth electrodes. Lengths are in mm, and
+  // spacing is the length of insulation between two contacts.
+  [5, 8, 10, 12, 15, 18].forEach(function(count) {
+    var id = count < 10 ? "0" + count : "" + count;
+
+    BrainBrowser.config.set("electrode_models.dixi_d08_" + id + "am", {
+      name: "DIXI Microdeep D08-" + id + "AM",
+      contact_count: count,
+      contact_length: 2,
+      spacing: 1.5,
+      diameter: 0.8
+    });
+  });
+
+  [8, 10, 12, 14, 16].forEach(function(count) {
+    BrainBrowser.config.set("electrode_models.pmt_2102_" + count, {
+      name: "PMT Depthalon 2102-" + count + "-091",
+      contact_count: count,
+      contact_length: 2,
+      spacing: 1.5,
+      diameter: 0.8
+    });
+  });
+
+  [6, 8, 10].forEach(function(count) {
+    var id = count < 10 ? "0" + count : "" + count;
+
+    BrainBrowser.config.set("electrode_models.adtech_sd" + id + "r_sp05x", {
+      name: "Ad-Tech SD" + id + "R-SP05X",
+      contact_count: count,
+      contact_length: 2.41,
+      spacing: 2.59,
+      diameter: 1.12
+    });
+  });
+
+  /**
+  * @doc function
+  * @name BrainBrowser.static methods:createElectrode
+  * @param {object} options Description of the electrode:
+  *
+  * * **model** The electrode model, either the id of a model of the
+  *     **electrode\_models** configuration parameter, or an object with the
+  *     same properties as a model.
+  * * **entry** The world coordinates of the entry point of the electrode,
+  *     as an object with **x**, **y** and **z** properties or an array.
+  * * **target** The world coordinates of the target point.
+  * * **target\_offset** (optional) How far the tip of the electrode goes
+  *     beyond the target, in mm. Negative offsets stop the electrode before
+  *     the target (default: the model's, or 0).
+  * * **contact\_count**, **contact\_length**, **spacing** and **diameter**
+  *     (optional) Override the values of the model.
+  *
+  * @returns {object} Electrode object.
+  *
+  * @description
+  * Factory function to produce a model of a depth electrode placed along a
+  * trajectory. Its **contacts** are numbered from the tip of the electrode,
+  * and each has the world coordinates of its **start** (closest to the
+  * entry point), **center** and **end**.
+  *
+  * Electrode models describe their **contact\_count**, the **contact\_length**,
+  * the **spacing** of insulation between contacts and the **diameter** of the
+  * electrode, in mm, along with their **name** and optional **target\_offset**.
+  * A catalogue of common models is available in the **electrode\_models**
+  * configuration parameter, to which other models can be added:
+  * ```js
+  * BrainBrowser.config.set("electrode_models.custom_6", {
+  *   name: "Custom 6 contacts",
+  *   contact_count: 6,
+  *   contact_length: 2,
+  *   spacing: 3,
+  *   diameter: 0.8
+  * });
+  *
+  * var electrode = BrainBrowser.createElectrode({
+  *   model: "dixi_d08_10am",
+  *   entry: { x: -42, y: 10, z: 35 },
+  *   target: { x: -20, y: 2, z: 5 }
+  * });
+  * ```
+  */
+  BrainBrowser.createElectrode = function(options) {
+    options = options || {};
+
+    var model = options.model;
+    var error_message;
+
+    if (typeof model === "string") {
+      model = BrainBrowser.config.get("electrode_models." + model);
+    }
+
+    if (!model) {
+      error_message = "Unknown electrode model: " + options.model;
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    /**
+    * @doc object
+    * @name electrode
+    *
+    * @description
+    * Object representing a depth electrode placed along a trajectory.
+    */
+    var electrode = {
+      model: model,
+      name: model.name,
+      contact_count: getValue("contact_count", 1),
+      contact_length: getValue("contact_length", 2),
+      spacing: getValue("spacing", 0),
+      diameter: getValue("diameter", 0.8),
+      target_offset: getValue("target_offset", 0),
+      entry: null,
+      target: null,
+      direction: null,
+      tip: null,
+      contacts: [],
+
+      /**
+      * @doc function
+      * @name electrode.electrode:setTrajectory
+      * @param {object} entry The world coordinates of the new entry point.
+      * @param {object} target The world coordinates of the new target point.
+      *
+      * @description
+      * Move the electrode to a new trajectory, updating its contacts.
+      * ```js
+      * electrode.setTrajectory([-40, 12, 30], [-20, 2, 5]);
+      * ```
+      */
+      setTrajectory: function(entry, target) {
+        var length, direction, offset, i;
+
+        entry = toPoint(entry);
+        target = toPoint(target);
+        direction = {
+          x: target.x - entry.x,
+          y: target.y - entry.y,
+          z: target.z - entry.z
+        };
+        length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+
+        if (length === 0 || isNaN(length)) {
+          error_message = "An electrode needs distinct entry and target points.";
+          BrainBrowser.events.triggerEvent("error", { message: error_message });
+          throw new Error(error_message);
+        }
+
+        electrode.entry = entry;
+        electrode.target = target;
+        electrode.direction = {
+          x: direction.x / length,
+          y: direction.y / length,
+          z: direction.z / length
+        };
+        electrode.tip = {
+          x: target.x + electrode.direction.x * electrode.target_offset,
+          y: target.y + electrode.direction.y * electrode.target_offset,
+          z: target.z + electrode.direction.z * electrode.target_offset
+        };
+        electrode.contacts = [];
+
+        for (i = 0; i < electrode.contact_count; i++) {
+          offset = i * (electrode.contact_length + electrode.spacing);
+
+          electrode.contacts.push({
+            index: i + 1,
+            start: electrode.pointAt(offset + electrode.contact_length),
+            center: electrode.pointAt(offset + electrode.contact_length / 2),
+            end: electrode.pointAt(offset)
+          });
+        }
+      },
+
+      /**
+      * @doc function
+      * @name electrode.electrode:pointAt
+      * @param {number} distance The distance from the tip of the electrode, in
+      *   mm, towards the entry point.
+      *
+      * @returns {object} The world coordinates of the point.
+      *
+      * @description
+      * Get a point along the electrode.
+      * ```js
+      * electrode.pointAt(10);
+      * ```
+      */
+      pointAt: function(distance) {
+        var tip = electrode.tip;
+        var direction = electrode.direction;
+
+        return {
+          x: tip.x - direction.x * distance,
+          y: tip.y - direction.y * distance,
+          z: tip.z - direction.z * distance
+        };
+      },
+
+      /**
+      * @doc function
+      * @name electrode.electrode:getLength
+      *
+      * @returns {number} The length of the electrode's contact array, in mm.
+      *
+      * @description
+      * Get the distance between the tip of the electrode and the far end of
+      * its last contact.
+      * ```js
+      * electrode.getLength();
+      * ```
+      */
+      getLength: function() {
+        return electrode.contact_count * electrode.contact_length +
+          Math.max(0, electrode.contact_count - 1) * electrode.spacing;
+      }
+    };
+
+    electrode.setTrajectory(options.entry, options.target);
+
+    return electrode;
+
+    function getValue(name, default_value) {
+      if (options[name] !== undefined) {
+        return options[name];
+      }
+
+      return model[name] !== undefined ? model[name] : default_value;
+    }
+  };
+
+  // Points can be given as objects or [x, y, z] arrays.
+  function toPoint(point) {
+    if (Array.isArray(point)) {
+      return { x: +point[0], y: +point[1], z: +point[2] };
+    }
+
+    return point ? { x: +point.x, y: +point.y, z: +point.z } : { x: NaN, y: NaN, z: NaN };
+  }
+
+})();
@@ -30,18 +30,23 @@
   if (typeof require == 'function') {
     window.pako = require('./pako');
   }
+
+  // Compressed bytes inflated between yields to the browser.
+  var INFLATE_CHUNK_SIZE = 1024 * 1024;
   var loader = BrainBrowser.loader = {
 
+    // Requests in flight, so they can all be aborted at once. Requests are
+    // removed once they complete.
     cacheSurfaceXHRs: [],
     abortCacheSurfaceXHRs: () => {
-      loader.cacheSurfaceXHRs.forEach(xhr => {
+      loader.cacheSurfaceXHRs.slice().forEach(xhr => {
         xhr && xhr.abort && xhr.abort();
       })
     },
 
     cacheVolumeXHRs: [],
     abortCacheVolumeXHRs: () => {
-      loader.cacheVolumeXHRs.forEach(xhr => {
+      loader.cacheVolumeXHRs.slice().forEach(xhr => {
         xhr && xhr.abort && xhr.abort();
       })
     },
@@ -57,12 +62,30 @@
     * * The name of the file requested.
     * * Any options that were passed to loadFromURL
     *
-    * @param {object} options The only option used by this method is **result_type**, 
-    *   which can be set to **text** or **arraybuffer** (default is **text**). Other
-    *   options are passed on to the **callback** function.
+    * @param {object} options Options used by this method:
+    *
+    * * **result_type** Can be set to **text** or **arraybuffer** (default is **text**).
+    * * **inflate** Set to **false** to receive compressed data as is, rather than
+    *   trying to inflate it (default is **true**).
+    * * **progress_info** Object whose properties are added to each **loadprogress**
+    *   event triggered for this request.
+    * * **onerror** Function to call, with an error created by **createLoadError()**,
+    *   if loading fails or the **callback** throws. If it isn't given, loading
+    *   errors are thrown and errors thrown by the **callback** are ignored.
+    * * **signal** An **AbortSignal** that cancels the request.
+    *
+    *   Other options are passed on to the **callback** function.
+    *
+    * @returns {object} A handle whose **cancel()** method cancels the request.
     * 
     * @description
-    * Fetch data from a URL and pass the results to a callback.
+    * Fetch data from a URL and pass the results to a callback. While loading,
+    * **loadprogress** events are triggered on **BrainBrowser.events** with the
+    * properties **url**, **filename**, **phase** (**download**, **inflate** or **parse**),
+    * **loaded** and **total** (in bytes, 0 if unknown).
+    *
+    * If the request is cancelled before the **callback** is called, a **loadcancelled**
+    * event is triggered instead (see **reportCancel()**).
     * ```js
     * BrainBrowser.loader.loadFromURL(url, function(data) {
     *   // Parse the data.
@@ -71,16 +94,10 @@
     */
     loadFromURL: function(url, callback, options) {
       options = options || {};
-      var result;
+      var controller = loader.createAbortController(options.signal);
       var request = new XMLHttpRequest();
-      
-      if (options.isVolume) {
-        loader.cacheVolumeXHRs.push(request);
-      }
-      
-      if (options.isSurface) {
-        loader.cacheSurfaceXHRs.push(request);
-      }
+
+      options = { ...options, signal: controller.signal };
 
       var result_type = options.result_type;
       var content_type = options.content_type;
@@ -88,6 +105,29 @@
       var parts = url.split("/");
       var parts2 = parts[parts.length-1].split("?");
       var filename = parts2[0];
+      var progress_info = { ...options.progress_info, url: url, filename: filename };
+
+      if (controller.signal.aborted) {
+        loader.reportCancel({ ...progress_info, phase: "download" }, options);
+        return handle(controller);
+      }
+
+      function abortRequest() {
+        request.abort();
+      }
+
+      trackRequest(request, options);
+      controller.signal.addEventListener("abort", abortRequest);
+
+      request.onloadend = function() {
+        untrackRequest(request);
+        controller.signal.removeEventListener("abort", abortRequest);
+      };
+
+      request.onabort = function() {
+        loader.reportCancel({ ...progress_info, phase: "download" }, options);
+      };
+
       request.open("GET", url);
 
       // const cacheTime = 60 * 60 * 30;
@@ -97,32 +137,34 @@
         request.responseType = "arraybuffer";
       }
 
+      request.onprogress = function(event) {
+        triggerProgress(progress_info, "download", event.loaded, event.lengthComputable ? event.total : 0);
+      };
+
       request.onreadystatechange = function() {
         if (request.readyState === 4){
           status = request.status;
 
           // Based on jQuery's "success" codes.
           if (status >= 200 && status < 300 || status === 304) {
-            if (!loader.checkCancel(options)) {
-              result = request.response;
-              try {
-                /* See if the data can be inflated.
-                */
-                var unzipped = window.pako.inflate(result);
-                result = unzipped.buffer;
-                if (content_type === "text") {
+            if (loader.checkCancel(options)) {
+              loader.reportCancel({ ...progress_info, phase: "parse" }, options);
+            } else {
+              inflateResult(request.response, progress_info, options, function(result, inflated) {
+                if (inflated && content_type === "text") {
                   var dv = new DataView(result);
                   var decoder = new TextDecoder();
                   result = decoder.decode(dv);
                 }
-              } catch (e) {
-                /* pako probably didn't recognize this as gzip.
-                */
-              } finally {
+
                 try {
                   callback(result, filename, options);
-                } catch (e) {}
-              }
+                } catch (e) {
+                  if (BrainBrowser.utils.isFunction(options.onerror)) {
+                    options.onerror(loader.createLoadError(e, { ...progress_info, phase: "parse" }));
+                  }
+                }
+              });
             }
           } else {
             if (request.status !== 0) {
@@ -131,21 +173,27 @@
                 "HTTP Status: " + request.statusText + "\n" +
                 "Response was: \n" + request.response;
 
-              BrainBrowser.events.triggerEvent("error", { message: error_message });
-              throw new Error(error_message);
+              loadFailed(error_message, { ...progress_info, status: request.status, phase: "download" }, options);
             }
           }
         }
       };
+
+      // Network errors (e.g. CORS failures) complete with status 0.
+      request.onerror = function() {
+        loadFailed("error loading URL: " + url + "\nNetwork error.", { ...progress_info, status: 0, phase: "download" }, options);
+      };
       
       request.send();
 
+      return handle(controller);
     },
     
     /**
     * @doc function
     * @name BrainBrowser.loader:loadFromFile
-    * @param {DOMElement}  file_input File input DOM object.
+    * @param {DOMElement|File}  file_input File input DOM object, or a File (or Blob)
+    *   object to be read directly.
     * @param {function} callback Function to call if the request is successful. The
     *   callback will receive the following information as arguments:
     *
@@ -153,12 +201,25 @@
     * * The name of the file.
     * * Any options that were passed to loadFromFile
     *
-    * @param {object} options The only option used by this method is **result_type**, 
-    *   which can be set to **text** or **arraybuffer** (default is **text**). Other
-    *   options are passed on to the **callback** function.
+    * @param {object} options Options used by this method:
+    *
+    * * **result_type** Can be set to **text** or **arraybuffer** (default is **text**).
+    * * **inflate** Set to **false** to receive compressed data as is, rather than
+    *   trying to inflate it (default is **true**).
+    * * **progress_info** Object whose properties are added to each **loadprogress**
+    *   event triggered for this request.
+    * * **onerror** Function to call, with an error created by **createLoadError()**,
+    *   if loading fails or the **callback** throws. If it isn't given, loading
+    *   errors are thrown and errors thrown by the **callback** are ignored.
+    *
+    *   Other options are passed on to the **callback** function.
     * 
+    * @returns {object} A handle whose **cancel()** method cancels the request.
+    *
     * @description
-    * Fetch data from a local file and pass the results to a callback.
+    * Fetch data from a local file and pass the results to a callback. The
+    * **loadprogress** and **loadcancelled** events triggered are the same as for
+    * **loadFromURL**, without the **url** property.
     * ```js
     * BrainBrowser.loader.loadFromFile(file_input, function(data) {
     *   // Parse the data.
@@ -166,31 +227,63 @@
     * ```
     */
     loadFromFile: function(file_input, callback, options) {
-      var files = file_input.files;
+      var files = file_input.files || [file_input];
       
       if (files.length === 0) {
         return;
       }
 
       options = options || {};
+      var controller = loader.createAbortController(options.signal);
       var result_type = options.result_type;
 
+      options = { ...options, signal: controller.signal };
+
       var reader = new FileReader();
-      var parts = file_input.value.split("\\");
+      var parts = (file_input.value || files[0].name || "").split("\\");
       var filename = parts[parts.length-1];
+      var progress_info = { ...options.progress_info, filename: filename };
+
+      if (controller.signal.aborted) {
+        loader.reportCancel({ ...progress_info, phase: "download" }, options);
+        return handle(controller);
+      }
+
+      function abortRead() {
+        reader.abort();
+      }
+
+      controller.signal.addEventListener("abort", abortRead);
+
+      reader.onabort = function() {
+        loader.reportCancel({ ...progress_info, phase: "download" }, options);
+      };
 
       reader.file = files[0];
-      reader.onloadend = function(event) {
-        var result = event.target.result;
+      reader.onprogress = function(event) {
+        triggerProgress(progress_info, "download", event.loaded, event.lengthComputable ? event.total : 0);
+      };
+
+      // Errors thrown by the callback go to options.onerror, if given.
+      function done(result) {
         try {
-          /* See if the data can be inflated.
-           */
-          var unzipped = window.pako.inflate(result);
-          result = unzipped.buffer;
-        } catch(e) {
-          /* pako probably didn't recognize this as gzip.
-           */
-        } finally {
+          callback(result, filename, options);
+        } catch (e) {
+          if (!BrainBrowser.utils.isFunction(options.onerror)) {
+            throw e;
+          }
+          options.onerror(loader.createLoadError(e, { ...progress_info, phase: "parse" }));
+        }
+      }
+
+      reader.onloadend = function(event) {
+        controller.signal.removeEventListener("abort", abortRead);
+
+        if (reader.error) {
+          return;
+        }
+
+        inflateResult(event.target.result, progress_info, options, function(result) {
           /* At this point, we have a binary hunk of data that may
            * have been inflated.
            */
@@ -206,7 +299,7 @@
               var blob = new Blob([result]);
               var rdr2 = new FileReader();
               rdr2.onload = function(event) {
-                callback(event.target.result, filename, options);
+                done(event.target.result);
               };
               rdr2.readAsText(blob);
             }
@@ -217,26 +310,117 @@
               var dv = new DataView(result);
               var decoder = new TextDecoder();
               result = decoder.decode(dv);
-              callback(result, filename, options);
+              done(result);
             }
           }
           else {
             /* The caller requested an arraybuffer, so we just pass it
              * back now.
              */
-            callback(result, filename, options);
+            done(result);
           }
-        }
+        });
       };
 
       reader.onerror = function() {
         var error_message = "error reading file: " + filename;
 
-        BrainBrowser.events.triggerEvent("error", { message: error_message });
-        throw new Error(error_message);
+        loadFailed(error_message, { ...progress_info, phase: "download" }, options);
       };
       
       reader.readAsArrayBuffer(files[0]);
+
+      return handle(controller);
+    },
+
+    /**
+    * @doc function
+    * @name BrainBrowser.loader:inflate
+    * @param {ArrayBuffer} data Data that may have been compressed with gzip or zlib.
+    * @param {function} callback Function to call once inflation is complete. The
+    *   callback will receive the following information as arguments:
+    *
+    * * The inflated data, or the original data if it wasn't compressed.
+    * * Whether the data was inflated.
+    *
+    * @param {object} options Options used by this method:
+    *
+    * * **progress_info** Object whose properties are added to each **loadprogress**
+    *   event triggered while inflating.
+    * * **onerror** Function to call, with an error created by **createLoadError()**,
+    *   if the **callback** throws or inflation is cancelled.
+    * * **signal** An **AbortSignal** that stops inflation between chunks.
+    *
+    * @description
+    * Inflate data a chunk at a time, letting the browser handle other work
+    * between chunks. A **loadprogress** event with **phase** set to **inflate**
+    * is triggered after each chunk.
+    * ```js
+    * BrainBrowser.loader.inflate(data, function(result, inflated) {
+    *   // Parse the data.
+    * });
+    * ```
+    */
+    inflate: function(data, callback, options) {
+      options = options || {};
+
+      if (Object.prototype.toString.call(data) !== "[object ArrayBuffer]") {
+        callback(data, false);
+        return;
+      }
+
+      var progress_info = options.progress_info || {};
+      var bytes = new Uint8Array(data);
+      var inflator = new window.pako.Inflate();
+      var offset = 0;
+
+      function done(result, inflated) {
+        try {
+          callback(result, inflated);
+        } catch (e) {
+          if (!BrainBrowser.utils.isFunction(options.onerror)) {
+            throw e;
+          }
+          options.onerror(loader.createLoadError(e, { ...progress_info, phase: "parse" }));
+        }
+      }
+
+      function inflateChunk() {
+        var end = Math.min(offset + INFLATE_CHUNK_SIZE, bytes.length);
+        var result;
+
+        if (options.signal && options.signal.aborted) {
+          loader.reportCancel({ ...progress_info, phase: "inflate" }, options);
+          return;
+        }
+
+        inflator.push(bytes.subarray(offset, end), end === bytes.length);
+        offset = end;
+
+        if (inflator.err) {
+          /* pako probably didn't recognize this as gzip.
+           */
+          done(data, false);
+          return;
+        }
+
+        triggerProgress(progress_info, "inflate", offset, bytes.length);
+
+        if (inflator.ended) {
+          result = inflator.result;
+
+          // pako may return a view of a larger buffer.
+          if (result.byteLength !== result.buffer.byteLength) {
+            result = result.slice();
+          }
+
+          done(result.buffer, true);
+        } else {
+          setTimeout(inflateChunk, 0);
+        }
+      }
+
+      inflateChunk();
     },
 
     /**
@@ -251,6 +435,10 @@
     * * Any options that were passed to loadColorMapFromURL
     *
     * @param {object} options Any options are passed on to the **callback** function.
+    *   If **onerror** is given, it is called with the error the Promise rejects with.
+    *
+    * @returns {Promise} Resolves with the color map object, or rejects with an
+    *   error created by **createLoadError()**.
     * 
     * @description
     * Wrapper for loadFromURL that parses the received data into a color map object.
@@ -258,12 +446,25 @@
     * BrainBrowser.loader.loadColorMapFromURL(url, function(color_map) {
     *   // Manipulate color map object.
     * });
+    *
+    * BrainBrowser.loader.loadColorMapFromURL(url).then(function(color_map) {
+    *   // Manipulate color map object.
+    * });
     * ```
     */
     loadColorMapFromURL: function(url, callback, options) {
-      loader.loadFromURL(url, function(data, filename, options) {
-        callback(BrainBrowser.createColorMap(data, options), filename, options);
-      }, options);
+      var promise = new Promise(function(resolve, reject) {
+        loader.loadFromURL(url, function(data, filename, options) {
+          var color_map = BrainBrowser.createColorMap(data, options);
+
+          if (BrainBrowser.utils.isFunction(callback)) {
+            callback(color_map, filename, options);
+          }
+          resolve(color_map);
+        }, { ...options, onerror: reject });
+      });
+
+      return handleErrors(promise, options);
     },
 
 
@@ -279,6 +480,10 @@
     * * Any options that were passed to loadColorMapFromFile
     *
     * @param {object} options Any options are passed on to the **callback** function.
+    *   If **onerror** is given, it is called with the error the Promise rejects with.
+    *
+    * @returns {Promise} Resolves with the color map object, or rejects with an
+    *   error created by **createLoadError()**.
     * 
     * @description
     * Wrapper for loadFromFile that parses the data into a color map object.
@@ -289,9 +494,123 @@
     * ```
     */
     loadColorMapFromFile: function(file_input, callback, options) {
-      loader.loadFromFile(file_input, function(data, filename, options) {
-        callback(BrainBrowser.createColorMap(data, options), filename, options);
-      }, options);
+      var promise = new Promise(function(resolve, reject) {
+        loader.loadFromFile(file_input, function(data, filename, options) {
+          var color_map = BrainBrowser.createColorMap(data, options);
+
+          if (BrainBrowser.utils.isFunction(callback)) {
+            callback(color_map, filename, options);
+          }
+          resolve(color_map);
+        }, { ...options, onerror: reject });
+      });
+
+      return handleErrors(promise, options);
+    },
+
+    /**
+    * @doc function
+    * @name BrainBrowser.loader:createLoadError
+    * @param {Error|string} error The error, or an error message.
+    * @param {object} info Information about the failed load:
+    *
+    * * **url** URL being loaded, if any.
+    * * **filename** Name of the file being loaded.
+    * * **status** HTTP status of the response, if any.
+    * * **phase** The phase that failed: **download**, **inflate**, **parse** or **display**.
+    * * **cancelled** Whether the load was cancelled rather than failing. Cancellation
+    *   errors are named **AbortError**.
+    *
+    * @returns {Error} The error, with **url**, **filename**, **status** and **phase**
+    *   properties. Properties already set on the error are kept.
+    *
+    * @description
+    * Create the error with which loading Promises are rejected.
+    * ```js
+    * viewer.loadVolume(description).catch(function(error) {
+    *   console.log(error.phase, error.url, error.status);
+    * });
+    * ```
+    */
+    createLoadError: function(error, info) {
+      info = info || {};
+
+      if (!(error instanceof Error)) {
+        error = new Error(error);
+      }
+
+      ["url", "filename", "status", "phase"].forEach(function(key) {
+        if (error[key] === undefined) {
+          error[key] = info[key] === undefined ? null : info[key];
+        }
+      });
+
+      if (info.cancelled) {
+        error.name = "AbortError";
+        error.cancelled = true;
+      } else if (error.cancelled === undefined) {
+        error.cancelled = false;
+      }
+
+      return error;
+    },
+
+    /**
+    * @doc function
+    * @name BrainBrowser.loader:createAbortController
+    * @param {AbortSignal} signal (Optional) Signal to follow.
+    *
+    * @returns {AbortController} A new controller, which will also be aborted when
+    *   **signal** is.
+    *
+    * @description
+    * Create the controller for a cancellable load, so that the load can be
+    * cancelled both through the caller's signal and through the load's own
+    * **cancel()** method.
+    * ```js
+    * var controller = BrainBrowser.loader.createAbortController(options.signal);
+    * ```
+    */
+    createAbortController: function(signal) {
+      var controller = new AbortController();
+
+      if (signal) {
+        if (signal.aborted) {
+          controller.abort();
+        } else {
+          signal.addEventListener("abort", function() {
+            controller.abort();
+          }, { once: true });
+        }
+      }
+
+      return controller;
+    },
+
+    /**
+    * @doc function
+    * @name BrainBrowser.loader:reportCancel
+    * @param {object} info Properties of the **loadcancelled** event, including the
+    *   **phase** that was cancelled (**download**, **inflate**, **parse** or **display**).
+    * @param {object} options (Optional) Options of the cancelled load. If they include
+    *   an **onerror** function, it receives an error created by **createLoadError()**
+    *   with **cancelled** set.
+    *
+    * @description
+    * Report that a load was cancelled by triggering a **loadcancelled** event on
+    * **BrainBrowser.events**. No **error** event is triggered.
+    * ```js
+    * BrainBrowser.loader.reportCancel({ url: url, phase: "display" }, { onerror: reject });
+    * ```
+    */
+    reportCancel: function(info, options) {
+      options = options || {};
+
+      BrainBrowser.events.triggerEvent("loadcancelled", { ...info });
+
+      if (BrainBrowser.utils.isFunction(options.onerror)) {
+        options.onerror(loader.createLoadError("Loading cancelled.", { ...info, cancelled: true }));
+      }
     },
  
 
@@ -344,4 +663,99 @@
 
   };
 
+  function handle(controller) {
+    return {
+      cancel: function() {
+        controller.abort();
+      }
+    };
+  }
+
+  function trackRequest(request, options) {
+    if (options.isVolume) {
+      loader.cacheVolumeXHRs.push(request);
+    }
+
+    if (options.isSurface) {
+      loader.cacheSurfaceXHRs.push(request);
+    }
+  }
+
+  function untrackRequest(request) {
+    [loader.cacheVolumeXHRs, loader.cacheSurfaceXHRs].forEach(function(requests) {
+      var index = requests.indexOf(request);
+
+      if (index !== -1) {
+        requests.splice(index, 1);
+      }
+    });
+  }
+
+  // Callers relying on callbacks may pass options.onerror instead of using
+  // the returned Promise, so its rejection is handled once onerror has it.
+  function handleErrors(promise, options) {
+    if (options && BrainBrowser.utils.isFunction(options.onerror)) {
+      promise.catch(options.onerror);
+    }
+
+    return promise;
+  }
+
+  // Report a failed load through the error event, then pass the error
+  // to options.onerror or, for callers without one, throw it.
+  function loadFailed(error_message, info, options) {
+    var error = loader.createLoadError(error_message, info);
+
+    BrainBrowser.events.triggerEvent("error", {
+      message: error_message,
+      url: error.url,
+      status: error.status,
+      phase: error.phase
+    });
+
+    if (!BrainBrowser.utils.isFunction(options.onerror)) {
+      throw error;
+    }
+    options.onerror(error);
+  }
+
+  function triggerProgress(progress_info, phase, loaded, total) {
+    BrainBrowser.events.triggerEvent("loadprogress", {
+      ...progress_info,
+      phase: phase,
+      loaded: loaded,
+      total: total
+    });
+  }
+
+  // Inflate the data unless the caller asked for it as is, then
+  // signal that parsing is about to start. The callback is deferred
+  // so that the browser can show the parse phase before the (usually
+  // synchronous) parsing blocks it.
+  function inflateResult(data, progress_info, options, callback) {
+    function parse(result, inflated) {
+      var size = result ? result.byteLength || result.length || 0 : 0;
+
+      triggerProgress(progress_info, "parse", size, size);
+      setTimeout(function() {
+        if (options.signal && options.signal.aborted) {
+          loader.reportCancel({ ...progress_info, phase: "parse" }, options);
+          return;
+        }
+
+        callback(result, inflated);
+      }, 0);
+    }
+
+    if (options.inflate === false) {
+      parse(data, false);
+    } else {
+      loader.inflate(data, parse, {
+        progress_info: progress_info,
+        signal: options.signal,
+        onerror: options.onerror
+      });
+    }
+  }
+
 })();
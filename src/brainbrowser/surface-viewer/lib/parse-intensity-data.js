@@ -33,6 +33,9 @@
 *   one of the **intensity_data_types** in **BrainBrowser.config**
 * @param {function} callback Callback to which the new intensity data object
 * will be passed when parsing is complete.
+* @param {function} onerror (optional) Function to call, with an error created by
+*   **BrainBrowser.loader.createLoadError()**, if parsing fails. If it isn't given,
+*   parsing errors are thrown.
 *
 * @description
 * Parse vertex intensity data from a string of text.
@@ -42,7 +45,7 @@
 * });
 * ```
 */
-BrainBrowser.SurfaceViewer.parseIntensityData = function(data, type, callback) {
+BrainBrowser.SurfaceViewer.parseIntensityData = function(data, type, callback, onerror) {
   "use strict";
 
   var worker_url_type = type + "_intensity";
@@ -58,12 +61,37 @@ BrainBrowser.SurfaceViewer.parseIntensityData = function(data, type, callback) {
   }
 
   var worker = new Worker(BrainBrowser.SurfaceViewer.worker_urls[worker_url_type]);
+
+  function parseFailed(message) {
+    error_message = "error parsing intensity data.\n" +
+      message + "\n" +
+      "File type: " + type;
+
+    BrainBrowser.events.triggerEvent("error", { message: error_message });
+    worker.terminate();
+
+    if (!BrainBrowser.utils.isFunction(onerror)) {
+      throw new Error(error_message);
+    }
+    onerror(BrainBrowser.loader.createLoadError(error_message, { phase: "parse" }));
+  }
   
   worker.addEventListener("message", function(e) {
+    if (e.data.error) {
+      parseFailed(e.data.error_message);
+      return;
+    }
+
     callback(e.data);
     worker.terminate();
   });
 
+  // Exceptions thrown while parsing in the worker.
+  worker.addEventListener("error", function(e) {
+    e.preventDefault();
+    parseFailed(e.message);
+  });
+
   var url = BrainBrowser.utils.getWorkerImportURL();
   worker.postMessage({ cmd: "parse", data: data, url: url });
 };
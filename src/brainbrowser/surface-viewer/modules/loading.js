@@ -190,12 +190,22 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   *   help with transparency).
   * * **parse** Parsing options to pass to the worker that will be used to parse the
   *   input file.
+  * * **signal** An **AbortSignal** that cancels loading, parsing and display of
+  *   the model.
+  * * **onerror** Function to call with the error the Promise rejects with, for
+  *   callers that don't use the Promise.
+  *
+  * @returns {Promise} Resolves with the model data once the model is displayed, or
+  *   rejects with an error created by **BrainBrowser.loader.createLoadError()**.
+  *   Its **cancel()** method cancels the load.
   *
   * @description
   * Load and parse a model from the specified URL.
   * ```js
   * viewer.loadModelFromURL(url, {
   *   format: "mniobj"
+  * }).then(function(model_data) {
+  *   // Manipulate model data.
   * });
   * ```
   */
@@ -205,10 +215,21 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
 
     // if (SurfaceViewer.canCached && cachedData) {
     options.cachedUrl = url;
-    loader.loadFromURL(url, (data, filename, options) => {
-      loadModel(data, filename, options);
-    }, { ...options, isSurface: true });
 
+    var controller = loader.createAbortController(options.signal);
+    var promise = new Promise(function(resolve, reject) {
+      loader.loadFromURL(url, (data, filename, options) => {
+        loadModel(data, filename, options).then(resolve, function(error) {
+          reject(loader.createLoadError(error, { url: url, filename: filename }));
+        });
+      }, { ...options, isSurface: true, onerror: reject, signal: controller.signal });
+    });
+
+    promise.cancel = function() {
+      controller.abort();
+    };
+
+    return handleErrors(promise, options.onerror);
   };
 
   /**
@@ -225,6 +246,14 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   *   help with transparency).
   * * **parse** Parsing options to pass to the worker that will be used to parse the
   *   input file.
+  * * **signal** An **AbortSignal** that cancels loading, parsing and display of
+  *   the model.
+  * * **onerror** Function to call with the error the Promise rejects with, for
+  *   callers that don't use the Promise.
+  *
+  * @returns {Promise} Resolves with the model data once the model is displayed, or
+  *   rejects with an error created by **BrainBrowser.loader.createLoadError()**.
+  *   Its **cancel()** method cancels the load.
   *
   * @description
   * Load and parse a model from a local file.
@@ -237,7 +266,20 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   viewer.loadModelFromFile = function(file_input, options) {
     options = checkBinary("model_types", options);
 
-    loader.loadFromFile(file_input, loadModel, options);
+    var controller = loader.createAbortController(options.signal);
+    var promise = new Promise(function(resolve, reject) {
+      loader.loadFromFile(file_input, (data, filename, options) => {
+        loadModel(data, filename, options).then(resolve, function(error) {
+          reject(loader.createLoadError(error, { filename: filename }));
+        });
+      }, { ...options, onerror: reject, signal: controller.signal });
+    });
+
+    promise.cancel = function() {
+      controller.abort();
+    };
+
+    return handleErrors(promise, options.onerror);
   };
 
   /**
@@ -255,6 +297,12 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   * * **name* Name to give the intensity data.
   * * **blend** Blend this data map with previously loaded data.
   * * **complete** Callback function to call when the color update is done.
+  * * **onerror** Function to call with the error the Promise rejects with, for
+  *   callers that don't use the Promise.
+  *
+  * @returns {Promise} Resolves with the intensity data, or with null if there is
+  *   no model to apply it to. Rejects with an error created by
+  *   **BrainBrowser.loader.createLoadError()**.
   *
   * @description
   * Load a color map from the specified URL.
@@ -270,9 +318,16 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
     options = checkBinary("intensity_data_types", options);
 
     options.cachedUrl = url;
-    loader.loadFromURL(url, (text, filename, options) => {
-      loadIntensityData(text, filename, options);
-    }, { ...options, isSurface: true });
+
+    var promise = new Promise(function(resolve, reject) {
+      loader.loadFromURL(url, (text, filename, options) => {
+        loadIntensityData(text, filename, options, resolve, function(error) {
+          reject(loader.createLoadError(error, { url: url, filename: filename }));
+        });
+      }, { ...options, isSurface: true, onerror: reject });
+    });
+
+    return handleErrors(promise, options.onerror);
   };
 
   viewer.loadIntensityDataFromText = function(text, options, formatCb) {
@@ -306,6 +361,12 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   * * **name* Name to give the intensity data.
   * * **blend** Blend this data map with previously loaded data.
   * * **complete** Callback function to call when the color update is done.
+  * * **onerror** Function to call with the error the Promise rejects with, for
+  *   callers that don't use the Promise.
+  *
+  * @returns {Promise} Resolves with the intensity data, or with null if there is
+  *   no model to apply it to. Rejects with an error created by
+  *   **BrainBrowser.loader.createLoadError()**.
   *
   * @description
   * Load a color map from a local file.
@@ -320,7 +381,15 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   viewer.loadIntensityDataFromFile = function(file_input, options) {
     options = checkBinary("intensity_data_types", options);
 
-    loader.loadFromFile(file_input, loadIntensityData, options);
+    var promise = new Promise(function(resolve, reject) {
+      loader.loadFromFile(file_input, (text, filename, options) => {
+        loadIntensityData(text, filename, options, resolve, function(error) {
+          reject(loader.createLoadError(error, { filename: filename }));
+        });
+      }, { ...options, onerror: reject });
+    });
+
+    return handleErrors(promise, options.onerror);
   };
 
   /**
@@ -330,6 +399,9 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   * @param {object} options Options are passed on to
   * **BrainBrowser.loader.loadColorMapFromURL()**
   *
+  * @returns {Promise} Resolves with the color map object, or rejects with an error
+  *   created by **BrainBrowser.loader.createLoadError()**.
+  *
   * @description
   * Load and parse color map data from the specified URL.
   * ```js
@@ -337,7 +409,7 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   * ```
   */
   viewer.loadColorMapFromURL  = function(url, options) {
-    loader.loadColorMapFromURL(url, loadColorMap, options);
+    return loader.loadColorMapFromURL(url, loadColorMap, options);
   };
 
 
@@ -349,6 +421,9 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   * @param {object} options Options are passed on to
   * **BrainBrowser.loader.loadColorMapFromFile()**
   *
+  * @returns {Promise} Resolves with the color map object, or rejects with an error
+  *   created by **BrainBrowser.loader.createLoadError()**.
+  *
   * @description
   * Load and parse color map data from a local file.
   * ```js
@@ -356,7 +431,7 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   * ```
   */
   viewer.loadColorMapFromFile = function(file_input, options){
-    loader.loadColorMapFromFile(file_input, loadColorMap, options);
+    return loader.loadColorMapFromFile(file_input, loadColorMap, options);
   };
 
   /**
@@ -388,12 +463,17 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   // PRIVATE FUNCTIONS
   ////////////////////////////////////
 
+  // Returns a Promise that resolves with the model data once the model
+  // is displayed. Cancelling through options.signal (or the older
+  // options.cancel test) stops parsing and display, and triggers a
+  // loadcancelled event.
   function loadModel(data, filename, options) {
     SurfaceViewer.cachedLoader = SurfaceViewer.cachedLoader || {};
 
     options           = options        || {};
     var type          = options.format || "mniobj";
     var parse_options = options.parse  || {};
+    var signal        = options.signal;
 
     var cachedUrl = options.cachedUrl || '';
     var cachedData;
@@ -402,24 +482,58 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
       cachedData = SurfaceViewer.cachedLoader[cachedUrl];
     }
 
-    if (cachedData) {
-      if (!BrainBrowser.loader.checkCancel(options.cancel)) {
-        displayModel(cachedData, filename, options);
+    return new Promise(function(resolve, reject) {
+      function cancel(phase) {
+        if (signal) {
+          signal.removeEventListener("abort", cancelParse);
+        }
+        loader.reportCancel({ url: cachedUrl || null, filename: filename, phase: phase }, { onerror: reject });
       }
-    } else {
-      // Parse model info based on the given file type.
-      parseModel(data, type, parse_options, function(model_data) {
-        if (!BrainBrowser.loader.checkCancel(options.cancel)) {
+
+      function cancelParse() {
+        cancel("parse");
+      }
+
+      function isCancelled() {
+        return (signal && signal.aborted) || loader.checkCancel(options.cancel);
+      }
+
+      if (cachedData) {
+        if (isCancelled()) {
+          cancel("display");
+        } else {
+          displayModel(cachedData, filename, options);
+          resolve(cachedData);
+        }
+      } else {
+        if (signal) {
+          signal.addEventListener("abort", cancelParse);
+        }
+
+        // Parse model info based on the given file type.
+        parseModel(data, type, parse_options, function(model_data) {
+          if (isCancelled()) {
+            cancel("display");
+            return;
+          }
+
+          if (signal) {
+            signal.removeEventListener("abort", cancelParse);
+          }
           displayModel(model_data, filename, options);
           if (SurfaceViewer.canCached && cachedUrl && SurfaceViewer.cachedLoader) {
             SurfaceViewer.cachedLoader[cachedUrl] = model_data;
           }
-        }
-      });
-    }
+          resolve(model_data);
+        }, reject, signal);
+      }
+    });
   }
 
-  function loadIntensityData(text, filename, options) {
+  // The optional callback receives the intensity data, or null if
+  // there is no model to apply it to. Parsing errors are passed to
+  // onerror, if given, rather than thrown.
+  function loadIntensityData(text, filename, options, callback, onerror) {
     options            = options        || {};
     var name           = options.name   || filename;
     var type           = options.format || "text";
@@ -441,7 +555,12 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
     }
 
     SurfaceViewer.parseIntensityData(text, type, function(intensity_data) {
-      if (!model_data) return;
+      if (!model_data) {
+        if (BrainBrowser.utils.isFunction(callback)) {
+          callback(null);
+        }
+        return;
+      }
       var min;
       var max;
 
@@ -488,7 +607,11 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
         model_data: model_data,
         intensity_data: intensity_data
       });
-    });
+
+      if (BrainBrowser.utils.isFunction(callback)) {
+        callback(intensity_data);
+      }
+    }, onerror);
   }
 
   function loadColorMap(color_map, clamp = true, options) {
@@ -516,7 +639,9 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
   // PARSE LOADED MODELS
   ///////////////////////////////////////////
 
-  function parseModel(data, type, options, callback) {
+  // Errors in the worker are passed to onerror, if given, rather
+  // than thrown. Aborting the signal terminates the workers.
+  function parseModel(data, type, options, callback, onerror, signal) {
     var error_message;
 
     var worker_url_type = type + "_model";
@@ -533,6 +658,18 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
     var parse_worker = new Worker(SurfaceViewer.worker_urls[worker_url_type]);
     var deindex_worker;
 
+    function terminateWorkers() {
+      parse_worker.terminate();
+
+      if (deindex_worker) {
+        deindex_worker.terminate();
+      }
+    }
+
+    if (signal) {
+      signal.addEventListener("abort", terminateWorkers);
+    }
+
     parse_worker.addEventListener("message", function(event) {
       var model_data = event.data;
       var transfer;
@@ -544,7 +681,13 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
           "Options: " + JSON.stringify(options);
 
         BrainBrowser.events.triggerEvent("error", { message: error_message });
-        throw new Error(error_message);
+        parse_worker.terminate();
+
+        if (!BrainBrowser.utils.isFunction(onerror)) {
+          throw new Error(error_message);
+        }
+        onerror(BrainBrowser.loader.createLoadError(error_message, { phase: "parse" }));
+        return;
       }
 
       model_data.colors = model_data.colors || new Float32Array([0.7, 0.7, 0.7, 1.0]);
@@ -555,6 +698,10 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
         deindex_worker = new Worker(SurfaceViewer.worker_urls.deindex);
 
         deindex_worker.addEventListener("message", function(event) {
+          if (signal) {
+            signal.removeEventListener("abort", terminateWorkers);
+          }
+          deindex_worker.terminate();
           callback(event.data);
         });
 
@@ -954,6 +1101,16 @@ BrainBrowser.SurfaceViewer.modules.loading = function(viewer) {
     }
   }
 
+  // Callers relying on callbacks may pass onerror instead of using the
+  // returned Promise, so its rejection is handled once onerror has it.
+  function handleErrors(promise, onerror) {
+    if (BrainBrowser.utils.isFunction(onerror)) {
+      promise.catch(onerror);
+    }
+
+    return promise;
+  }
+
   // Check if request format is binary.
   function checkBinary(config_base, options) {
     options = options || {};
@@ -665,6 +665,87 @@ BrainBrowser.SurfaceViewer.modules.rendering = function(viewer) {
     viewer.updated = true;
   };
 
+  /**
+  * @doc function
+  * @name viewer.rendering:drawElectrode
+  * @param {object} electrode An electrode created with
+  *   **BrainBrowser.createElectrode**.
+  * @param {object} options Options, which include the following:
+  *
+  * * **name** The name of the electrode object (default: "electrode").
+  * * **color** The color of the contacts as a hexadecimal integer (default: 0xff6666).
+  * * **shaft\_color** The color of the shaft between the entry point and the tip
+  *   as a hexadecimal integer (default: 0xcccccc).
+  *
+  * @returns {object} The electrode object, whose children are the shaft and
+  *   the contacts. The contacts are named "ElectrodeContact" and their
+  *   **userData** holds their **contact**.
+  *
+  * @description
+  * Draw the contacts of an electrode model as cylinders along its trajectory.
+  * ```js
+  * viewer.drawElectrode(BrainBrowser.createElectrode({
+  *   model: "dixi_d08_10am",
+  *   entry: { x: -42, y: 10, z: 35 },
+  *   target: { x: -20, y: 2, z: 5 }
+  * }));
+  * ```
+  */
+  viewer.drawElectrode = function(electrode, options) {
+    options = options || {};
+    var name = options.name || "electrode";
+    var color = options.color >= 0 ? options.color : 0xff6666;
+    var shaft_color = options.shaft_color >= 0 ? options.shaft_color : 0xcccccc;
+    var radius = electrode.diameter / 2;
+    var direction = new THREE.Vector3(electrode.direction.x, electrode.direction.y, electrode.direction.z);
+    var object = new THREE.Object3D();
+    var tip = new THREE.Vector3(electrode.tip.x, electrode.tip.y, electrode.tip.z);
+    var entry = new THREE.Vector3(electrode.entry.x, electrode.entry.y, electrode.entry.z);
+    var shaft;
+
+    object.name = name;
+
+    // Cylinders are created along the y axis.
+    function createCylinder(start, end, radius, color) {
+      var length = start.distanceTo(end);
+      var geometry = new THREE.CylinderGeometry(radius, radius, length, 16);
+      var material = new THREE.MeshPhongMaterial({ color: color });
+      var cylinder = new THREE.Mesh(geometry, material);
+
+      cylinder.position.copy(start).add(end).multiplyScalar(0.5);
+      cylinder.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+
+      return cylinder;
+    }
+
+    shaft = createCylinder(entry, tip, radius * 0.9, shaft_color);
+    shaft.name = "ElectrodeShaft";
+    object.add(shaft);
+
+    electrode.contacts.forEach(function(contact) {
+      var cylinder = createCylinder(
+        new THREE.Vector3(contact.start.x, contact.start.y, contact.start.z),
+        new THREE.Vector3(contact.end.x, contact.end.y, contact.end.z),
+        radius,
+        color
+      );
+
+      cylinder.name = "ElectrodeContact";
+      cylinder.userData.contact = contact;
+      object.add(cylinder);
+    });
+
+    if (viewer.model) {
+      viewer.model.add(object);
+    } else {
+      scene.add(object);
+    }
+
+    viewer.updated = true;
+
+    return object;
+  };
+
   viewer.highlightTrajectorys = function(geometryName) {
     viewer.model.children.forEach(function(obj) {
       if (obj.name === 'Line') {
@@ -205,7 +205,66 @@
   
   VolumeViewer.modules = {};
   VolumeViewer.volume_loaders = {};
-  
+  VolumeViewer.volume_sniffers = {};
+  VolumeViewer.volume_writers = {};
+
+  // Window and level presets for CT volumes, in Hounsfield units.
+  BrainBrowser.config.set("window_level_presets.brain", { name: "Brain", modality: "CT", window: 80, level: 40 });
+  BrainBrowser.config.set("window_level_presets.subdural", { name: "Subdural", modality: "CT", window: 200, level: 75 });
+  BrainBrowser.config.set("window_level_presets.bone", { name: "Bone", modality: "CT", window: 2000, level: 500 });
+  BrainBrowser.config.set("window_level_presets.angio", { name: "Angio", modality: "CT", window: 600, level: 170 });
+
+  /**
+  * @doc function
+  * @name VolumeViewer.static methods:registerVolumeLoader
+  * @param {string} name Name of the loader. This is the **type** used in
+  * volume descriptions.
+  * @param {object} loader Object containing the loader functions:
+  *
+  * * **load** (required) Function taking a volume description and a callback
+  *   to which the new volume will be passed.
+  * * **sniff** (optional) Function taking a **Uint8Array** of the volume data
+  *   and its file name (if known) and returning true if the data are in
+  *   the loader's format.
+  *
+  * @description
+  * Register a volume loader. Volumes described without a **type** are
+  * loaded from their **url**, **file** or **source** and passed to the first
+  * registered loader whose **sniff()** function recognizes them, with the
+  * data as the **source** property of the description.
+  *
+  * ```js
+  * BrainBrowser.VolumeViewer.registerVolumeLoader("myformat", {
+  *   sniff: function(bytes, filename) {
+  *     return bytes[0] === 0x4D && bytes[1] === 0x59;
+  *   },
+  *   load: function(description, callback) {
+  *     callback(createMyVolume(description.source));
+  *   }
+  * });
+  *
+  * viewer.loadVolume({ url: "brain.my" });
+  * ```
+  */
+  VolumeViewer.registerVolumeLoader = function(name, loader) {
+    var error_message;
+
+    if (!loader || !BrainBrowser.utils.isFunction(loader.load)) {
+      error_message = "Volume loader '" + name + "' must have a load() function.";
+
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    VolumeViewer.volume_loaders[name] = loader.load;
+
+    if (BrainBrowser.utils.isFunction(loader.sniff)) {
+      VolumeViewer.volume_sniffers[name] = loader.sniff;
+    } else {
+      delete VolumeViewer.volume_sniffers[name];
+    }
+  };
+
 
   /**
   * @doc function
@@ -283,6 +342,10 @@
     * will be inserted.
     * @property {active_panel} active_panel The slice panel that's currently
     * being manipulated.
+    * @property {boolean} window_level_drag Does dragging with the right mouse
+    * button change the window and level of the volume? If so, right-dragging
+    * doesn't move the cursor like dragging with the left button, and doesn't
+    * open the context menu. Off by default.
     *
     * @description
     * The viewer object encapsulates all functionality of the Surface Viewer.
@@ -318,7 +381,8 @@
       dom_element: dom_element,
       volumes: [],
       containers: [],
-      synced: false
+      synced: false,
+      window_level_drag: false
     };
 
     /**
@@ -384,6 +448,26 @@
     *    });
     * ```
     */
+    /**
+    * @doc object
+    * @name viewer.events:windowlevelchange
+    *
+    * @description
+    * Triggered when the window and level of a volume are changed, by
+    * **viewer.setWindowLevel()**, or by dragging with the right mouse button if
+    * **viewer.window\_level\_drag** is set.
+    * The following information will be passed in the event object:
+    *
+    * * **event.volume**: the volume.
+    * * **event.window**: the width of the range of intensities displayed.
+    * * **event.level**: the intensity at the center of the range.
+    *
+    * ```js
+    *    viewer.addEventListener("windowlevelchange", function(event) {
+    *      //...
+    *    });
+    * ```
+    */
       
     Object.keys(VolumeViewer.modules).forEach(function(m) {
       VolumeViewer.modules[m](viewer);
@@ -416,6 +500,19 @@
 
         var key = event.which;
         var space_name, time;
+
+        // Oblique panels move the cursor along their plane.
+        function moveOnPlane(du, dv) {
+          var world = volume.getWorldCoords();
+          var plane = panel.plane;
+          var step = panel.slice.width_space.step;
+
+          volume.setWorldCoords(
+            world.x + (du * plane.u.x + dv * plane.v.x) * step,
+            world.y + (du * plane.u.y + dv * plane.v.y) * step,
+            world.z + (du * plane.u.z + dv * plane.v.z) * step
+          );
+        }
         
         var keys = {
           // CTRL
@@ -433,6 +530,9 @@
           },
           // Left
           37: function() {
+            if (panel.plane) {
+              return moveOnPlane(-1, 0);
+            }
             space_name = panel.slice.width_space.name;
             if (volume.position[space_name] > 0) {
               volume.position[space_name]--;
@@ -440,6 +540,9 @@
           },
           // Up
           38: function() {
+            if (panel.plane) {
+              return moveOnPlane(0, 1);
+            }
             space_name = panel.slice.height_space.name;
             if (volume.position[space_name] < panel.slice.height_space.space_length) {
               volume.position[space_name]++;
@@ -447,6 +550,9 @@
           },
           // Right
           39: function() {
+            if (panel.plane) {
+              return moveOnPlane(1, 0);
+            }
             space_name = panel.slice.width_space.name;
             if (volume.position[space_name] < panel.slice.width_space.space_length) {
               volume.position[space_name]++;
@@ -454,6 +560,9 @@
           },
           // Down
           40: function() {
+            if (panel.plane) {
+              return moveOnPlane(0, -1);
+            }
             space_name = panel.slice.height_space.name;
             if (volume.position[space_name] > 0) {
               volume.position[space_name]--;
@@ -461,8 +570,26 @@
           }
         };
 
+        // Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo (Cmd on Mac).
+        if ((event.ctrlKey || event.metaKey) && (key === 90 || key === 89)) {
+          event.preventDefault();
+
+          if (key === 89 || event.shiftKey) {
+            viewer.history.redo();
+          } else {
+            viewer.history.undo();
+          }
+
+          return false;
+        }
+
         if (typeof keys[key] === "function") {
           event.preventDefault();
+
+          if (key !== 17) {
+            viewer.history.record("keyboard");
+          }
+
           keys[key]();
 
           panel.updated = true;
@@ -494,7 +621,7 @@
 
             if (viewer.synced){
               viewer.volumes.forEach(function(synced_volume) {
-                if (synced_volume !== volume) {
+                if (synced_volume && synced_volume !== volume) {
                   synced_volume.current_time = Math.max(0, Math.min(time, synced_volume.header.time.space_length - 1));
                 }
               });
@@ -58,6 +58,23 @@
         panels[axis_name] = panel;
       },
 
+      /**
+      * @doc function
+      * @name display.display:removePanel
+      * @param {string} axis_name The axis of the panel to remove.
+      * @description
+      * Remove the panel for a given axis.
+      * ```js
+      * display.removePanel("trajectory");
+      * ```
+      */
+      removePanel: function(axis_name) {
+        if (panels[axis_name]) {
+          panels[axis_name].triggerEvent("eventmodelcleanup");
+          delete panels[axis_name];
+        }
+      },
+
       /**
       * @doc function
       * @name display.display:getPanel
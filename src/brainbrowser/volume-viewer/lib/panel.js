@@ -29,13 +29,33 @@
 * @doc object
 * @name panel
 * @property {object} volume The volume being displayed.
-* @property {string} axis The name of the axis being displayed (xspace, yspace or zspace).
+* @property {string} axis The name of the axis being displayed (xspace, yspace or zspace),
+*   or the name of the view of an oblique panel.
+* @property {object} plane The plane displayed by an oblique panel (see
+*   **VolumeViewer.createPlane**). Orthogonal panels have no plane.
+* @property {boolean} follow_cursor Whether the plane of an oblique panel is
+*   moved along its normal to go through the cursor (default: true).
+* @property {object} slice_grid The grid of an oblique panel's slices: their
+*   **width** and **height** in pixels, the **step** between pixels in mm and
+*   an optional world **center**. Defaults to a grid covering the whole volume.
 * @property {object} slice The slice currently being displayed.
 * @property {object} canvas Reference to the canvas area used for drawing.
 * @property {object} context The 2D context of the canvas.
 * @property {object} image_center The **x** and **y** coordinates of the
 *   center of the slice currently being displayed.
 * @property {number} zoom The current zoom level of the panel.
+* @property {string} interpolation The interpolation used to resample slices
+*   (**nearest**, **linear** or **cubic**). If it isn't set, the volume's
+*   **interpolation** is used.
+* @property {boolean} edit_trajectories Whether the entry and target handles
+*   of the displayed trajectories can be dragged.
+* @property {array} rois The regions of interest drawn on the panel's slices
+*   (see **viewer.rois**).
+* @property {object} roi_tool The state of ROI drawing (see **viewer.roi\_tool**).
+* @property {array} measurements The measurements drawn on the panel's slices
+*   (see **viewer.measurements**).
+* @property {object} measurement_tool The state of the measurement tool (see
+*   **viewer.measurement\_tool**).
 * @property {object} cursor The current **x** and **y** coordinates of the cursor.
 * @property {object} mouse The current **x** and **y** coordinates of the mouse.
 * @description
@@ -44,6 +64,11 @@
 (function() {
   "use strict";
 
+  // Radius of the handles of editable trajectories, in pixels.
+  const TRAJECTORY_HANDLE_RADIUS = 5;
+
+  // Number of segments of the ellipses of regions of interest.
+  const ROI_ELLIPSE_SEGMENTS = 64;
 
   const pathColors = [
     [0x0074D9, '#0074D9'],
@@ -82,6 +107,15 @@
   * * **canvas** The canvas on which to draw slices.
   * * **image_center** An object containing the starting **x** and **y** positions of
   *     the slice image center.
+  * * **interpolation** The interpolation used to resample slices on this panel
+  *     (**nearest**, **linear** or **cubic**). Defaults to the volume's.
+  * * **plane** A plane object, or the options used to create one (see
+  *     **VolumeViewer.createPlane**), which makes the panel oblique. The
+  *     volume is resampled on the plane each time the slice is updated, and
+  *     the plane is moved along its normal to follow the cursor.
+  * * **follow_cursor** Set to false to keep the plane of an oblique panel
+  *     where it is when the cursor moves.
+  * * **slice_grid** The grid on which an oblique panel's slices are resampled.
   * * **updated** Boolean value indicating whether the panel should be redrawn.
   *
   * @returns {object} Panel object used to control display of a slice.
@@ -224,6 +258,10 @@
       updated: true,
       hideBorder: options.hideBorder,
       hideCursor: options.hideCursor,
+      interpolation: options.interpolation,
+      plane: options.plane,
+      follow_cursor: true,
+      slice_grid: null,
       /**
       * @doc function
       * @name panel.panel:setSize
@@ -344,6 +382,13 @@
         var volume = panel.volume;
         var slice = panel.slice;
         var origin = getDrawingOrigin(panel);
+        var world;
+
+        if (panel.plane) {
+          world = volume.getWorldCoords();
+
+          return panel.worldToCursor(world.x, world.y, world.z);
+        }
 
         return {
           x: volume.position[slice.width_space.name] * Math.abs(slice.width_space.step) * panel.zoom + origin.x,
@@ -378,6 +423,13 @@
           y = cursor.y;
         }
 
+        if (panel.plane) {
+          cursor = panel.cursorToWorld(x, y);
+          volume.setWorldCoords(cursor.x, cursor.y, cursor.z);
+          panel.updated = true;
+          return;
+        }
+
         slice_x = Math.round((x - origin.x) / zoom / Math.abs(slice.width_space.step));
         slice_y = Math.round(slice.height_space.space_length - (y - origin.y) / zoom  / Math.abs(slice.height_space.step) - 1);
 
@@ -387,6 +439,207 @@
         panel.updated = true;
       },
 
+      /**
+      * @doc function
+      * @name panel.panel:cursorToWorld
+      * @param {number} x The x coordinate of the canvas position.
+      * @param {number} y The y coordinate of the canvas position.
+      * @returns {object} The world coordinates of the position.
+      * @description
+      * Get the world coordinates of a position on the panel, without
+      * rounding them to a voxel.
+      * ```js
+      * panel.cursorToWorld(panel.mouse.x, panel.mouse.y);
+      * ```
+      */
+      cursorToWorld: function(x, y) {
+        var origin = getDrawingOrigin(panel);
+        var zoom = panel.zoom;
+        var volume = panel.volume;
+        var header = volume.header;
+        var slice = panel.slice;
+        var width_space = slice.width_space;
+        var height_space = slice.height_space;
+        var slice_x = (x - origin.x) / zoom / Math.abs(width_space.step);
+        var slice_y = height_space.space_length - (y - origin.y) / zoom / Math.abs(height_space.step) - 1;
+        var position, voxel;
+
+        if (panel.plane) {
+          return panel.plane.planeToWorld(
+            width_space.start + slice_x * width_space.step,
+            height_space.start + slice_y * height_space.step
+          );
+        }
+
+        position = { ...volume.position };
+        position[width_space.name] = slice_x;
+        position[height_space.name] = slice_y;
+
+        voxel = header.order.map(function(space_name) {
+          return header[space_name].step > 0 ? position[space_name] : header[space_name].space_length - position[space_name];
+        });
+
+        return volume.voxelToWorld(voxel[0], voxel[1], voxel[2]);
+      },
+
+      /**
+      * @doc function
+      * @name panel.panel:worldToCursor
+      * @param {number} x The x world coordinate.
+      * @param {number} y The y world coordinate.
+      * @param {number} z The z world coordinate.
+      * @returns {object} The **x** and **y** coordinates of the position on the
+      *   canvas.
+      * @description
+      * Get the position on the panel of a world point, the inverse of
+      * **cursorToWorld()**. Points are projected onto the panel's slice.
+      * ```js
+      * panel.worldToCursor(10, -20, 5);
+      * ```
+      */
+      worldToCursor: function(x, y, z) {
+        var origin = getDrawingOrigin(panel);
+        var zoom = panel.zoom;
+        var volume = panel.volume;
+        var header = volume.header;
+        var slice = panel.slice;
+        var width_space = slice.width_space;
+        var height_space = slice.height_space;
+        var position = {};
+        var point, voxel;
+
+        if (panel.plane) {
+          point = panel.plane.worldToPlane(x, y, z);
+          position[width_space.name] = (point.a - width_space.start) / width_space.step;
+          position[height_space.name] = (point.b - height_space.start) / height_space.step;
+        } else {
+          voxel = volume.worldToVoxel(x, y, z, true);
+          [voxel.i, voxel.j, voxel.k].forEach(function(value, i) {
+            var space = header[header.order[i]];
+            position[space.name] = space.step > 0 ? value : space.space_length - value;
+          });
+        }
+
+        return {
+          x: position[width_space.name] * Math.abs(width_space.step) * zoom + origin.x,
+          y: (height_space.space_length - position[height_space.name] - 1) * Math.abs(height_space.step) * zoom + origin.y
+        };
+      },
+
+      /**
+      * @doc function
+      * @name panel.panel:setPlane
+      * @param {object} plane A plane object, or the options used to create one
+      *   (see **VolumeViewer.createPlane**).
+      * @description
+      * Make the panel display an oblique plane, and update its slice.
+      * ```js
+      * panel.setPlane({
+      *   center: volume.getWorldCoords(),
+      *   normal: { x: 0, y: 1, z: 1 }
+      * });
+      * ```
+      */
+      setPlane: function(plane) {
+        panel.plane = createPanelPlane(plane);
+        panel.updateSlice();
+      },
+
+      /**
+      * @doc function
+      * @name panel.panel:rotatePlane
+      * @param {object|string} axis The vector to rotate around, or the name of
+      *   one of the plane's own vectors (**u**, **v** or **normal**).
+      * @param {number} angle The angle of the rotation, in radians.
+      * @description
+      * Rotate the plane of an oblique panel around the cursor, and update
+      * its slice.
+      * ```js
+      * panel.rotatePlane("v", Math.PI / 36);
+      * ```
+      */
+      rotatePlane: function(axis, angle) {
+        var world;
+
+        if (!panel.plane) return;
+
+        world = panel.volume.getWorldCoords();
+        panel.plane.setCenter(world.x, world.y, world.z);
+        panel.plane.rotate(axis, angle);
+        panel.updateSlice();
+      },
+
+      /**
+      * @doc function
+      * @name panel.panel:getTrajectoryHandle
+      * @param {number} x The x coordinate on the canvas.
+      * @param {number} y The y coordinate on the canvas.
+      * @returns {object} The handle under the given position, with the
+      *   **index** of its trajectory, which **end** of the trajectory it is
+      *   ("start" or "end") and the world coordinates of its **point**, or
+      *   null if there is none.
+      * @description
+      * Find the handle of a trajectory at a position of the canvas. Handles
+      * are shown on orthogonal panels while trajectories are being edited.
+      * ```js
+      * panel.getTrajectoryHandle(panel.mouse.x, panel.mouse.y);
+      * ```
+      */
+      getTrajectoryHandle: function(x, y) {
+        var trajectories = panel.trajectories || [];
+        var handle = null;
+        var closest = TRAJECTORY_HANDLE_RADIUS + 2;
+
+        if (!panel.showTrajectory || !panel.edit_trajectories || panel.plane) {
+          return null;
+        }
+
+        trajectories.forEach(function(trajectory, index) {
+          ["start", "end"].forEach(function(end) {
+            var point = toWorldPoint(trajectory[end]);
+            var cursor = trajectoryPointToCursor(panel, point);
+            var distance = Math.sqrt((cursor.x - x) * (cursor.x - x) + (cursor.y - y) * (cursor.y - y));
+
+            if (distance <= closest) {
+              closest = distance;
+              handle = {
+                index: index,
+                end: end,
+                point: point
+              };
+            }
+          });
+        });
+
+        return handle;
+      },
+
+      /**
+      * @doc function
+      * @name panel.panel:cursorToTrajectoryPoint
+      * @param {number} x The x coordinate on the canvas.
+      * @param {number} y The y coordinate on the canvas.
+      * @param {object} point The world coordinates of the point being moved.
+      * @returns {object} The world coordinates of the point moved under the
+      *   given position.
+      * @description
+      * Get where a trajectory point dragged to a position of the canvas
+      * goes. The point keeps its position across the slice.
+      * ```js
+      * panel.cursorToTrajectoryPoint(panel.mouse.x, panel.mouse.y, handle.point);
+      * ```
+      */
+      cursorToTrajectoryPoint: function(x, y, point) {
+        var axes = getTrajectoryAxes(panel);
+        var voxel = panel.volume.worldToVoxel(point.x, point.y, point.z, true);
+        var cursor_voxel = panel.cursorToVoxel(x, y);
+
+        voxel[axes.x_name] = axes.revert_x ? axes.width - cursor_voxel.voxelX : cursor_voxel.voxelX;
+        voxel[axes.y_name] = axes.revert_y ? axes.height - cursor_voxel.voxelY : cursor_voxel.voxelY;
+
+        return panel.volume.voxelToWorld(voxel.i, voxel.j, voxel.k);
+      },
+
       // update mouse position by mouseover tooltip
       updateMousePosition: function(x, y) {
         var currentPanel = {...panel};
@@ -397,6 +650,12 @@
         var slice_x, slice_y;
         var currentVox = panel.cursorToVoxel(x, y);
         let i,j,k;
+
+        if (panel.plane) {
+          var world = panel.cursorToWorld(x, y);
+          return volume.worldToVoxel(world.x, world.y, world.z);
+        }
+
         volume.display.forEach(function(panel) {
           var cursor = panel.getCursorPosition();
        
@@ -484,7 +743,7 @@
           var volume = panel.volume;
           var slice;
 
-          slice = volume.slice(panel.axis);
+          slice = getPanelSlice(panel);
           // 只针对 slices中的方法调用updateSlice，updateSlice中slices.foEach()
           if(isSeegOverlay){
             if(slice.hasOwnProperty('slices')){
@@ -590,6 +849,10 @@
 
         drawTrajectory(panel);
 
+        drawROIs(panel);
+
+        drawMeasurements(panel);
+
         context.save();
         context.strokeStyle = panel.hideBorder ?
           '#000000' :
@@ -613,6 +876,8 @@
       }
     });
 
+    panel.plane = createPanelPlane(panel.plane);
+
     BrainBrowser.events.addEventModel(panel);
 
     if (panel.canvas && BrainBrowser.utils.isFunction(panel.canvas.getContext)) {
@@ -623,7 +888,7 @@
 
     if (panel.volume) {
       var volume = panel.volume;
-      setSlice(panel, volume.slice(panel.axis));
+      setSlice(panel, getPanelSlice(panel));
       panel.default_zoom = volume.getPreferredZoom(panel.canvas.width, panel.canvas.height);
       panel.zoom = panel.default_zoom;
     }
@@ -635,15 +900,43 @@
   // Private functions
   ///////////////////////
 
+  function createPanelPlane(plane) {
+    if (!plane || BrainBrowser.utils.isFunction(plane.planeToWorld)) {
+      return plane;
+    }
+
+    return BrainBrowser.VolumeViewer.createPlane(plane);
+  }
+
+  // Get the slice at the volume's current position. The plane of an
+  // oblique panel is first moved to go through the cursor, once the
+  // volume has a position, unless it mustn't follow the cursor.
+  function getPanelSlice(panel) {
+    var volume = panel.volume;
+    var world;
+
+    if (panel.plane) {
+      world = volume.getWorldCoords();
+      if (panel.follow_cursor && isFinite(world.x + world.y + world.z)) {
+        panel.plane.passThrough(world.x, world.y, world.z);
+      }
+
+      return volume.obliqueSlice(panel.plane, panel.slice_grid);
+    }
+
+    return volume.slice(panel.axis);
+  }
+
   // Set the volume slice to be rendered on the panel.
   function setSlice(panel, slice) {
     panel.slice = slice;
-    panel.slice_image = panel.volume.getSliceImage(panel.slice, panel.zoom, panel.contrast, panel.brightness);
+    panel.slice_image = panel.volume.getSliceImage(panel.slice, panel.zoom, panel.contrast, panel.brightness,
+                                                   undefined, panel.interpolation);
   }
 
   function drawTrajectory(panel) {
     var { trajectories = [], showTrajectory = false, isSafety = false } = panel;
-    if (!showTrajectory) return;
+    if (!showTrajectory || panel.plane) return;
     const context = panel.context;
 
     trajectories.forEach((trajectory, index) => {
@@ -738,6 +1031,60 @@
       context.stroke();
       context.setLineDash([]);
 
+      const worldToCursor = (point) => trajectoryPointToCursor(panel, point);
+
+      // Segments violating the safety margins of a report for this trajectory.
+      const report = (panel.safety_reports || []).find((report) => {
+        return samePoint(report.entry, { x: start_x, y: start_y, z: start_z }) &&
+          samePoint(report.target, { x: end_x, y: end_y, z: end_z });
+      });
+
+      if (report) {
+        const toCursor = (depth) => {
+          const t = depth / m;
+
+          return worldToCursor({
+            x: start_x - gapX * t,
+            y: start_y - gapY * t,
+            z: start_z - gapZ * t
+          });
+        };
+
+        context.strokeStyle = "#FF0000";
+        context.lineWidth = lineWidth + 1;
+        report.violations.forEach((violation) => {
+          const from = toCursor(violation.start);
+          const to = toCursor(violation.end);
+
+          context.beginPath();
+          context.moveTo(from.x, from.y);
+          context.lineTo(to.x, to.y);
+          context.stroke();
+        });
+        context.strokeStyle = color;
+        context.lineWidth = lineWidth;
+      }
+
+      if (panel.edit_trajectories) {
+        drawTrajectoryHandles(panel, trajectory, color);
+      }
+
+      // Contacts of the electrode placed along this trajectory.
+      if (trajectory.electrode) {
+        context.lineWidth = lineWidth + 3;
+        context.lineCap = "butt";
+        trajectory.electrode.contacts.forEach((contact) => {
+          const from = worldToCursor(contact.start);
+          const to = worldToCursor(contact.end);
+
+          context.beginPath();
+          context.moveTo(from.x, from.y);
+          context.lineTo(to.x, to.y);
+          context.stroke();
+        });
+        context.lineWidth = lineWidth;
+      }
+
       if (
         target.x >= (start.x > end.x ? end.x : start.x) &&
         target.x <= (start.x < end.x ? end.x : start.x) &&
@@ -756,9 +1103,259 @@
     context.restore();
   }
 
+  // How the voxel coordinates of trajectory points map to an orthogonal
+  // panel's canvas.
+  function getTrajectoryAxes(panel) {
+    var axes = {
+      x_name: "j",
+      y_name: "k",
+      revert_x: false,
+      revert_y: false,
+      width: Math.abs(panel.slice.width_space.space_length),
+      height: Math.abs(panel.slice.height_space.space_length)
+    };
+
+    if (panel.axis === "yspace") {
+      axes.x_name = "i";
+      axes.revert_x = true;
+    } else if (panel.axis === "zspace") {
+      axes.x_name = "i";
+      axes.y_name = "j";
+      axes.revert_x = true;
+      axes.revert_y = true;
+    }
+
+    return axes;
+  }
+
+  function trajectoryPointToCursor(panel, point) {
+    var axes = getTrajectoryAxes(panel);
+    var voxel = panel.volume.worldToVoxel(point.x, point.y, point.z);
+
+    return panel.voxelToCursor(
+      axes.revert_x ? axes.width - voxel[axes.x_name] : voxel[axes.x_name],
+      axes.revert_y ? axes.height - voxel[axes.y_name] : voxel[axes.y_name]
+    );
+  }
+
+  // Trajectory points are given as [x, y, z] arrays.
+  function toWorldPoint(point) {
+    return { x: +point[0], y: +point[1], z: +point[2] };
+  }
+
+  function drawTrajectoryHandles(panel, trajectory, color) {
+    var context = panel.context;
+
+    context.save();
+    context.fillStyle = color;
+    context.strokeStyle = "#FFFFFF";
+    context.lineWidth = 2;
+    context.setLineDash([]);
+
+    ["start", "end"].forEach(function(end) {
+      var cursor = trajectoryPointToCursor(panel, toWorldPoint(trajectory[end]));
+
+      context.beginPath();
+      context.arc(cursor.x, cursor.y, TRAJECTORY_HANDLE_RADIUS, 0, 2 * Math.PI);
+      context.fill();
+      context.stroke();
+    });
+
+    context.restore();
+  }
+
+  // Contours of the regions of interest on the panel's slice, and the
+  // contour being drawn.
+  function drawROIs(panel) {
+    var rois = panel.rois || [];
+    var pending = panel.roi_tool ? panel.roi_tool.pending : null;
+    var context = panel.context;
+
+    if (panel.plane) {
+      return;
+    }
+
+    context.save();
+    context.lineWidth = 2;
+    context.setLineDash([]);
+
+    rois.forEach(function(roi) {
+      if (roi.axis !== panel.axis) return;
+
+      context.strokeStyle = roi.color;
+      roi.contours.forEach(function(contour) {
+        if (onPanelSlice(panel, contour.center || contour.points[0])) {
+          drawROIOutline(panel, getROIOutline(panel, roi.shape, contour), true);
+        }
+      });
+    });
+
+    if (pending && pending.axis === panel.axis) {
+      context.strokeStyle = "#FFFFFF";
+      context.fillStyle = "#FFFFFF";
+      drawROIOutline(panel, getROIOutline(panel, pending.shape, pending), pending.shape === "ellipse");
+
+      if (pending.shape === "polygon") {
+        pending.points.forEach(function(point) {
+          var cursor = panel.worldToCursor(point.x, point.y, point.z);
+
+          context.beginPath();
+          context.arc(cursor.x, cursor.y, 3, 0, 2 * Math.PI);
+          context.fill();
+        });
+      }
+    }
+
+    context.restore();
+  }
+
+  // World points along the contour of an ROI. Ellipses are drawn in the
+  // plane of the panel's width and height.
+  function getROIOutline(panel, shape, contour) {
+    var header = panel.volume.header;
+    var u, v;
+
+    if (shape === "polygon") {
+      return contour.points;
+    }
+
+    u = unitCosines(header[panel.slice.width_space.name].direction_cosines);
+    v = unitCosines(header[panel.slice.height_space.name].direction_cosines);
+
+    return Array.from({ length: ROI_ELLIPSE_SEGMENTS }, function(value, i) {
+      var angle = 2 * Math.PI * i / ROI_ELLIPSE_SEGMENTS;
+      var a = contour.radii[0] * Math.cos(angle);
+      var b = contour.radii[1] * Math.sin(angle);
+
+      return {
+        x: contour.center.x + a * u[0] + b * v[0],
+        y: contour.center.y + a * u[1] + b * v[1],
+        z: contour.center.z + a * u[2] + b * v[2]
+      };
+    });
+  }
+
+  function drawROIOutline(panel, points, closed) {
+    var context = panel.context;
+
+    context.beginPath();
+    points.forEach(function(point, i) {
+      var cursor = panel.worldToCursor(point.x, point.y, point.z);
+
+      if (i === 0) {
+        context.moveTo(cursor.x, cursor.y);
+      } else {
+        context.lineTo(cursor.x, cursor.y);
+      }
+    });
+    if (closed) {
+      context.closePath();
+    }
+    context.stroke();
+  }
+
+  // Measurements on the panel's slice, with their values, and the
+  // measurement being drawn. Points can be dragged while the tool is set.
+  function drawMeasurements(panel) {
+    var measurements = panel.measurements || [];
+    var measurement_tool = panel.measurement_tool;
+    var pending = measurement_tool ? measurement_tool.pending : null;
+    var context = panel.context;
+    var pending_cursors;
+
+    if (panel.plane) {
+      return;
+    }
+
+    context.save();
+    context.lineWidth = 2;
+    context.setLineDash([]);
+    context.font = "bold 12px arial";
+
+    measurements.forEach(function(measurement) {
+      var cursors, value, label;
+
+      if (measurement.axis !== panel.axis || !onPanelSlice(panel, measurement.points[0])) return;
+
+      cursors = measurement.points.map(function(point) {
+        return panel.worldToCursor(point.x, point.y, point.z);
+      });
+      value = BrainBrowser.VolumeViewer.utils.measurePoints(measurement.type, measurement.points);
+      label = value.angle === undefined ? value.length.toFixed(2) + "(mm)" : value.angle.toFixed(1) + "°";
+
+      context.strokeStyle = measurement.color;
+      context.fillStyle = measurement.color;
+      drawMeasurementLines(panel, measurement.type, cursors);
+      context.fillText(label, cursors[cursors.length - 1].x + 6, cursors[cursors.length - 1].y - 6);
+
+      if (measurement_tool) {
+        drawMeasurementPoints(panel, cursors);
+      }
+    });
+
+    if (pending && pending.axis === panel.axis && pending.points.length > 0) {
+      context.strokeStyle = "#FFFFFF";
+      context.fillStyle = "#FFFFFF";
+      pending_cursors = pending.points.map(function(point) {
+        return panel.worldToCursor(point.x, point.y, point.z);
+      });
+      drawMeasurementLines(panel, pending.type, pending_cursors);
+      drawMeasurementPoints(panel, pending_cursors);
+    }
+
+    context.restore();
+  }
+
+  // Cobb angles are two separate lines, the other measurements are
+  // drawn through all their points.
+  function drawMeasurementLines(panel, type, cursors) {
+    var context = panel.context;
+
+    context.beginPath();
+    cursors.forEach(function(cursor, i) {
+      if (i === 0 || (type === "cobb" && i === 2)) {
+        context.moveTo(cursor.x, cursor.y);
+      } else {
+        context.lineTo(cursor.x, cursor.y);
+      }
+    });
+    context.stroke();
+  }
+
+  function drawMeasurementPoints(panel, cursors) {
+    var context = panel.context;
+
+    cursors.forEach(function(cursor) {
+      context.beginPath();
+      context.arc(cursor.x, cursor.y, 3, 0, 2 * Math.PI);
+      context.fill();
+    });
+  }
+
+  // Whether a world point is within half a slice of the panel's slice.
+  function onPanelSlice(panel, point) {
+    var volume = panel.volume;
+    var space = volume.header[panel.axis];
+    var normal = unitCosines(space.direction_cosines);
+    var cursor = volume.getWorldCoords();
+    var distance = (point.x - cursor.x) * normal[0] + (point.y - cursor.y) * normal[1] + (point.z - cursor.z) * normal[2];
+
+    return Math.abs(distance) <= Math.abs(space.step) / 2;
+  }
+
+  function unitCosines(cosines) {
+    var length = Math.sqrt(cosines[0] * cosines[0] + cosines[1] * cosines[1] + cosines[2] * cosines[2]) || 1;
+
+    return [cosines[0] / length, cosines[1] / length, cosines[2] / length];
+  }
+
+  function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6 && Math.abs(a.z - b.z) < 1e-6;
+  }
+
   function drawTargets(panel) {
     var { targets = [], showTarget = false } = panel;
-    if (!showTarget) return;
+    if (!showTarget || panel.plane) return;
     var context = panel.context;
     var zoom = panel.zoom;
     var length = 8 * (zoom / panel.default_zoom);
@@ -876,10 +1473,13 @@
 
     var distancePoint = function(start, end) {
       var calculate = function (start, end) {
-        var dx, dy, x, y, distance;
-        dx = (start.x - end.x) / panel.zoom;
-        dy = (start.y - end.y) / panel.zoom;
-        distance = Math.sqrt(dx * dx + dy * dy);
+        var start_world = panel.cursorToWorld(start.x, start.y);
+        var end_world = panel.cursorToWorld(end.x, end.y);
+        var dx, dy, dz, x, y, distance;
+        dx = start_world.x - end_world.x;
+        dy = start_world.y - end_world.y;
+        dz = start_world.z - end_world.z;
+        distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
         if (start.x > end.x) {
           x = end.x + (start.x - end.x) / 2;
         }else {
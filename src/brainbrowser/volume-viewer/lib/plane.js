@@ -0,0 +1,315 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/**
+* @doc object
+* @name plane
+* @property {object} center A world space point on the plane.
+* @property {object} normal The unit normal of the plane.
+* @property {object} u The unit vector along which the width of an oblique
+*   slice runs (left to right).
+* @property {object} v The unit vector along which the height of an oblique
+*   slice runs (bottom to top).
+* @description
+* Object representing an arbitrary plane in world space, used by oblique
+* panels. All vectors are objects with **x**, **y** and **z** properties.
+*/
+(function() {
+  "use strict";
+
+  /**
+  * @doc function
+  * @name VolumeViewer.static methods:createPlane
+  * @param {object} options Options used to create the plane.
+  *  Options can include:
+  *
+  * * **center** A world space point on the plane (default: the origin).
+  * * **normal** The normal of the plane.
+  * * **u** and **v** Two vectors lying in the plane, used instead of the
+  *     **normal**. **u** gives the direction of the width of slices, and
+  *     **v** is made perpendicular to it.
+  *
+  * @returns {object} Plane object.
+  * @description
+  * Factory function to produce the plane displayed by an oblique panel.
+  * If only the **normal** is given, the in-plane vectors are chosen so
+  * that planes perpendicular to the world axes are displayed like the
+  * orthogonal panels.
+  * ```js
+  * BrainBrowser.VolumeViewer.createPlane({
+  *   center: { x: 0, y: -18, z: 20 },
+  *   normal: { x: 0, y: 0.5, z: 1 }
+  * });
+  * ```
+  */
+  BrainBrowser.VolumeViewer.createPlane = function(options) {
+    options = options || {};
+
+    var plane = {
+      center: { x: 0, y: 0, z: 0 },
+      normal: { x: 0, y: 0, z: 1 },
+      u: { x: 1, y: 0, z: 0 },
+      v: { x: 0, y: 1, z: 0 },
+
+      /**
+      * @doc function
+      * @name plane.plane:setCenter
+      * @param {number} x The x coordinate of the new center.
+      * @param {number} y The y coordinate of the new center.
+      * @param {number} z The z coordinate of the new center.
+      * @description
+      * Move the plane so that it goes through the given world point,
+      * which becomes its center.
+      * ```js
+      * plane.setCenter(10, -20, 5);
+      * ```
+      */
+      setCenter: function(x, y, z) {
+        plane.center = { x: x, y: y, z: z };
+      },
+
+      /**
+      * @doc function
+      * @name plane.plane:setNormal
+      * @param {object} normal The new normal.
+      * @description
+      * Orient the plane perpendicular to the given vector, keeping its
+      * center.
+      * ```js
+      * plane.setNormal({ x: 1, y: 1, z: 0 });
+      * ```
+      */
+      setNormal: function(normal) {
+        var n = normalize(normal);
+        var up = Math.abs(n.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 0, y: 1, z: 0 };
+        var v = normalize(subtract(up, scale(n, dot(up, n))));
+        var u = cross(v, n);
+
+        // Keep the width running along the positive world axis it
+        // is closest to.
+        if (largestComponent(u) < 0) {
+          u = scale(u, -1);
+        }
+
+        plane.normal = n;
+        plane.u = u;
+        plane.v = v;
+      },
+
+      /**
+      * @doc function
+      * @name plane.plane:setAxes
+      * @param {object} u A vector lying in the plane, giving the direction of
+      *   the width of slices.
+      * @param {object} v Another vector lying in the plane.
+      * @description
+      * Orient the plane so that it contains the given vectors, keeping its
+      * center.
+      * ```js
+      * plane.setAxes({ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 1 });
+      * ```
+      */
+      setAxes: function(u, v) {
+        var error_message;
+
+        u = normalize(u);
+        v = normalize(subtract(v, scale(u, dot(v, u))));
+
+        if (!isFinite(v.x + v.y + v.z)) {
+          error_message = "The vectors given for the plane are parallel.";
+          BrainBrowser.events.triggerEvent("error", { message: error_message });
+          throw new Error(error_message);
+        }
+
+        plane.u = u;
+        plane.v = v;
+        plane.normal = cross(u, v);
+      },
+
+      /**
+      * @doc function
+      * @name plane.plane:rotate
+      * @param {object|string} axis The vector to rotate around, or the name of
+      *   one of the plane's own vectors (**u**, **v** or **normal**).
+      * @param {number} angle The angle of the rotation, in radians.
+      * @description
+      * Rotate the plane around an axis going through its center.
+      * ```js
+      * plane.rotate("u", Math.PI / 12);
+      * ```
+      */
+      rotate: function(axis, angle) {
+        axis = normalize(typeof axis === "string" ? plane[axis] : axis);
+
+        plane.u = rotateVector(plane.u, axis, angle);
+        plane.v = rotateVector(plane.v, axis, angle);
+        plane.normal = rotateVector(plane.normal, axis, angle);
+      },
+
+      /**
+      * @doc function
+      * @name plane.plane:translate
+      * @param {number} distance The distance to move the plane, in mm.
+      * @description
+      * Move the plane along its normal.
+      * ```js
+      * plane.translate(-2);
+      * ```
+      */
+      translate: function(distance) {
+        plane.center = add(plane.center, scale(plane.normal, distance));
+      },
+
+      /**
+      * @doc function
+      * @name plane.plane:passThrough
+      * @param {number} x The x coordinate of the point.
+      * @param {number} y The y coordinate of the point.
+      * @param {number} z The z coordinate of the point.
+      * @description
+      * Move the plane along its normal so that it contains the given world
+      * point.
+      * ```js
+      * plane.passThrough(10, -20, 5);
+      * ```
+      */
+      passThrough: function(x, y, z) {
+        plane.translate(plane.worldToPlane(x, y, z).distance);
+      },
+
+      /**
+      * @doc function
+      * @name plane.plane:planeToWorld
+      * @param {number} a Distance from the center along **u**.
+      * @param {number} b Distance from the center along **v**.
+      * @returns {object} The world coordinates of the point.
+      * @description
+      * Get the world coordinates of a point of the plane.
+      * ```js
+      * plane.planeToWorld(12.5, -3);
+      * ```
+      */
+      planeToWorld: function(a, b) {
+        var center = plane.center;
+        var u = plane.u;
+        var v = plane.v;
+
+        return {
+          x: center.x + a * u.x + b * v.x,
+          y: center.y + a * u.y + b * v.y,
+          z: center.z + a * u.z + b * v.z
+        };
+      },
+
+      /**
+      * @doc function
+      * @name plane.plane:worldToPlane
+      * @param {number} x The x coordinate of the point.
+      * @param {number} y The y coordinate of the point.
+      * @param {number} z The z coordinate of the point.
+      * @returns {object} Object containing the coordinates **a** and **b** of the
+      *   point's projection on the plane, and the signed **distance** of the
+      *   point from the plane.
+      * @description
+      * Project a world point onto the plane.
+      * ```js
+      * plane.worldToPlane(10, -20, 5);
+      * ```
+      */
+      worldToPlane: function(x, y, z) {
+        var offset = subtract({ x: x, y: y, z: z }, plane.center);
+
+        return {
+          a: dot(offset, plane.u),
+          b: dot(offset, plane.v),
+          distance: dot(offset, plane.normal)
+        };
+      }
+    };
+
+    if (options.center) {
+      plane.setCenter(options.center.x, options.center.y, options.center.z);
+    }
+
+    if (options.u && options.v) {
+      plane.setAxes(options.u, options.v);
+    } else if (options.normal) {
+      plane.setNormal(options.normal);
+    }
+
+    return plane;
+  };
+
+  ///////////////////////
+  // Private functions
+  ///////////////////////
+
+  function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+  }
+
+  function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  function scale(a, s) {
+    return { x: a.x * s, y: a.y * s, z: a.z * s };
+  }
+
+  function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  function cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x
+    };
+  }
+
+  function normalize(a) {
+    return scale(a, 1 / Math.sqrt(dot(a, a)));
+  }
+
+  function largestComponent(a) {
+    var x = Math.abs(a.x);
+    var y = Math.abs(a.y);
+    var z = Math.abs(a.z);
+
+    if (x >= y && x >= z) return a.x;
+    if (y >= z) return a.y;
+    return a.z;
+  }
+
+  // Rodrigues' rotation of vector a around the unit vector axis.
+  function rotateVector(a, axis, angle) {
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+
+    return add(
+      add(scale(a, cos), scale(cross(axis, a), sin)),
+      scale(axis, dot(axis, a) * (1 - cos))
+    );
+  }
+
+})();
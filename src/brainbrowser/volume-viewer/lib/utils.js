@@ -144,10 +144,322 @@
       }
       
       return target;
+    },
+
+    /**
+    * @doc function
+    * @name VolumeViewer.utils.interpolate
+    *
+    * @param {array} source Source values, one per pixel.
+    * @param {number} width Width of source image.
+    * @param {number} height Height of source image.
+    * @param {number} target_width Width of scaled image.
+    * @param {number} target_height Height of scaled image.
+    * @param {object} options Extra options:
+    * * **interpolation** One of **nearest**, **linear** or **cubic** (default: linear).
+    * * **array_type** Constructor for the result array type (default: Float32Array).
+    *
+    * @returns {array} The scaled values.
+    *
+    * @description
+    * Scale a single-valued image, such as the voxel values of a slice. Values
+    * are sampled at pixel centers, and the edge values are extended past the
+    * borders of the source. Cubic interpolation uses a Catmull-Rom spline, so
+    * it can overshoot the range of the source values.
+    * ```js
+    * BrainBrowser.VolumeViewer.utils.interpolate(slice.data, 256, 256, 512, 512, {
+    *   interpolation: "cubic"
+    * });
+    * ```
+    */
+    interpolate: function(source, width, height, target_width, target_height, options) {
+      options = options || {};
+
+      var interpolation = options.interpolation || "linear";
+      var ArrayType = options.array_type || Float32Array;
+      var sample = interpolation === "cubic" ? cubicSample : linearSample;
+      var x_ratio, y_ratio;
+      var target;
+      var target_x, target_y;
+      var x, y;
+      var i = 0;
+
+      if (interpolation === "nearest") {
+        return BrainBrowser.VolumeViewer.utils.nearestNeighbor(source, width, height, target_width, target_height, {
+          array_type: ArrayType
+        });
+      }
+
+      target = new ArrayType(target_width * target_height);
+      x_ratio = width / target_width;
+      y_ratio = height / target_height;
+
+      for (target_y = 0; target_y < target_height; target_y++) {
+        y = (target_y + 0.5) * y_ratio - 0.5;
+
+        for (target_x = 0; target_x < target_width; target_x++) {
+          x = (target_x + 0.5) * x_ratio - 0.5;
+          target[i++] = sample(source, width, height, x, y);
+        }
+      }
+
+      return target;
+    },
+
+    /**
+    * @doc function
+    * @name VolumeViewer.utils.sampleVoxel
+    *
+    * @param {object} volume The volume to sample.
+    * @param {number} i Voxel coordinate along the first dimension of the volume's order.
+    * @param {number} j Voxel coordinate along the second dimension.
+    * @param {number} k Voxel coordinate along the third dimension.
+    * @param {number} time (Optional) The time point to sample (default: 0).
+    * @param {string} interpolation (Optional) One of **nearest**, **linear** or
+    *   **cubic** (default: linear).
+    *
+    * @returns {number} The value of the volume at the given voxel coordinates, or
+    *   0 if they are outside the volume.
+    *
+    * @description
+    * Sample a volume between voxels. Voxel **n** covers coordinates from
+    * **n - 0.5** to **n + 0.5**.
+    * ```js
+    * BrainBrowser.VolumeViewer.utils.sampleVoxel(volume, 10.5, 20.25, 30, 0, "linear");
+    * ```
+    */
+    sampleVoxel: function(volume, i, j, k, time, interpolation) {
+      var header = volume.header;
+      var data = volume.data;
+      var lazy = BrainBrowser.utils.isFunction(data.get);
+      var coords = [i, j, k];
+      var lengths = [];
+      var offsets = [];
+      var indices = [];
+      var weights = [];
+      var time_offset = header.time ? (time || 0) * header.time.offset : 0;
+      var value = 0;
+      var base, fraction;
+      var d, a, b, c, offset;
+
+      for (d = 0; d < 3; d++) {
+        lengths[d] = header[header.order[d]].space_length;
+        offsets[d] = header[header.order[d]].offset;
+
+        if (!(coords[d] >= -0.5 && coords[d] <= lengths[d] - 0.5)) {
+          return 0;
+        }
+
+        if (interpolation === "nearest") {
+          indices[d] = [clampIndex(Math.round(coords[d]), lengths[d])];
+          weights[d] = [1];
+        } else {
+          base = Math.floor(coords[d]);
+          fraction = coords[d] - base;
+
+          if (interpolation === "cubic") {
+            indices[d] = [base - 1, base, base + 1, base + 2];
+            weights[d] = cubicWeights(fraction);
+          } else {
+            indices[d] = [base, base + 1];
+            weights[d] = [1 - fraction, fraction];
+          }
+
+          for (a = 0; a < indices[d].length; a++) {
+            indices[d][a] = clampIndex(indices[d][a], lengths[d]);
+          }
+        }
+      }
+
+      for (a = 0; a < indices[0].length; a++) {
+        for (b = 0; b < indices[1].length; b++) {
+          for (c = 0; c < indices[2].length; c++) {
+            offset = time_offset +
+              indices[0][a] * offsets[0] +
+              indices[1][b] * offsets[1] +
+              indices[2][c] * offsets[2];
+
+            value += weights[0][a] * weights[1][b] * weights[2][c] *
+              (lazy ? data.get(offset) : data[offset]);
+          }
+        }
+      }
+
+      return value;
+    },
+
+    /**
+    * @doc function
+    * @name VolumeViewer.utils.isCompressed
+    *
+    * @param {Uint8Array} bytes The start of the data to test.
+    *
+    * @returns {boolean} Whether the data starts with a gzip or zlib header.
+    *
+    * @description
+    * Check whether data was compressed with gzip or zlib, and so needs to be
+    * inflated before it is parsed.
+    * ```js
+    * if (BrainBrowser.VolumeViewer.utils.isCompressed(new Uint8Array(data))) {
+    *   data = pako.inflate(data).buffer;
+    * }
+    * ```
+    */
+    isCompressed: function(bytes) {
+      return (bytes[0] === 0x1f && bytes[1] === 0x8b) ||
+        (bytes[0] === 0x78 && (bytes[0] * 256 + bytes[1]) % 31 === 0);
+    },
+
+    /**
+    * @doc function
+    * @name VolumeViewer.utils.loaderOptions
+    *
+    * @param {object} description The description passed to the volume loader.
+    * @param {object} options (Optional) Other options for the request.
+    *
+    * @returns {object} The options to pass to **BrainBrowser.loader**.
+    *
+    * @description
+    * Add the options that tie a request made by a volume loader to the volume
+    * being loaded: its id for **loadprogress** events, and the error handler and
+    * abort signal set by the viewer.
+    * ```js
+    * BrainBrowser.loader.loadFromURL(url, callback,
+    *   BrainBrowser.VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer" })
+    * );
+    * ```
+    */
+    loaderOptions: function(description, options) {
+      return {
+        ...options,
+        progress_info: { vol_id: description.vol_id },
+        onerror: description.onerror,
+        signal: description.signal
+      };
+    },
+
+    /**
+    * @doc function
+    * @name VolumeViewer.utils.measurePoints
+    *
+    * @param {string} type The kind of measurement: **ruler**, **polyline**,
+    *   **angle** or **cobb**.
+    * @param {array} points The world coordinates of its points.
+    *
+    * @returns {object} The **length** in mm of rulers and polylines, with the
+    *   length of each of their **segments**, or the **angle** in degrees of
+    *   angles and Cobb angles.
+    *
+    * @description
+    * Measure distances and angles between world points, so voxel sizes are
+    * taken into account. An angle is measured at its second point, and a Cobb
+    * angle is the angle between the line from its first to its second point
+    * and the line from its third to its fourth point.
+    * ```js
+    * BrainBrowser.VolumeViewer.utils.measurePoints("angle", [
+    *   { x: 10, y: 0, z: 0 },
+    *   { x: 0, y: 0, z: 0 },
+    *   { x: 0, y: 10, z: 0 }
+    * ]).angle; // 90
+    * ```
+    */
+    measurePoints: function(type, points) {
+      var segments = [];
+      var length = 0;
+      var i;
+
+      if (type === "angle" || type === "cobb") {
+        return {
+          angle: type === "angle" ?
+            vectorAngle(difference(points[0], points[1]), difference(points[2], points[1])) :
+            vectorAngle(difference(points[1], points[0]), difference(points[3], points[2]))
+        };
+      }
+
+      for (i = 1; i < points.length; i++) {
+        segments.push(norm(difference(points[i], points[i - 1])));
+        length += segments[i - 1];
+      }
+
+      return {
+        length: length,
+        segments: segments
+      };
     }
-    
+
   };
-    
+
+  function difference(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  function norm(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  }
+
+  // Angle between two vectors, in degrees.
+  function vectorAngle(a, b) {
+    var lengths = norm(a) * norm(b);
+    var cosine = lengths > 0 ? (a.x * b.x + a.y * b.y + a.z * b.z) / lengths : 1;
+
+    return Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+  }
+
+  function clampIndex(index, length) {
+    return index < 0 ? 0 : (index >= length ? length - 1 : index);
+  }
+
+  // Catmull-Rom weights of the four samples around a point that lies
+  // at fraction t of the way between the second and third samples.
+  function cubicWeights(t) {
+    var t2 = t * t;
+    var t3 = t2 * t;
+
+    return [
+      (-t3 + 2 * t2 - t) / 2,
+      (3 * t3 - 5 * t2 + 2) / 2,
+      (-3 * t3 + 4 * t2 + t) / 2,
+      (t3 - t2) / 2
+    ];
+  }
+
+  function linearSample(source, width, height, x, y) {
+    var x0 = Math.floor(x);
+    var y0 = Math.floor(y);
+    var fx = x - x0;
+    var fy = y - y0;
+    var row0 = clampIndex(y0, height) * width;
+    var row1 = clampIndex(y0 + 1, height) * width;
+    var col0 = clampIndex(x0, width);
+    var col1 = clampIndex(x0 + 1, width);
+
+    return (source[row0 + col0] * (1 - fx) + source[row0 + col1] * fx) * (1 - fy) +
+      (source[row1 + col0] * (1 - fx) + source[row1 + col1] * fx) * fy;
+  }
+
+  function cubicSample(source, width, height, x, y) {
+    var x0 = Math.floor(x);
+    var y0 = Math.floor(y);
+    var wx = cubicWeights(x - x0);
+    var wy = cubicWeights(y - y0);
+    var value = 0;
+    var row, row_value;
+    var m, n;
+
+    for (n = 0; n < 4; n++) {
+      row = clampIndex(y0 + n - 1, height) * width;
+      row_value = 0;
+
+      for (m = 0; m < 4; m++) {
+        row_value += wx[m] * source[row + clampIndex(x0 + m - 1, width)];
+      }
+
+      value += wy[n] * row_value;
+    }
+
+    return value;
+  }
+
 })();
 
 
@@ -0,0 +1,337 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+BrainBrowser.VolumeViewer.modules.history = function(viewer) {
+  "use strict";
+
+  // Records with the same label made within this delay (in ms) are
+  // merged, so that continuous interactions are undone in one step.
+  var MERGE_DELAY = 1000;
+
+  var undo_stack = [];
+  var redo_stack = [];
+  var last_label = null;
+  var last_time = 0;
+
+  /**
+  * @doc object
+  * @name viewer.history
+  * @property {number} max_size The maximum number of snapshots kept for
+  *   undo (default: 50).
+  *
+  * @description
+  * Undo and redo of the viewer's state. A snapshot records, for each volume,
+  * its **position**, **color\_map**, **intensity\_min** and **intensity\_max**,
+  * and for each of its panels, the **zoom**, **image\_center**, **contrast**,
+  * **brightness** and annotations (**anchor**, **drawPoints** and **dragAnchor**). The **polylineWorldCoords**,
+  * **lineWorldCoords** and **pointsWorldCoords** annotation lists of the viewer
+  * are also recorded.
+  *
+  * Mouse, wheel and keyboard interactions with the panels are recorded
+  * automatically, along with changes to trajectory points (see
+  * **viewer.setTrajectoryPoint()**), and are undone with Ctrl+Z and redone
+  * with Ctrl+Y or Ctrl+Shift+Z (Cmd on Mac). Applications should call
+  * **record()** before changing the state themselves, e.g. with
+  * **display.setContrast()**, and can add changes of their own with
+  * **recordStep()**.
+  *
+  * Label, ROI and measurement edits aren't recorded, so the shortcuts don't
+  * undo them. Labels are painted into the label volume's data, which isn't
+  * copied into snapshots. ROIs and measurements can be removed with
+  * **viewer.removeROI()** and **viewer.removeMeasurement()**.
+  */
+  viewer.history = {
+    max_size: 50,
+
+    /**
+    * @doc function
+    * @name viewer.history:record
+    * @param {string} label (optional) Kind of change about to be made.
+    *   Consecutive records with the same label are merged if they are made
+    *   less than a second apart.
+    *
+    * @description
+    * Record the current state before changing it. Clears the redo stack.
+    * ```js
+    * viewer.history.record("contrast");
+    * viewer.volumes[0].display.setContrast(1.5);
+    * viewer.redrawVolumes();
+    * ```
+    */
+    record: function(label) {
+      var now = Date.now();
+
+      if (label && label === last_label && now - last_time < MERGE_DELAY) {
+        last_time = now;
+        return;
+      }
+
+      last_label = label || null;
+      last_time = now;
+
+      pushUndo(takeSnapshot());
+    },
+
+    /**
+    * @doc function
+    * @name viewer.history:recordStep
+    * @param {object} step A change that was just made, with an **undo**
+    *   function reverting it and a **redo** function making it again.
+    *
+    * @description
+    * Record a change that isn't part of the snapshots, so that it's undone
+    * and redone in order with the other changes. Clears the redo stack.
+    * ```js
+    * var opacity = volume.opacity;
+    *
+    * volume.opacity = 0.5;
+    * viewer.history.recordStep({
+    *   undo: function() { volume.opacity = opacity; viewer.redrawVolumes(); },
+    *   redo: function() { volume.opacity = 0.5; viewer.redrawVolumes(); }
+    * });
+    * ```
+    */
+    recordStep: function(step) {
+      last_label = null;
+
+      pushUndo({ step: step });
+    },
+
+    /**
+    * @doc function
+    * @name viewer.history:undo
+    *
+    * @returns {boolean} Whether there was a snapshot to restore.
+    *
+    * @description
+    * Restore the state recorded before the last change.
+    * ```js
+    * viewer.history.undo();
+    * ```
+    */
+    undo: function() {
+      return restore(undo_stack, redo_stack, "undo");
+    },
+
+    /**
+    * @doc function
+    * @name viewer.history:redo
+    *
+    * @returns {boolean} Whether there was an undone change to restore.
+    *
+    * @description
+    * Restore the state undone by the last call to **undo()**.
+    * ```js
+    * viewer.history.redo();
+    * ```
+    */
+    redo: function() {
+      return restore(redo_stack, undo_stack, "redo");
+    },
+
+    /**
+    * @doc function
+    * @name viewer.history:canUndo
+    *
+    * @returns {boolean} Whether **undo()** can restore a snapshot.
+    *
+    * @description
+    * Check if there are changes to undo.
+    * ```js
+    * undo_button.disabled = !viewer.history.canUndo();
+    * ```
+    */
+    canUndo: function() {
+      return undo_stack.length > 0;
+    },
+
+    /**
+    * @doc function
+    * @name viewer.history:canRedo
+    *
+    * @returns {boolean} Whether **redo()** can restore a snapshot.
+    *
+    * @description
+    * Check if there are undone changes to redo.
+    * ```js
+    * redo_button.disabled = !viewer.history.canRedo();
+    * ```
+    */
+    canRedo: function() {
+      return redo_stack.length > 0;
+    },
+
+    /**
+    * @doc function
+    * @name viewer.history:clear
+    *
+    * @description
+    * Discard all recorded snapshots, e.g. after loading new volumes.
+    * ```js
+    * viewer.history.clear();
+    * ```
+    */
+    clear: function() {
+      undo_stack.length = 0;
+      redo_stack.length = 0;
+      last_label = null;
+
+      triggerHistoryChange();
+    }
+  };
+
+  ///////////////////////////
+  // Private functions
+  ///////////////////////////
+
+  function takeSnapshot() {
+    return {
+      volumes: (viewer.volumes || []).filter(function(volume) {
+        return volume;
+      }).map(function(volume) {
+        var panels = [];
+
+        if (volume.display) {
+          volume.display.forEach(function(panel) {
+            panels.push({
+              panel: panel,
+              zoom: panel.zoom,
+              image_center: {
+                x: panel.image_center.x,
+                y: panel.image_center.y
+              },
+              contrast: panel.contrast,
+              brightness: panel.brightness,
+              anchor: copyList(panel.anchor),
+              drawPoints: copyList(panel.drawPoints),
+              dragAnchor: panel.dragAnchor ? Object.assign({}, panel.dragAnchor) : panel.dragAnchor
+            });
+          });
+        }
+
+        return {
+          volume: volume,
+          position: Object.assign({}, volume.position),
+          color_map: volume.color_map,
+          intensity_min: volume.intensity_min,
+          intensity_max: volume.intensity_max,
+          panels: panels
+        };
+      }),
+      polylineWorldCoords: copyList(viewer.polylineWorldCoords),
+      lineWorldCoords: copyList(viewer.lineWorldCoords),
+      pointsWorldCoords: copyList(viewer.pointsWorldCoords)
+    };
+  }
+
+  function applySnapshot(snapshot) {
+    snapshot.volumes.forEach(function(state) {
+      var volume = state.volume;
+
+      // The volume was removed since the snapshot was taken.
+      if (viewer.volumes.indexOf(volume) === -1) {
+        return;
+      }
+
+      Object.assign(volume.position, state.position);
+      volume.color_map = state.color_map;
+      volume.intensity_min = state.intensity_min;
+      volume.intensity_max = state.intensity_max;
+
+      state.panels.forEach(function(panel_state) {
+        var panel = panel_state.panel;
+
+        panel.zoom = panel_state.zoom;
+        panel.image_center.x = panel_state.image_center.x;
+        panel.image_center.y = panel_state.image_center.y;
+        panel.contrast = panel_state.contrast;
+        panel.brightness = panel_state.brightness;
+        panel.anchor = copyList(panel_state.anchor);
+        panel.drawPoints = copyList(panel_state.drawPoints);
+        panel.dragAnchor = panel_state.dragAnchor ? Object.assign({}, panel_state.dragAnchor) : panel_state.dragAnchor;
+        panel.updated = true;
+      });
+    });
+
+    viewer.polylineWorldCoords = copyList(snapshot.polylineWorldCoords);
+    viewer.lineWorldCoords = copyList(snapshot.lineWorldCoords);
+    viewer.pointsWorldCoords = copyList(snapshot.pointsWorldCoords);
+
+    viewer.redrawVolumes();
+  }
+
+  function pushUndo(entry) {
+    var max_size = Math.max(viewer.history.max_size, 0);
+
+    undo_stack.push(entry);
+    if (undo_stack.length > max_size) {
+      undo_stack.splice(0, undo_stack.length - max_size);
+    }
+    redo_stack.length = 0;
+
+    triggerHistoryChange();
+  }
+
+  // Move the current state to one stack and restore the last
+  // snapshot of the other. Recorded steps are undone or redone
+  // and moved as they are.
+  function restore(from_stack, to_stack, action) {
+    var entry;
+
+    if (from_stack.length === 0) {
+      return false;
+    }
+
+    entry = from_stack.pop();
+    if (entry.step) {
+      entry.step[action]();
+      to_stack.push(entry);
+    } else {
+      to_stack.push(takeSnapshot());
+      applySnapshot(entry);
+    }
+    last_label = null;
+
+    triggerHistoryChange();
+
+    return true;
+  }
+
+  function triggerHistoryChange() {
+    viewer.triggerEvent("historychange", {
+      undo_count: undo_stack.length,
+      redo_count: redo_stack.length
+    });
+  }
+
+  // Copy a list of points so later changes to them aren't recorded.
+  function copyList(list) {
+    if (!Array.isArray(list)) {
+      return list;
+    }
+
+    return list.map(function(item) {
+      return item && typeof item === "object" ? Object.assign({}, item) : item;
+    });
+  }
+
+};
@@ -0,0 +1,667 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+BrainBrowser.VolumeViewer.modules.labels = function(viewer) {
+  "use strict";
+
+  var LABEL_TOOLS = ["brush", "eraser", "fill", "grow"];
+
+  /**
+  * @doc object
+  * @name viewer.label_editing
+  * @property {object} volume The label volume being edited.
+  * @property {number} vol_id The id of the label volume.
+  * @property {string} tool The tool used on the panels: **brush**,
+  *   **eraser**, **fill** or **grow**.
+  * @property {number} label The label written by the tools.
+  * @property {number} radius The radius of the brush and eraser, in mm.
+  * @property {number} tolerance The largest difference from the intensity of
+  *   the seed voxel of the voxels added by region growing.
+  * @property {number} max_voxels The largest number of voxels added by
+  *   region growing.
+  * @property {object} colors The colors of the labels, as [r, g, b] arrays
+  *   of values from 0 to 1, by label.
+  * @property {object} hidden The hidden labels.
+  *
+  * @description
+  * State of label editing, or null when it is disabled. Set it with
+  * **viewer.setLabelEditing()**.
+  */
+  viewer.label_editing = null;
+
+  /**
+  * @doc function
+  * @name viewer.labels:setLabelEditing
+  * @param {number} vol_id The id of the label volume to edit, or null to stop
+  *   editing.
+  * @param {object} options (optional) Editing options, which change the
+  *   current ones:
+  *
+  * * **tool** The tool used when dragging on the panels: **brush** (default),
+  *     **eraser**, **fill** (2D flood fill of the region of the same label)
+  *     or **grow** (3D region growing).
+  * * **label** The label written by the tools (default: 1).
+  * * **radius** The radius of the brush and eraser, in mm (default: 2).
+  * * **tolerance** The largest difference between the intensity of a voxel
+  *     added by region growing and that of the seed (default: 0).
+  * * **max\_voxels** The largest number of voxels added by region growing
+  *     (default: 1000000).
+  * * **source** The id of the volume whose intensities are used by region
+  *     growing (default: the volume of the panel clicked).
+  * * **colors** The colors of labels, as [r, g, b] arrays of values from 0
+  *     to 1, by label. Other labels get a default color.
+  *
+  * @description
+  * Edit the voxels of a label volume with the mouse. Dragging on a panel of any
+  * volume applies the tool at the cursor, and dragging with the shift key
+  * held still moves the image. The label volume is displayed with the colors
+  * of its labels, and label 0 is transparent.
+  *
+  * The voxels are written in the label volume's data, so it must have been
+  * loaded entirely (e.g. not with the **lazy** option). The edited volume can
+  * be saved with **viewer.exportVolume()**.
+  * ```js
+  * viewer.setLabelEditing(1, {
+  *   tool: "brush",
+  *   label: 3,
+  *   radius: 4,
+  *   colors: {
+  *     3: [1, 0.5, 0]
+  *   }
+  * });
+  * ```
+  */
+  viewer.setLabelEditing = function(vol_id, options) {
+    options = options || {};
+
+    var volume = viewer.volumes[vol_id];
+    var editing = viewer.label_editing;
+    var error_message;
+
+    if (vol_id === null) {
+      viewer.label_editing = null;
+      return;
+    }
+
+    if (!volume || !volume.data || BrainBrowser.utils.isFunction(volume.data.get) || volume.header.datatype === "rgb8") {
+      error_message = "Volume " + vol_id + " can't be edited as a label volume.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    if (options.tool !== undefined && LABEL_TOOLS.indexOf(options.tool) === -1) {
+      error_message = "Unknown label tool: " + options.tool;
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    if (!editing || editing.volume !== volume) {
+      editing = {
+        volume: volume,
+        vol_id: vol_id,
+        tool: "brush",
+        label: 1,
+        radius: 2,
+        tolerance: 0,
+        max_voxels: 1000000,
+        source: null,
+        colors: {},
+        hidden: {}
+      };
+    }
+
+    ["tool", "label", "radius", "tolerance", "max_voxels", "source"].forEach(function(name) {
+      if (options[name] !== undefined) {
+        editing[name] = options[name];
+      }
+    });
+
+    Object.keys(options.colors || {}).forEach(function(label) {
+      editing.colors[label] = options.colors[label];
+    });
+
+    viewer.label_editing = editing;
+    updateLabelColorMap();
+  };
+
+  /**
+  * @doc function
+  * @name viewer.labels:applyLabelTool
+  * @param {object} point The world coordinates where the tool is applied.
+  * @param {object} options (optional) Where the tool is applied:
+  *
+  * * **panel** The panel where the tool is used. Brushes paint in its plane,
+  *     and region growing uses the intensities of its volume by default.
+  * * **from** The previous point of a brush stroke. The brush paints along
+  *     the segment between the two points, and other tools do nothing.
+  *
+  * @returns {number} The number of voxels changed.
+  *
+  * @description
+  * Apply the current label tool. This is called when dragging on the panels.
+  * ```js
+  * viewer.applyLabelTool(viewer.volumes[0].getWorldCoords(), {
+  *   panel: viewer.volumes[0].display.getPanel("zspace")
+  * });
+  * ```
+  */
+  viewer.applyLabelTool = function(point, options) {
+    options = options || {};
+
+    var editing = getLabelEditing();
+    var panel = options.panel;
+    var plane_options = {
+      axis: panel && !panel.plane ? panel.axis : undefined,
+      plane: panel ? panel.plane : undefined,
+      from: options.from
+    };
+
+    switch (editing.tool) {
+    case "brush":
+    case "eraser":
+      return viewer.paintLabel(point, plane_options);
+    case "fill":
+      return options.from ? 0 : viewer.fillLabel(point, plane_options);
+    case "grow":
+      if (options.from) {
+        return 0;
+      }
+
+      return viewer.growLabelRegion(point, {
+        source: editing.source === null && panel ? panel.volume : editing.source
+      });
+    }
+
+    return 0;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.labels:paintLabel
+  * @param {object} point The world coordinates of the center of the brush.
+  * @param {object} options (optional) Options for the brush:
+  *
+  * * **label** The label to paint (default: the current label, or 0 when the
+  *     current tool is the eraser).
+  * * **radius** The radius of the brush, in mm (default: the current one).
+  * * **axis** Only paint the slice of this axis (xspace, yspace or zspace)
+  *     going through the point.
+  * * **plane** Only paint voxels within half a voxel of this plane (see
+  *     **BrainBrowser.VolumeViewer.createPlane()**).
+  * * **from** Paint along the segment from this point.
+  *
+  * Without an **axis** or a **plane**, a sphere is painted.
+  *
+  * @returns {number} The number of voxels changed.
+  *
+  * @description
+  * Paint a disk of voxels of the label volume.
+  * ```js
+  * viewer.paintLabel({ x: 10, y: -12, z: 30 }, { axis: "zspace", label: 2 });
+  * ```
+  */
+  viewer.paintLabel = function(point, options) {
+    options = options || {};
+
+    var editing = getLabelEditing();
+    var label = options.label;
+    var radius = options.radius === undefined ? editing.radius : options.radius;
+    var from = options.from;
+    var count = 0;
+    var length, steps, t, s;
+
+    if (label === undefined) {
+      label = editing.tool === "eraser" ? 0 : editing.label;
+    }
+
+    if (from) {
+      length = Math.sqrt(
+        (point.x - from.x) * (point.x - from.x) +
+        (point.y - from.y) * (point.y - from.y) +
+        (point.z - from.z) * (point.z - from.z)
+      );
+      steps = Math.max(1, Math.ceil(length / Math.max(radius / 2, getSmallestStep(editing.volume))));
+    } else {
+      steps = 0;
+    }
+
+    for (s = from ? 1 : 0; s <= steps; s++) {
+      t = steps === 0 ? 1 : s / steps;
+      count += paintDisk(editing.volume, {
+        x: from ? from.x + (point.x - from.x) * t : point.x,
+        y: from ? from.y + (point.y - from.y) * t : point.y,
+        z: from ? from.z + (point.z - from.z) * t : point.z
+      }, radius, label, options);
+    }
+
+    labelsChanged(label === 0 ? "eraser" : "brush", label, count);
+
+    return count;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.labels:fillLabel
+  * @param {object} point The world coordinates of the seed of the fill.
+  * @param {object} options Options for the fill:
+  *
+  * * **axis** The axis of the slice to fill (xspace, yspace or zspace).
+  * * **label** The label to fill with (default: the current label).
+  *
+  * @returns {number} The number of voxels changed.
+  *
+  * @description
+  * Flood fill the region of the slice, connected to the seed, whose voxels
+  * have the same label as the seed. Slices of oblique planes can't be filled.
+  * ```js
+  * viewer.fillLabel({ x: 10, y: -12, z: 30 }, { axis: "zspace", label: 2 });
+  * ```
+  */
+  viewer.fillLabel = function(point, options) {
+    options = options || {};
+
+    var editing = getLabelEditing();
+    var volume = editing.volume;
+    var grid = getGrid(volume);
+    var label = options.label === undefined ? editing.label : options.label;
+    var axis_index = volume.header.order.indexOf(options.axis);
+    var seed = volume.worldToVoxel(point.x, point.y, point.z);
+    var count = 0;
+    var dims, seed_offset, seed_value;
+
+    if (axis_index === -1 || !grid.contains(seed.i, seed.j, seed.k)) {
+      return 0;
+    }
+
+    dims = [0, 1, 2].filter(function(d) {
+      return d !== axis_index;
+    });
+    seed_offset = grid.offset(seed.i, seed.j, seed.k);
+    seed_value = volume.data[seed_offset];
+
+    if (seed_value !== label) {
+      count = floodFill(grid, seed, dims, function(offset) {
+        return volume.data[offset] === seed_value;
+      }, Infinity, function(offset) {
+        volume.data[offset] = label;
+      });
+    }
+
+    labelsChanged("fill", label, count);
+
+    return count;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.labels:growLabelRegion
+  * @param {object} point The world coordinates of the seed of the region.
+  * @param {object} options (optional) Options for the region growing:
+  *
+  * * **source** The volume, or id of the volume, whose intensities are
+  *     compared (default: the current source, or the label volume).
+  * * **tolerance** The largest difference between the intensity of a voxel
+  *     of the region and that of the seed (default: the current one).
+  * * **label** The label of the region (default: the current label).
+  * * **max\_voxels** The largest number of voxels in the region (default:
+  *     the current one).
+  *
+  * @returns {number} The number of voxels changed.
+  *
+  * @description
+  * Label the region of voxels connected to the seed (by their faces) whose
+  * intensities in the source volume are within the tolerance of the seed's.
+  * ```js
+  * viewer.growLabelRegion(viewer.volumes[0].getWorldCoords(), {
+  *   source: 0,
+  *   tolerance: 20,
+  *   label: 4
+  * });
+  * ```
+  */
+  viewer.growLabelRegion = function(point, options) {
+    options = options || {};
+
+    var editing = getLabelEditing();
+    var volume = editing.volume;
+    var grid = getGrid(volume);
+    var source = options.source === undefined ? editing.source : options.source;
+    var tolerance = options.tolerance === undefined ? editing.tolerance : options.tolerance;
+    var label = options.label === undefined ? editing.label : options.label;
+    var max_voxels = options.max_voxels === undefined ? editing.max_voxels : options.max_voxels;
+    var seed = volume.worldToVoxel(point.x, point.y, point.z);
+    var count = 0;
+    var getSourceValue, seed_value;
+
+    if (typeof source === "number") {
+      source = viewer.volumes[source];
+    }
+    source = source || volume;
+
+    if (!grid.contains(seed.i, seed.j, seed.k)) {
+      return 0;
+    }
+
+    getSourceValue = sourceValueGetter(volume, source);
+    seed_value = getSourceValue(seed.i, seed.j, seed.k);
+
+    floodFill(grid, seed, [0, 1, 2], function(offset, i, j, k) {
+      return Math.abs(getSourceValue(i, j, k) - seed_value) <= tolerance;
+    }, max_voxels, function(offset) {
+      if (volume.data[offset] !== label) {
+        volume.data[offset] = label;
+        count++;
+      }
+    });
+
+    labelsChanged("grow", label, count);
+
+    return count;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.labels:setLabelColor
+  * @param {number} label The label.
+  * @param {array} color The color of the label, as [r, g, b] values from 0 to 1.
+  *
+  * @description
+  * Set the color used to display a label of the label volume.
+  * ```js
+  * viewer.setLabelColor(3, [1, 0.5, 0]);
+  * ```
+  */
+  viewer.setLabelColor = function(label, color) {
+    getLabelEditing().colors[label] = color;
+    updateLabelColorMap();
+    viewer.redrawVolumes();
+  };
+
+  /**
+  * @doc function
+  * @name viewer.labels:setLabelVisibility
+  * @param {number} label The label.
+  * @param {boolean} visible Whether the label is displayed.
+  *
+  * @description
+  * Show or hide a label of the label volume.
+  * ```js
+  * viewer.setLabelVisibility(3, false);
+  * ```
+  */
+  viewer.setLabelVisibility = function(label, visible) {
+    var editing = getLabelEditing();
+
+    if (visible) {
+      delete editing.hidden[label];
+    } else {
+      editing.hidden[label] = true;
+    }
+
+    updateLabelColorMap();
+    viewer.redrawVolumes();
+  };
+
+  ///////////////////////////
+  // Private functions
+  ///////////////////////////
+
+  function getLabelEditing() {
+    var error_message;
+
+    if (!viewer.label_editing) {
+      error_message = "Label editing is not enabled. Use viewer.setLabelEditing() to enable it.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    return viewer.label_editing;
+  }
+
+  // Slices and distance maps of the label volume are out of date
+  // after an edit.
+  function labelsChanged(tool, label, count) {
+    var editing = viewer.label_editing;
+    var volume = editing.volume;
+
+    if (count === 0) {
+      return;
+    }
+
+    volume.clearCachedSlices();
+    delete volume.distance_maps;
+
+    if (label > volume.header.voxel_max) {
+      volume.header.voxel_max = label;
+      updateLabelColorMap();
+    }
+
+    viewer.redrawVolumes();
+
+    viewer.triggerEvent("labelchange", {
+      volume: volume,
+      tool: tool,
+      label: label,
+      count: count
+    });
+  }
+
+  // Display the labels with their colors, using a sparse color map
+  // with one color per label. Label 0 and hidden labels are transparent.
+  function updateLabelColorMap() {
+    var editing = viewer.label_editing;
+    var volume = editing.volume;
+    var max_label = Math.max(volume.header.voxel_max, editing.label, 1);
+    var lines = ["0 0 0 0 0"];
+    var cursor_color = volume.color_map ? volume.color_map.cursor_color : undefined;
+    var label, color;
+
+    Object.keys(editing.colors).forEach(function(key) {
+      max_label = Math.max(max_label, +key);
+    });
+    max_label = Math.floor(max_label);
+
+    for (label = 1; label <= max_label; label++) {
+      color = editing.colors[label] || defaultLabelColor(label);
+      lines.push([label, color[0], color[1], color[2], editing.hidden[label] ? 0 : 1].join(" "));
+    }
+
+    volume.color_map = BrainBrowser.createColorMap(lines.join("\n"), { scale: 255 });
+    volume.color_map.cursor_color = cursor_color;
+    volume.intensity_min = 0;
+    volume.intensity_max = max_label + 1;
+  }
+
+  // Distinct colors for consecutive labels, with hues a golden angle apart.
+  function defaultLabelColor(label) {
+    var hue = (label * 137.508) % 360 / 60;
+    var x = 1 - Math.abs(hue % 2 - 1);
+    var colors = [
+      [1, x, 0], [x, 1, 0], [0, 1, x],
+      [0, x, 1], [x, 0, 1], [1, 0, x]
+    ];
+
+    return colors[Math.floor(hue) % 6];
+  }
+
+  // Voxel indexing of a volume at its current time point.
+  function getGrid(volume) {
+    var header = volume.header;
+    var sizes = header.order.map(function(space) {
+      return header[space].space_length;
+    });
+    var offsets = header.order.map(function(space) {
+      return header[space].offset;
+    });
+    var time_offset = header.time ? volume.current_time * header.time.offset : 0;
+
+    return {
+      sizes: sizes,
+      contains: function(i, j, k) {
+        return i >= 0 && i < sizes[0] && j >= 0 && j < sizes[1] && k >= 0 && k < sizes[2];
+      },
+      offset: function(i, j, k) {
+        return time_offset + i * offsets[0] + j * offsets[1] + k * offsets[2];
+      }
+    };
+  }
+
+  function getSmallestStep(volume) {
+    var header = volume.header;
+
+    return Math.min(
+      Math.abs(header.xspace.step),
+      Math.abs(header.yspace.step),
+      Math.abs(header.zspace.step)
+    );
+  }
+
+  // Label the voxels within the radius of the point, in the slice of the
+  // axis or the plane given in the options, if any.
+  function paintDisk(volume, point, radius, label, options) {
+    var header = volume.header;
+    var grid = getGrid(volume);
+    var center = volume.worldToVoxel(point.x, point.y, point.z);
+    var normal = null;
+    var half_thickness = getSmallestStep(volume) / 2;
+    var count = 0;
+    var extents, di, dj, dk, i, j, k, offset, world, dx, dy, dz, along;
+
+    if (options.plane) {
+      normal = options.plane.normal;
+    } else if (options.axis) {
+      normal = header[options.axis].direction_cosines;
+      normal = { x: normal[0], y: normal[1], z: normal[2] };
+    }
+
+    extents = header.order.map(function(space) {
+      return space === options.axis ? 0 : Math.ceil(radius / Math.abs(header[space].step)) + 1;
+    });
+
+    for (di = -extents[0]; di <= extents[0]; di++) {
+      for (dj = -extents[1]; dj <= extents[1]; dj++) {
+        for (dk = -extents[2]; dk <= extents[2]; dk++) {
+          i = center.i + di;
+          j = center.j + dj;
+          k = center.k + dk;
+
+          if (!grid.contains(i, j, k)) {
+            continue;
+          }
+
+          world = volume.voxelToWorld(i, j, k);
+          dx = world.x - point.x;
+          dy = world.y - point.y;
+          dz = world.z - point.z;
+          along = normal ? dx * normal.x + dy * normal.y + dz * normal.z : 0;
+
+          if (options.plane && Math.abs(along) > half_thickness) {
+            continue;
+          }
+
+          if (dx * dx + dy * dy + dz * dz - along * along > radius * radius) {
+            continue;
+          }
+
+          offset = grid.offset(i, j, k);
+          if (volume.data[offset] !== label) {
+            volume.data[offset] = label;
+            count++;
+          }
+        }
+      }
+    }
+
+    return count;
+  }
+
+  // Breadth-first traversal of the voxels connected to the seed along the
+  // given dimensions, for which accept() is true. Returns the number of
+  // voxels visited.
+  function floodFill(grid, seed, dims, accept, max_voxels, visit) {
+    var sizes = grid.sizes;
+    var visited = new Uint8Array(sizes[0] * sizes[1] * sizes[2]);
+    var queue = [[seed.i, seed.j, seed.k]];
+    var head = 0;
+    var count = 0;
+    var voxel, neighbor, index, offset, d, delta;
+
+    visited[(seed.i * sizes[1] + seed.j) * sizes[2] + seed.k] = 1;
+
+    while (head < queue.length && count < max_voxels) {
+      voxel = queue[head++];
+      offset = grid.offset(voxel[0], voxel[1], voxel[2]);
+
+      if (!accept(offset, voxel[0], voxel[1], voxel[2])) {
+        continue;
+      }
+
+      visit(offset);
+      count++;
+
+      for (d = 0; d < dims.length; d++) {
+        for (delta = -1; delta <= 1; delta += 2) {
+          neighbor = voxel.slice();
+          neighbor[dims[d]] += delta;
+
+          if (!grid.contains(neighbor[0], neighbor[1], neighbor[2])) {
+            continue;
+          }
+
+          index = (neighbor[0] * sizes[1] + neighbor[1]) * sizes[2] + neighbor[2];
+          if (visited[index] === 0) {
+            visited[index] = 1;
+            queue.push(neighbor);
+          }
+        }
+      }
+    }
+
+    return count;
+  }
+
+  // Intensities of the source volume at the voxels of the label volume,
+  // read directly if both volumes have the same voxels.
+  function sourceValueGetter(volume, source) {
+    var header = volume.header;
+    var source_header = source.header;
+    var same_grid = header.order.every(function(space, d) {
+      return source_header.order[d] === space &&
+        source_header[space].space_length === header[space].space_length &&
+        source_header[space].step === header[space].step &&
+        source_header[space].start === header[space].start;
+    });
+
+    if (same_grid) {
+      return function(i, j, k) {
+        return source.getIntensityValue(i, j, k);
+      };
+    }
+
+    return function(i, j, k) {
+      var world = volume.voxelToWorld(i, j, k);
+
+      return source.getInterpolatedIntensityValue(world.x, world.y, world.z, undefined, "nearest");
+    };
+  }
+
+};
@@ -50,6 +50,12 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   *   the loaded volumes without any interface, or provide and object
   *   containing a description of the template to use for the UI (see below).
   * * **complete** {function} Callback invoked once all volumes are loaded.
+  * * **signal** {AbortSignal} Signal that cancels loading of all the volumes.
+  *
+  * @returns {Promise} Resolves with the array of loaded volumes (including the
+  *   overlay, if any) once all volumes are loaded, or rejects with the error of
+  *   the first volume that fails to load. Its **cancel()** method cancels loading
+  *   of all the volumes.
   *
   * @description
   * Initial load of volumes. Usage:
@@ -107,40 +113,52 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
     var num_descriptions = options.volumes.length;
     var complete = options.complete;
     var num_loaded = 0;
-    var i;
+    var controller = BrainBrowser.loader.createAbortController(options.signal);
 
-    function loadVolume(i) {
-      setVolume(i, {
-        ...volume_descriptions[i],
-        hideBorder,
-        hideCursor,
-      }, function() {
-        if (++num_loaded < num_descriptions) {
-          return;
+    var promise = new Promise(function(resolve, reject) {
+      var i;
+
+      function finish() {
+        if (BrainBrowser.utils.isFunction(complete)) {
+          complete();
         }
 
-        if (options.overlay && num_descriptions > 1) {
-          viewer.createOverlay(overlay_options, hideBorder, hideCursor, function() {
-            if (BrainBrowser.utils.isFunction(complete)) {
-              complete();
-            }
+        viewer.triggerEvent("volumesloaded");
+        resolve(viewer.volumes.slice());
+      }
 
-            viewer.triggerEvent("volumesloaded");
-          });
-        } else {
-          if (BrainBrowser.utils.isFunction(complete)) {
-            complete();
+      function loadVolume(i) {
+        setVolume(i, {
+          ...volume_descriptions[i],
+          hideBorder,
+          hideCursor,
+          signal: controller.signal,
+        }, function() {
+          if (++num_loaded < num_descriptions) {
+            return;
           }
 
-          viewer.triggerEvent("volumesloaded");
-        }
-      });
-    }
+          if (options.overlay && num_descriptions > 1) {
+            viewer.createOverlay({
+              ...overlay_options,
+              signal: controller.signal
+            }, hideBorder, hideCursor, finish).catch(reject);
+          } else {
+            finish();
+          }
+        }).catch(reject);
+      }
 
-    for (i = 0; i < num_descriptions; i++) {
-      loadVolume(i);
-    }
+      for (i = 0; i < num_descriptions; i++) {
+        loadVolume(i);
+      }
+    });
 
+    promise.cancel = function() {
+      controller.abort();
+    };
+
+    return promise;
   };
 
   /**
@@ -152,6 +170,8 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * @param {function} callback Callback to which the color map object will be passed
   *   after loading.
   *
+  * @returns {Promise} Resolves with the color map object.
+  *
   * @description
   * Load a color map for the specified volume.
   * ```js
@@ -161,7 +181,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * ```
   */
   viewer.loadVolumeColorMapFromURL = function(vol_id, url, cursor_color, callback) {
-    BrainBrowser.loader.loadColorMapFromURL(url, function(color_map) {
+    return BrainBrowser.loader.loadColorMapFromURL(url, function(color_map) {
       setVolumeColorMap(vol_id, color_map, cursor_color, callback);
     }, { scale: 255 });
   };
@@ -174,6 +194,8 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * @param {function} callback Callback to which the color map object will be passed
   *   after loading.
   *
+  * @returns {Promise} Resolves with the color map object.
+  *
   * @description
   * Load a default color map for the viewer. Used when a given volume
   *   doesn't have its color map set.
@@ -184,7 +206,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * ```
   */
   viewer.loadDefaultColorMapFromURL = function(url, cursor_color, callback) {
-    BrainBrowser.loader.loadColorMapFromURL(url, function(color_map) {
+    return BrainBrowser.loader.loadColorMapFromURL(url, function(color_map) {
       setDefaultColorMap(color_map, cursor_color, callback);
     }, { scale: 255 });
   };
@@ -198,6 +220,8 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * @param {function} callback Callback to which the color map object will be passed
   *   after loading.
   *
+  * @returns {Promise} Resolves with the color map object.
+  *
   * @description
   * Load a color map for the specified volume.
   * ```js
@@ -207,7 +231,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * ```
   */
   viewer.loadVolumeColorMapFromFile = function(vol_id, file_input, cursor_color, callback) {
-    BrainBrowser.loader.loadColorMapFromFile(file_input, function(color_map) {
+    return BrainBrowser.loader.loadColorMapFromFile(file_input, function(color_map) {
       setVolumeColorMap(vol_id, color_map, cursor_color, callback);
     }, { scale: 255 });
   };
@@ -220,6 +244,8 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * @param {function} callback Callback to which the color map object will be passed
   *   after loading.
   *
+  * @returns {Promise} Resolves with the color map object.
+  *
   * @description
   * Load a default color map for the viewer. Used when a given volume
   *   doesn't have its color map set.
@@ -230,7 +256,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * ```
   */
   viewer.loadDefaultColorMapFromFile = function(file_input, cursor_color, callback) {
-    BrainBrowser.loader.loadColorMapFromFile(file_input, function(color_map) {
+    return BrainBrowser.loader.loadColorMapFromFile(file_input, function(color_map) {
       setDefaultColorMap(color_map, cursor_color, callback);
     }, { scale: 255 });
   };
@@ -250,22 +276,97 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   */
   viewer.setVolumeColorMap = function(vol_id, color_map) {
     if (!viewer.volumes[vol_id]) return;
+    viewer.history.record();
     viewer.volumes[vol_id].color_map = color_map;
   };
 
+  /**
+  * @doc function
+  * @name viewer.loading:exportVolume
+  * @param {number} vol_id Index of the volume to export.
+  * @param {object} options (optional) Options for the export. The
+  *   **format** is the name of a writer of
+  *   **BrainBrowser.VolumeViewer.volume\_writers**, "nifti1" (the default)
+  *   or "mgh". If **gzip** is true, the file is compressed (.nii.gz or .mgz).
+  *
+  * @returns {Blob} The volume's file.
+  *
+  * @description
+  * Write a volume, with its current voxel values, to a file that can be
+  * loaded again with **viewer.loadVolume()**. This is how edited label
+  * volumes are saved. The file's transform is built from the **step**,
+  * **start** and **direction\_cosines** of the volume's axes, so the voxels
+  * keep their world coordinates.
+  * ```js
+  * var blob = viewer.exportVolume(vol_id, { format: "mgh", gzip: true });
+  * var link = document.createElement("a");
+  *
+  * link.href = URL.createObjectURL(blob);
+  * link.download = "labels.mgz";
+  * link.click();
+  * ```
+  */
+  viewer.exportVolume = function(vol_id, options) {
+    options = options || {};
+
+    var volume = viewer.volumes[vol_id];
+    var format = options.format || "nifti1";
+    var writer = VolumeViewer.volume_writers[format];
+    var file_data, error_message;
+
+    if (!volume || !volume.data) {
+      error_message = "No volume data to export for volume " + vol_id + ".";
+    } else if (!BrainBrowser.utils.isFunction(writer)) {
+      error_message = "Unknown volume export format: " + format;
+    }
+
+    if (error_message) {
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    file_data = writer(volume, options);
+    if (options.gzip) {
+      file_data = window.pako.gzip(new Uint8Array(file_data));
+    }
+
+    return new Blob([file_data], { type: "application/octet-stream" });
+  };
+
   /**
   * @doc function
   * @name viewer.loading:loadVolume
   * @param {object} volume_description Description of the volume to be loaded.
-  *   Must contain at least a **type** property that maps to the volume loaders in
-  *   **BrainBrowser.volume_loaders.** May contain a **template** property that
-  *   indicates the template to be used for the volume's UI. Other properties will be
-  *   specific to a particular volume type.
+  *   Must contain either a **type** property that maps to the volume loaders in
+  *   **BrainBrowser.volume_loaders**, or a **url**, **file** or **source** property
+  *   whose data will be recognized by one of the loaders registered with
+  *   **BrainBrowser.VolumeViewer.registerVolumeLoader()**. May contain a **template**
+  *   property that indicates the template to be used for the volume's UI. Other
+  *   properties will be specific to a particular volume type.
   * @param {function} callback Callback to which the new volume object will be passed
   *   after loading.
   *
+  * @returns {Promise} Resolves with the new volume object, or rejects with an error
+  *   created by **BrainBrowser.loader.createLoadError()**. Its **cancel()** method
+  *   cancels the load.
+  *
   * @description
-  * Load a new volume.
+  * Load a new volume. The download, inflation and parsing of the volume's files
+  * are reported by **loadprogress** events on **BrainBrowser.events**, with
+  * the index of the volume in their **vol\_id** property.
+  *
+  * The description's **interpolation** property (**nearest**, **linear** or **cubic**)
+  * sets how the volume's slices are resampled when they are displayed.
+  *
+  * The **views** property lists the panels to create (default: **xspace**, **yspace**
+  * and **zspace**). Any other view is an oblique panel, whose plane is given by the
+  * same key of the **planes** property (see **VolumeViewer.createPlane()**), and
+  * defaults to an axial plane. Oblique panels resample the volume on their plane
+  * and follow the cursor along the plane's normal.
+  *
+  * The load can also be cancelled with an **AbortSignal** given as the description's
+  * **signal** property. A cancelled load triggers a **loadcancelled** event, and a
+  * volume whose panels were being created is removed.
   * ```js
   * // Load over the network.
   * viewer.loadVolume({
@@ -278,6 +379,15 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   *   }
   * });
   *
+  * // Add an oblique panel.
+  * viewer.loadVolume({
+  *   url: "volume1.nii.gz",
+  *   views: ["xspace", "yspace", "zspace", "oblique"],
+  *   planes: {
+  *     oblique: { normal: { x: 0, y: 1, z: 1 } }
+  *   }
+  * });
+  *
   * // Load from local files.
   * viewer.loadVolume({
   *   type: "minc",
@@ -288,10 +398,61 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   *     viewer_insert_class: "volume-viewer-display"
   *   }
   * });
+  *
+  * // Detect the format of the volume.
+  * viewer.loadVolume({
+  *   url: "volume1.nii.gz"
+  * });
+  *
+  * // Wait for the volume, or handle errors.
+  * viewer.loadVolume(description).then(function(volume) {
+  *   // Manipulate the volume.
+  * }).catch(function(error) {
+  *   console.log(error.phase, error.url, error.status);
+  * });
   * ```
   */
   viewer.loadVolume = function(volume_description, callback) {
-    setVolume(viewer.volumes.length, volume_description, callback);
+    return setVolume(viewer.volumes.length, volume_description, callback);
+  };
+
+  /**
+  * @doc function
+  * @name viewer.loading:probeVolume
+  * @param {object} volume_description Description of the volume, as given to
+  *   **viewer.loadVolume()**.
+  *
+  * @returns {Promise} Resolves with the volume's header, or rejects with the
+  *   same errors as **viewer.loadVolume()**.
+  *
+  * @description
+  * Read the header of a volume, e.g. its dimensions and transform, without
+  * adding the volume to the viewer. Loaders that support the **header\_only**
+  * option, like the MGH loader, don't decode the voxel data. Other loaders
+  * load the whole volume, and only its header is kept.
+  * ```js
+  * viewer.probeVolume({ url: "volume1.mgz" }).then(function(header) {
+  *   console.log(header.xspace.space_length, header.yspace.space_length);
+  * });
+  * ```
+  */
+  viewer.probeVolume = function(volume_description) {
+    return new Promise(function(resolve, reject) {
+      var description = {
+        ...volume_description,
+        header_only: true,
+        onerror: reject
+      };
+
+      try {
+        openVolume(description, function(result) {
+          // Loaders without the header_only option give the whole volume.
+          resolve(result.header || result);
+        });
+      } catch (error) {
+        reject(BrainBrowser.loader.createLoadError(error, { phase: "parse" }));
+      }
+    });
   };
 
   /**
@@ -306,7 +467,9 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   */
   viewer.clearVolumes = function(cacheDom = false) {
     viewer.volumes.forEach(function(volume) {
-      volume.triggerEvent("eventmodelcleanup");
+      if (volume) {
+        volume.triggerEvent("eventmodelcleanup");
+      }
     });
 
     viewer.volumes = [];
@@ -321,10 +484,13 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   * @doc function
   * @name viewer.loading:createOverlay
   * @param {object} volume_description Will contain at most a **template**
-  *   property indicating the template to use for the UI.
+  *   property indicating the template to use for the UI, and the **views**
+  *   and **planes** of its panels (see **loadVolume()**).
   * @param {function} callback Callback to which the new overlay volume object
   *   will be passed after loading.
   *
+  * @returns {Promise} Resolves with the new overlay volume object.
+  *
   * @description
   * Create an overlay of the currently loaded volumes.
   * ```js
@@ -342,13 +508,17 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
     var overlay_type = description.type || 'overlay';
     var views = description.views;
 
-    viewer.loadVolume({
+    return viewer.loadVolume({
         hideBorder,
         hideCursor,
-        volumes: viewer.volumes,
+        volumes: viewer.volumes.filter(function(volume) {
+          return volume;
+        }),
         type: overlay_type,
         views: views,
-        template: description.template
+        planes: description.planes,
+        template: description.template,
+        signal: description.signal
       },
       callback
     );
@@ -374,10 +544,12 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   viewer.syncPosition = function(panel, volume, axis_name) {
     var wc = volume.getWorldCoords();
     viewer.volumes.forEach(function(synced_volume) {
-      if (synced_volume !== volume) {
+      if (synced_volume && synced_volume !== volume) {
         var synced_panel = synced_volume.display.getPanel(axis_name);
-        synced_panel.volume.setWorldCoords(wc.x, wc.y, wc.z);
-        synced_panel.updated = true;
+        synced_volume.setWorldCoords(wc.x, wc.y, wc.z);
+        if (synced_panel) {
+          synced_panel.updated = true;
+        }
         synced_volume.display.forEach(function(panel) {
           if (panel !== synced_panel) {
             panel.updateSlice();
@@ -391,21 +563,79 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   // Private Functions
   ///////////////////////////
 
-  // Open volume using appropriate volume loader
+  // Open volume using appropriate volume loader. Volumes described
+  // without a type are passed to the loader whose sniffer recognizes
+  // their data.
   function openVolume(volume_description, callback){
     var loader = VolumeViewer.volume_loaders[volume_description.type];
     var error_message;
 
-    if(loader){
+    if (!volume_description.type &&
+        (volume_description.url || volume_description.file || volume_description.source)) {
+      detectVolume(volume_description, callback);
+    } else if(loader){
       loader(volume_description, callback);
     } else {
-      error_message = "Unsuported Volume Type";
+      error_message = "Unsupported volume type: " + volume_description.type + "\n" +
+        "Registered volume loaders: " + Object.keys(VolumeViewer.volume_loaders).join(", ");
 
-      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      BrainBrowser.events.triggerEvent("error", {
+        message: error_message,
+        loaders: Object.keys(VolumeViewer.volume_loaders)
+      });
       throw new Error(error_message);
     }
   }
 
+  // Fetch the data of a volume described by a url, file or source,
+  // inflating it if necessary, and pass it as the source of the first
+  // registered loader whose sniffer recognizes it.
+  function detectVolume(volume_description, callback) {
+    var options = VolumeViewer.utils.loaderOptions(volume_description, { result_type: "arraybuffer", isVolume: true });
+
+    function sniff(data, filename) {
+      var bytes = new Uint8Array(data);
+      var names = Object.keys(VolumeViewer.volume_sniffers);
+      var error_message;
+      var i;
+
+      for (i = 0; i < names.length; i++) {
+        if (VolumeViewer.volume_sniffers[names[i]](bytes, filename)) {
+          var description = { ...volume_description, type: names[i], source: data, filename: filename };
+
+          delete description.url;
+          delete description.file;
+
+          VolumeViewer.volume_loaders[names[i]](description, callback);
+          return;
+        }
+      }
+
+      error_message = "Unknown volume format" + (filename ? ": " + filename : "") + "\n" +
+        "Registered volume loaders: " + names.join(", ");
+
+      BrainBrowser.events.triggerEvent("error", {
+        message: error_message,
+        loaders: names
+      });
+      throw new Error(error_message);
+    }
+
+    if (volume_description.url) {
+      BrainBrowser.loader.loadFromURL(volume_description.url, sniff, options);
+    } else if (volume_description.file) {
+      BrainBrowser.loader.loadFromFile(volume_description.file, sniff, options);
+    } else {
+      BrainBrowser.loader.inflate(volume_description.source, function(data) {
+        sniff(data, volume_description.filename);
+      }, options);
+    }
+  }
+
+  // Replaces the volume's data with a 256x256 stack of cross-sections along
+  // the trajectory given by the description's flyPoints. Kept for existing
+  // descriptions: viewer.showTrajectoryView() displays the same cross-sections
+  // without modifying the volume.
   function flyVolume(volume, flyPoints) {
     const { data, type } = volume;
     const { entry, target } = flyPoints;
@@ -555,6 +785,9 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
     return volume;
   }
 
+  // Distances in voxels of a 256 voxel cube, for flyVolume's vesselDistance.
+  // viewer.computeTrajectoryClearance() gives distances in mm for any mask,
+  // without blocking the page.
   function countVesselDistance(data, inter, xList, yList, zList) {
     const size = 256;
     const maxVal = size >> 1;
@@ -605,62 +838,201 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
   // Place a volume at a certain position in the volumes array.
   // This function should be used with care as empty places in the volumes
   // array will cause problems with rendering.
+  // Returns a Promise that resolves with the volume once its slices have
+  // been drawn. Errors from the volume loader reach the Promise through
+  // the description's onerror. The Promise's cancel() method, or the
+  // description's signal, cancels the load; a volume whose display was
+  // already being built is removed again.
   function setVolume(vol_id, volume_description, callback) {
     const { flyPoints, hideCursor, formatDataFun } = volume_description;
     const isFly = !!flyPoints;
-
-    openVolume(volume_description, function(volume) {
-      if (formatDataFun) {
-        volume.data = volume.data.map(formatDataFun);
+    const controller = BrainBrowser.loader.createAbortController(volume_description.signal);
+
+    const promise = new Promise(function(resolve, reject) {
+      var error_message;
+      var description = {
+        ...volume_description,
+        vol_id, // Lets loaders tag their loadprogress events.
+        onerror: reject,
+        signal: controller.signal
+      };
+
+      if (controller.signal.aborted) {
+        BrainBrowser.loader.reportCancel({ vol_id, phase: "download" }, description);
+        return;
       }
 
-      if (isFly && volume.type !== 'overlay') {
-        volume = flyVolume(volume, flyPoints);
+      // Loaders give only a header in header-only mode, which can't be
+      // displayed.
+      if (volume_description.header_only) {
+        error_message = "Volumes loaded with 'header_only' can't be displayed. " +
+          "Use viewer.probeVolume() to read the header of a volume.";
+        BrainBrowser.events.triggerEvent("error", { message: error_message });
+        reject(BrainBrowser.loader.createLoadError(error_message, { phase: "parse" }));
+        return;
       }
 
-      if (isFly) {
-        volume.flyPoints = flyPoints;
+      try {
+        openVolume(description, function(volume) {
+          if (controller.signal.aborted) {
+            BrainBrowser.loader.reportCancel({ vol_id, phase: "display" }, description);
+            return;
+          }
+
+          try {
+            displayVolume(volume);
+          } catch (error) {
+            reject(BrainBrowser.loader.createLoadError(error, { phase: "display" }));
+          }
+        });
+      } catch (error) {
+        reject(BrainBrowser.loader.createLoadError(error, { phase: "parse" }));
       }
-      var slices_loaded = 0;
-      var views = volume_description.views || ["xspace","yspace","zspace"];
 
-      BrainBrowser.events.addEventModel(volume);
+      function displayVolume(volume) {
+        var error_message;
 
-      volume.addEventListener("eventmodelcleanup", function() {
-        if (volume.display) {
-          volume.display.triggerEvent("eventmodelcleanup");
+        // formatDataFun and flyVolume() replace all of the volume's data,
+        // which lazily loaded volumes never hold.
+        if ((formatDataFun || isFly) && volume.data && BrainBrowser.utils.isFunction(volume.data.get)) {
+          error_message = "formatDataFun and flyPoints can't be used with volumes loaded with the 'lazy' option.";
+          BrainBrowser.events.triggerEvent("error", { message: error_message });
+          throw new Error(error_message);
         }
-      });
 
-      viewer.volumes[vol_id] = volume;
-      volume.color_map = default_color_map;
-      volume.display = createVolumeDisplay(viewer.dom_element, vol_id, volume_description);
-      volume.opacity = typeof volume_description.opacity === 'undefined' ? 1 : volume_description.opacity;
-      volume.propagateEventTo("*", viewer);
+        if (formatDataFun) {
+          volume.data = volume.data.map(formatDataFun);
+        }
 
-      ["xspace", "yspace", "zspace"].forEach(function(axis) {
-        volume.position[axis] = Math.floor(volume.header[axis].space_length / 2);
-      });
+        if (isFly && volume.type !== 'overlay') {
+          volume = flyVolume(volume, flyPoints);
+        }
 
-      if (isFly) {
-        volume.position['yspace'] = 0;
-      }
+        if (isFly) {
+          volume.flyPoints = flyPoints;
+        }
+        var slices_loaded = 0;
+        var views = volume_description.views || ["xspace","yspace","zspace"];
 
-      volume.display.forEach(function(panel) {
-        panel.hideCursor = hideCursor;
-        panel.updateSlice(function() {
-          if (++slices_loaded === views.length) {
-            viewer.triggerEvent("volumeloaded", {
-              volume: volume
-            });
-            if (BrainBrowser.utils.isFunction(callback)) {
-              callback(volume);
-            }
+        BrainBrowser.events.addEventModel(volume);
+
+        volume.addEventListener("eventmodelcleanup", function() {
+          if (volume.display) {
+            volume.display.triggerEvent("eventmodelcleanup");
           }
         });
+
+        viewer.volumes[vol_id] = volume;
+        volume.description = getStateDescription(volume_description);
+        volume.color_map = default_color_map;
+        if (volume_description.interpolation) {
+          volume.interpolation = volume_description.interpolation;
+        }
+        volume.display = createVolumeDisplay(viewer.dom_element, vol_id, volume_description);
+        volume.opacity = typeof volume_description.opacity === 'undefined' ? 1 : volume_description.opacity;
+        volume.propagateEventTo("*", viewer);
+
+        ["xspace", "yspace", "zspace"].forEach(function(axis) {
+          volume.position[axis] = Math.floor(volume.header[axis].space_length / 2);
+        });
+
+        if (isFly) {
+          volume.position['yspace'] = 0;
+        }
+
+        function cancelDisplay() {
+          removeVolume(vol_id);
+          BrainBrowser.loader.reportCancel({ vol_id, phase: "display" }, description);
+        }
+
+        controller.signal.addEventListener("abort", cancelDisplay);
+
+        volume.display.forEach(function(panel) {
+          panel.hideCursor = hideCursor;
+          panel.updateSlice(function() {
+            if (++slices_loaded === views.length && !controller.signal.aborted) {
+              controller.signal.removeEventListener("abort", cancelDisplay);
+              viewer.triggerEvent("volumeloaded", {
+                volume: volume
+              });
+              if (BrainBrowser.utils.isFunction(callback)) {
+                callback(volume);
+              }
+              resolve(volume);
+            }
+          });
+        });
+      }
+    });
+
+    promise.cancel = function() {
+      controller.abort();
+    };
+
+    return promise;
+  }
+
+  // The parts of a volume description that can be saved as JSON, so the
+  // volume can be loaded again by viewer.setState(). Data, files, callbacks
+  // and the volumes of overlays are left out.
+  function getStateDescription(value) {
+    var description;
+
+    if (value === null || ["string", "number", "boolean"].indexOf(typeof value) !== -1) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(function(item) {
+        var copy = getStateDescription(item);
+
+        return copy === undefined ? null : copy;
       });
+    }
+
+    if (typeof value !== "object" || Object.getPrototypeOf(value) !== Object.prototype) {
+      return undefined;
+    }
 
+    description = {};
+    Object.keys(value).forEach(function(name) {
+      var copy = ["volumes", "signal", "vol_id"].indexOf(name) === -1 ? getStateDescription(value[name]) : undefined;
+
+      if (copy !== undefined) {
+        description[name] = copy;
+      }
     });
+
+    return description;
+  }
+
+  // Remove a volume whose load was cancelled, along with its UI.
+  function removeVolume(vol_id) {
+    var volume = viewer.volumes[vol_id];
+    var container = viewer.containers[vol_id];
+
+    if (volume) {
+      volume.triggerEvent("eventmodelcleanup");
+    }
+
+    if (container && container.parentNode) {
+      container.parentNode.removeChild(container);
+    }
+
+    if (viewer.active_panel && viewer.active_panel.volume === volume) {
+      viewer.active_panel = null;
+    }
+
+    // The other volumes keep their ids, so this leaves a hole in the
+    // arrays. Loops over viewer.volumes have to skip it.
+    delete viewer.volumes[vol_id];
+    delete viewer.containers[vol_id];
+
+    // Don't leave holes at the end of the arrays.
+    while (viewer.volumes.length > 0 && !(viewer.volumes.length - 1 in viewer.volumes)) {
+      viewer.volumes.length--;
+    }
+    viewer.containers.length = viewer.volumes.length;
   }
 
   function setDefaultColorMap(color_map, cursor_color, callback) {
@@ -668,7 +1040,9 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
     default_color_map = color_map;
 
     viewer.volumes.forEach(function(volume) {
-      volume.color_map = volume.color_map || default_color_map;
+      if (volume) {
+        volume.color_map = volume.color_map || default_color_map;
+      }
     });
 
     if (BrainBrowser.utils.isFunction(callback)) {
@@ -708,6 +1082,15 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
     return template_elements;
   }
 
+  // Views other than the three orthogonal ones are oblique panels.
+  function getViewPlane(volume_description, axis_name) {
+    if (["xspace", "yspace", "zspace"].indexOf(axis_name) !== -1) {
+      return undefined;
+    }
+
+    return (volume_description.planes || {})[axis_name] || { normal: { x: 0, y: 0, z: 1 } };
+  }
+
   // Create canvases and add mouse interface.
   function createVolumeDisplay(dom_element, vol_id, volume_description) {
     var container = document.createElement("div");
@@ -738,6 +1121,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           canvas: canvas,
           hideBorder: volume_description.hideBorder,
           hideCursor: volume_description.hideCursor,
+          plane: getViewPlane(volume_description, axis_name),
           image_center: {
             x: canvas.width / 2,
             y: canvas.height / 2
@@ -775,11 +1159,22 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
         viewer.polylineWorldCoords = [];
         panel.anchor = viewer.anchor;
         panel.drawPoints = viewer.drawPoints;
+        panel.rois = viewer.rois;
+        panel.roi_tool = viewer.roi_tool;
+        panel.measurements = viewer.measurements;
+        panel.measurement_tool = viewer.measurement_tool;
         var canvas = panel.canvas;
         var last_touch_distance = null;
+        var trajectory_handle = null;
+        var window_level_start = null;
+        var label_point = null;
+        var roi_pointer = null;
+        var measuring = false;
+        var measurement_handle = null;
 
         viewer.clearPanel = function() {
           viewer.volumes.forEach(function(volume) {
+            if (!volume) return;
             volume.display.forEach(function(panel) {
               panel.anchor = [];
               panel.drawPoints = [];
@@ -793,10 +1188,46 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           if (!pointer) {
             return;
           }
+
+          // Grab the handle of an editable trajectory instead of moving the cursor.
+          trajectory_handle = panel.getTrajectoryHandle(pointer.x, pointer.y);
+          if (trajectory_handle) {
+            return;
+          }
+
+          // Apply the label tool at the cursor instead of drawing measurements.
+          if (viewer.label_editing && !shift_key) {
+            label_point = moveCursorForLabels(pointer);
+            viewer.applyLabelTool(label_point, { panel: panel });
+            return;
+          }
+
+          // Draw an ROI contour at the pointer instead of moving the cursor.
+          if (viewer.roi_tool && !shift_key && !panel.plane) {
+            applyROITool(pointer, "start");
+            return;
+          }
+
+          // Drag a point of a measurement, or add one at the pointer.
+          if (viewer.measurement_tool && !shift_key && !panel.plane) {
+            measuring = true;
+            measurement_handle = viewer.getMeasurementHandle(panel, pointer);
+            if (!measurement_handle) {
+              viewer.applyMeasurementTool(panel.cursorToWorld(pointer.x, pointer.y), {
+                panel: panel,
+                cursor: pointer
+              });
+            }
+            return;
+          }
+
+          viewer.history.record();
+
           var voxel = panel.cursorToVoxel(pointer.x, pointer.y);
           panel.isDrawPoints = viewer.isDrawPoints;
           if ((viewer.drawPolyline && panel.anchor.length === 0)) {
             viewer.volumes.forEach(function(volume) {
+              if (!volume) return;
               volume.display.forEach(function(panel) {
                 panel.anchor = [];
               });
@@ -813,6 +1244,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           if (viewer.isDrawPoints) {
             if (panel.drawPoints.length === 0) {
               viewer.volumes.forEach(function(volume) {
+                if (!volume) return;
                 volume.display.forEach(function(panel) {
                   panel.drawPoints = [];
                   viewer.pointsWorldCoords = [];
@@ -869,6 +1301,32 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           if(!pointer) {
             return;
           }
+          if (label_point) {
+            var previous_label_point = label_point;
+
+            label_point = moveCursorForLabels(pointer);
+            viewer.applyLabelTool(label_point, { panel: panel, from: previous_label_point });
+            return;
+          }
+          if (roi_pointer) {
+            applyROITool(pointer, "drag");
+            return;
+          }
+          if (measuring) {
+            if (measurement_handle) {
+              moveMeasurementPoint(pointer);
+            }
+            return;
+          }
+          if (trajectory_handle) {
+            viewer.setTrajectoryPoint(
+              trajectory_handle.index,
+              trajectory_handle.end,
+              panel.cursorToTrajectoryPoint(pointer.x, pointer.y, trajectory_handle.point),
+              { record: false }
+            );
+            return;
+          }
           var drag_delta;
           if(shift_key) {
             drag_delta = panel.followPointer(pointer);
@@ -876,7 +1334,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
               viewer.volumes.forEach(function(synced_volume, synced_vol_id) {
                 var synced_panel;
 
-                if (synced_vol_id !== vol_id) {
+                if (synced_volume && synced_vol_id !== vol_id) {
                   synced_panel = synced_volume.display.getPanel(axis_name);
                   synced_panel.translateImage(drag_delta.dx, drag_delta.dy);
                 }
@@ -917,10 +1375,82 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           }
         }
 
+        // The label tools are applied at the cursor, which follows the pointer.
+        function moveCursorForLabels(pointer) {
+          panel.updateVolumePosition(pointer.x, pointer.y);
+          volume.display.forEach(function(other_panel) {
+            if (panel !== other_panel) {
+              other_panel.updateSlice();
+            }
+          });
+          panel.updated = true;
+
+          if (viewer.synced) {
+            viewer.syncPosition(panel, volume, axis_name);
+          }
+
+          return volume.getWorldCoords();
+        }
+
+        // The ROI tools draw at the pointer, on the panel's slice.
+        function applyROITool(pointer, phase) {
+          roi_pointer = phase === "end" ? null : { x: pointer.x, y: pointer.y };
+          viewer.applyROITool(panel.cursorToWorld(pointer.x, pointer.y), {
+            panel: panel,
+            cursor: pointer,
+            phase: phase
+          });
+        }
+
+        function moveMeasurementPoint(pointer) {
+          var measurement = viewer.getMeasurement(measurement_handle.id);
+          var points;
+
+          if (!measurement) {
+            measurement_handle = null;
+            return;
+          }
+
+          points = measurement.points.slice();
+          points[measurement_handle.index] = panel.cursorToWorld(pointer.x, pointer.y);
+          viewer.updateMeasurement(measurement.id, { points: points });
+        }
+
+        // Record the whole drag of a trajectory handle as one change.
+        function endTrajectoryDrag() {
+          var trajectory = viewer.trajectories[trajectory_handle.index];
+
+          viewer.setTrajectoryPoint(trajectory_handle.index, trajectory_handle.end, trajectory[trajectory_handle.end], {
+            original: trajectory_handle.point
+          });
+          trajectory_handle = null;
+          current_target = null;
+        }
+
         function mouseDragEnd(event) {
           event.preventDefault();
           document.removeEventListener("mousemove", mouseDrag, false);
           document.removeEventListener("mouseup", mouseDragEnd, false);
+          if (trajectory_handle) {
+            endTrajectoryDrag();
+            return;
+          }
+          if (label_point) {
+            label_point = null;
+            current_target = null;
+            return;
+          }
+          if (roi_pointer) {
+            applyROITool(roi_pointer, "end");
+            current_target = null;
+            return;
+          }
+          if (measuring) {
+            measuring = false;
+            measurement_handle = null;
+            current_target = null;
+            return;
+          }
           var coords = viewer.volumes[viewer.volumes.length - 1].getWorldCoords();
           if (panel.anchor && viewer.drawPolyline) {
             var lastAnchor = panel.anchor[panel.anchor.length - 1];
@@ -938,6 +1468,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
             panel.dragAnchor = voxel;
             if (panel.anchor.length > 1 || panel.anchor.length === 0) {
               viewer.volumes.forEach(function(volume) {
+                if (!volume) return;
                 volume.display.forEach(function(panel) {
                   panel.anchor = [];
                 });
@@ -960,7 +1491,28 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
         function touchDragEnd() {
           document.removeEventListener("touchmove", touchDrag, false);
           document.removeEventListener("touchend", touchDragEnd, false);
+          if (trajectory_handle) {
+            endTrajectoryDrag();
+            return;
+          }
+          if (label_point) {
+            label_point = null;
+            current_target = null;
+            return;
+          }
+          if (roi_pointer) {
+            applyROITool(roi_pointer, "end");
+            current_target = null;
+            return;
+          }
+          if (measuring) {
+            measuring = false;
+            measurement_handle = null;
+            current_target = null;
+            return;
+          }
           viewer.volumes.forEach(function(volume) {
+            if (!volume) return;
             volume.display.forEach(function(panel) {
               // panel.anchor = null;
             });
@@ -968,6 +1520,54 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           current_target = null;
         }
 
+        // Right-drag changes the window with vertical motion
+        // and the level with horizontal motion.
+        function startWindowLevelDrag() {
+          var window_level = viewer.getWindowLevel(vol_id);
+
+          viewer.history.record();
+
+          // Dragging across the panel covers the full range of the data.
+          window_level_start = {
+            x: panel.mouse.x,
+            y: panel.mouse.y,
+            window: window_level.window,
+            level: window_level.level,
+            range: (volume.header.voxel_max - volume.header.voxel_min) || window_level.window
+          };
+
+          document.addEventListener("mousemove", windowLevelDrag, false);
+          document.addEventListener("mouseup", windowLevelDragEnd, false);
+          document.addEventListener("contextmenu", windowLevelContextmenu, false);
+        }
+
+        // Some platforms open the context menu where the right button is
+        // released, which can be outside the canvas.
+        function windowLevelContextmenu(event) {
+          event.preventDefault();
+          document.removeEventListener("contextmenu", windowLevelContextmenu, false);
+        }
+
+        function windowLevelDrag(event) {
+          var start = window_level_start;
+
+          event.preventDefault();
+
+          viewer.setWindowLevel(
+            vol_id,
+            start.window + (panel.mouse.y - start.y) * start.range / canvas.height,
+            start.level + (panel.mouse.x - start.x) * start.range / canvas.width
+          );
+        }
+
+        function windowLevelDragEnd(event) {
+          event.preventDefault();
+          document.removeEventListener("mousemove", windowLevelDrag, false);
+          document.removeEventListener("mouseup", windowLevelDragEnd, false);
+          window_level_start = null;
+          current_target = null;
+        }
+
         function touchZoom(event) {
           var dx = panel.touches[0].x - panel.touches[1].x;
           var dy = panel.touches[0].y - panel.touches[1].y;
@@ -980,6 +1580,7 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           if (last_touch_distance !== null) {
             delta = distance - last_touch_distance;
 
+            viewer.history.record("zoom");
             zoom(delta * 0.2);
           }
 
@@ -1006,6 +1607,12 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
             other_panel.hideCursor = false;
           });
           viewer.active_panel = panel;
+
+          if (event.button === 2 && viewer.window_level_drag) {
+            startWindowLevelDrag();
+            return;
+          }
+
           document.addEventListener("mousemove", mouseDrag , false);
           document.addEventListener("mouseup", mouseDragEnd, false);
 
@@ -1042,11 +1649,23 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           if (event.ctrlKey) {
             event.preventDefault();
 
+            viewer.history.record("zoom");
             zoom(Math.max(-1, Math.min(1, (event.wheelDelta || -event.detail))));
           }else {
            const wheelDelta = Math.max(-1, Math.min(1, (event.wheelDelta || -event.detail)));
            const { i, j, k } = panel.volume.getVoxelCoords();
-           if (panel.axis === "xspace") {
+           viewer.history.record("wheel");
+           if (panel.plane) {
+              // Step through the volume along the plane's normal.
+              const { x, y, z } = panel.volume.getWorldCoords();
+              const { normal } = panel.plane;
+              const step = wheelDelta * panel.slice.width_space.step;
+              panel.volume.setWorldCoords(x + normal.x * step, y + normal.y * step, z + normal.z * step);
+              volume.display.forEach(function(other_panel) {
+                other_panel.updateSlice();
+              });
+              return;
+           }else if (panel.axis === "xspace") {
               if (i === 0 || i >= 256) return;
               panel.volume.setVoxelCoords(i + wheelDelta, j, k);
            }else if (panel.axis === "yspace") {
@@ -1069,9 +1688,10 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
 
           if (viewer.synced){
             viewer.volumes.forEach(function(synced_volume, synced_vol_id) {
-              var synced_panel = synced_volume.display.getPanel(axis_name);
+              var synced_panel;
 
-              if (synced_vol_id !== vol_id) {
+              if (synced_volume && synced_vol_id !== vol_id) {
+                synced_panel = synced_volume.display.getPanel(axis_name);
                 synced_panel.zoom = panel.zoom;
                 synced_panel.updateVolumePosition();
                 synced_panel.updateSlice();
@@ -1080,11 +1700,12 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
           }
         }
 
+        // Distance in mm between two positions on the panel.
         function calculationLine(start, end, panel) {
-          var  dx = (start.x - end.x) / panel.zoom;
-          var  dy = (start.y - end.y) / panel.zoom;
+          var start_world = panel.cursorToWorld(start.x, start.y);
+          var end_world = panel.cursorToWorld(end.x, end.y);
 
-          return Math.sqrt(dx * dx + dy * dy);
+          return VolumeViewer.utils.measurePoints("ruler", [start_world, end_world]).length;
         }
 
         function drawPolylLineCallBack(pointer) {
@@ -1156,6 +1777,10 @@ BrainBrowser.VolumeViewer.modules.loading = function(viewer) {
       if (volume_description.show_volume !== false) {
         try {
           setTimeout(() => {
+            // The volume may have been removed, if its load was cancelled.
+            if (viewer.containers[vol_id] !== container) {
+              return;
+            }
             viewer.dom_element.innerHTML = "";
             dom_element.appendChild(container);
           }, 60);
@@ -0,0 +1,485 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+BrainBrowser.VolumeViewer.modules.measurements = function(viewer) {
+  "use strict";
+
+  var VolumeViewer = BrainBrowser.VolumeViewer;
+
+  // Number of points of each kind of measurement. Polylines have
+  // any number of points, from 2.
+  var MEASUREMENT_POINTS = {
+    ruler: 2,
+    polyline: 0,
+    angle: 3,
+    cobb: 4
+  };
+
+  // Distance from a point, in pixels, within which it is grabbed, or a
+  // click on the last point of a polyline finishes it.
+  var HANDLE_RADIUS = 6;
+
+  var next_id = 1;
+
+  /**
+  * @doc object
+  * @name viewer.measurements
+  *
+  * @description
+  * The distance and angle measurements, in the order they were added. Each
+  * measurement has:
+  *
+  * * **id** Its id.
+  * * **type** **ruler**, **polyline**, **angle** or **cobb**.
+  * * **axis** The axis (xspace, yspace or zspace) of the panels it is
+  *     drawn on. It is shown on the slice of its first point.
+  * * **points** The world coordinates of its points.
+  * * **color** Its color on the panels.
+  *
+  * Use **viewer.addMeasurement()**, **viewer.updateMeasurement()** and
+  * **viewer.removeMeasurement()** to change them. They are drawn from their
+  * world coordinates, so they follow the zoom and panning of the panels.
+  */
+  viewer.measurements = [];
+
+  /**
+  * @doc object
+  * @name viewer.measurement_tool
+  * @property {string} tool The kind of measurement drawn on the panels:
+  *   **ruler**, **polyline**, **angle** or **cobb**.
+  * @property {string} color The color of the new measurements.
+  * @property {object} pending The measurement being drawn, or null.
+  *
+  * @description
+  * State of the measurement tool, or null when it is disabled. Set it with
+  * **viewer.setMeasurementTool()**.
+  */
+  viewer.measurement_tool = null;
+
+  /**
+  * @doc function
+  * @name viewer.measurements:setMeasurementTool
+  * @param {string} tool The kind of measurement to draw on the panels,
+  *   **ruler**, **polyline**, **angle** or **cobb**, or null to stop
+  *   measuring.
+  * @param {object} options (optional) The **color** of the new measurements
+  *   (default: "#00FF00").
+  *
+  * @description
+  * Measure on the orthogonal panels by clicking the points of a measurement:
+  * the two ends of a ruler, the three points of an angle (its vertex second),
+  * or the two lines of a Cobb angle. A polyline is finished by clicking its
+  * last point again, or with **viewer.finishMeasurement()**.
+  *
+  * While a tool is set, the points of the measurements shown on a panel can
+  * be dragged. Dragging with the shift key held still moves the image.
+  * ```js
+  * viewer.setMeasurementTool("cobb");
+  * viewer.addEventListener("measurementchange", function(event) {
+  *   console.log(event.value.angle);
+  * });
+  * ```
+  */
+  viewer.setMeasurementTool = function(tool, options) {
+    options = options || {};
+
+    var error_message;
+
+    if (tool === null) {
+      viewer.measurement_tool = null;
+      updatePanels();
+      return;
+    }
+
+    if (!MEASUREMENT_POINTS.hasOwnProperty(tool)) {
+      error_message = "Unknown measurement tool: " + tool;
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    viewer.measurement_tool = {
+      tool: tool,
+      color: options.color || "#00FF00",
+      pending: null
+    };
+    updatePanels();
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:applyMeasurementTool
+  * @param {object} point The world coordinates of the click.
+  * @param {object} options Where the tool is applied:
+  *
+  * * **panel** The orthogonal panel clicked.
+  * * **cursor** The position of the click on the panel's canvas.
+  *
+  * @returns {object} The new measurement when it is complete, or null.
+  *
+  * @description
+  * Add a point to the measurement being drawn. This is called when clicking
+  * on the panels.
+  * ```js
+  * viewer.applyMeasurementTool(panel.cursorToWorld(x, y), {
+  *   panel: panel,
+  *   cursor: { x: x, y: y }
+  * });
+  * ```
+  */
+  viewer.applyMeasurementTool = function(point, options) {
+    options = options || {};
+
+    var measurement_tool = viewer.measurement_tool;
+    var panel = options.panel;
+    var pending, last, cursor;
+
+    if (!measurement_tool || !panel || panel.plane) {
+      return null;
+    }
+
+    pending = measurement_tool.pending;
+
+    // A click on a panel of another axis starts a new measurement.
+    if (!pending || pending.axis !== panel.axis) {
+      measurement_tool.pending = pending = {
+        type: measurement_tool.tool,
+        axis: panel.axis,
+        points: []
+      };
+    }
+
+    if (pending.type === "polyline" && pending.points.length >= 2 && options.cursor) {
+      last = pending.points[pending.points.length - 1];
+      cursor = panel.worldToCursor(last.x, last.y, last.z);
+      if (distance2D(cursor, options.cursor) <= HANDLE_RADIUS) {
+        return viewer.finishMeasurement();
+      }
+    }
+
+    pending.points.push(point);
+
+    if (pending.points.length === MEASUREMENT_POINTS[pending.type]) {
+      return viewer.finishMeasurement();
+    }
+
+    updatePanels();
+    return null;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:finishMeasurement
+  *
+  * @returns {object} The new measurement, or null if the measurement being
+  *   drawn doesn't have enough points.
+  *
+  * @description
+  * Finish the measurement being drawn, e.g. a polyline on a double click.
+  * ```js
+  * viewer.finishMeasurement();
+  * ```
+  */
+  viewer.finishMeasurement = function() {
+    var measurement_tool = viewer.measurement_tool;
+    var pending = measurement_tool ? measurement_tool.pending : null;
+    var count;
+
+    if (!pending) {
+      return null;
+    }
+
+    measurement_tool.pending = null;
+    count = MEASUREMENT_POINTS[pending.type] || 2;
+
+    if (pending.points.length < count) {
+      updatePanels();
+      return null;
+    }
+
+    return viewer.addMeasurement({
+      type: pending.type,
+      axis: pending.axis,
+      points: pending.points,
+      color: measurement_tool.color
+    });
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:addMeasurement
+  * @param {object} description The measurement to add: its **type**
+  *   (**ruler**, **polyline**, **angle** or **cobb**), the **axis** of the
+  *   panels it is drawn on, the world coordinates of its **points** and
+  *   optionally its **color** (default: "#00FF00").
+  *
+  * @returns {object} The new measurement.
+  *
+  * @description
+  * Add a measurement and trigger a **measurementchange** event with its value.
+  * ```js
+  * viewer.addMeasurement({
+  *   type: "ruler",
+  *   axis: "zspace",
+  *   points: [{ x: 0, y: 0, z: 10 }, { x: 25, y: 4, z: 10 }]
+  * });
+  * ```
+  */
+  viewer.addMeasurement = function(description) {
+    var measurement = {
+      id: null,
+      type: description.type,
+      axis: description.axis,
+      points: [],
+      color: description.color || "#00FF00"
+    };
+    var error_message;
+
+    if (!MEASUREMENT_POINTS.hasOwnProperty(description.type)) {
+      error_message = "Unknown measurement type: " + description.type;
+    } else if (["xspace", "yspace", "zspace"].indexOf(description.axis) === -1) {
+      error_message = "Unknown measurement axis: " + description.axis;
+    }
+
+    if (error_message) {
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    setPoints(measurement, description.points);
+    measurement.id = next_id++;
+    viewer.measurements.push(measurement);
+    measurementChanged(measurement, "add");
+
+    return measurement;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:updateMeasurement
+  * @param {number} id The id of the measurement.
+  * @param {object} changes The new **points** and/or **color** of the
+  *   measurement.
+  *
+  * @returns {object} The measurement.
+  *
+  * @description
+  * Edit a measurement and trigger a **measurementchange** event with its
+  * new value. This is called when its points are dragged.
+  * ```js
+  * viewer.updateMeasurement(measurement.id, { color: "#FF0000" });
+  * ```
+  */
+  viewer.updateMeasurement = function(id, changes) {
+    var measurement = getMeasurementOrThrow(id);
+
+    if (changes.points) {
+      setPoints(measurement, changes.points);
+    }
+    if (changes.color) {
+      measurement.color = changes.color;
+    }
+
+    measurementChanged(measurement, "update");
+
+    return measurement;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:removeMeasurement
+  * @param {number} id The id of the measurement.
+  *
+  * @description
+  * Remove a measurement. Triggers a **measurementchange** event with a null
+  * value.
+  * ```js
+  * viewer.removeMeasurement(measurement.id);
+  * ```
+  */
+  viewer.removeMeasurement = function(id) {
+    var measurement = getMeasurementOrThrow(id);
+
+    viewer.measurements.splice(viewer.measurements.indexOf(measurement), 1);
+    measurementChanged(measurement, "remove");
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:getMeasurement
+  * @param {number} id The id of the measurement.
+  *
+  * @returns {object} The measurement, or null if there is none with this id.
+  *
+  * @description
+  * Get a measurement from its id.
+  * ```js
+  * viewer.getMeasurement(event.measurement.id);
+  * ```
+  */
+  viewer.getMeasurement = function(id) {
+    var i;
+
+    for (i = 0; i < viewer.measurements.length; i++) {
+      if (viewer.measurements[i].id === id) {
+        return viewer.measurements[i];
+      }
+    }
+
+    return null;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:getMeasurementValue
+  * @param {number} id The id of the measurement.
+  *
+  * @returns {object} The **length** in mm of a ruler or polyline, with the
+  *   length of each of its **segments**, or the **angle** in degrees of an
+  *   angle or Cobb angle (see **VolumeViewer.utils.measurePoints()**).
+  *
+  * @description
+  * Get the value of a measurement. The same value is sent with the
+  * **measurementchange** events.
+  * ```js
+  * viewer.getMeasurementValue(measurement.id).length;
+  * ```
+  */
+  viewer.getMeasurementValue = function(id) {
+    var measurement = getMeasurementOrThrow(id);
+
+    return VolumeViewer.utils.measurePoints(measurement.type, measurement.points);
+  };
+
+  /**
+  * @doc function
+  * @name viewer.measurements:getMeasurementHandle
+  * @param {object} panel The panel.
+  * @param {object} cursor A position on the panel's canvas.
+  *
+  * @returns {object} The **id** of the measurement whose point is at the
+  *   position and the **index** of the point, or null if there is none.
+  *
+  * @description
+  * Find the point of a measurement shown on a panel at a position of its
+  * canvas, to drag it.
+  * ```js
+  * viewer.getMeasurementHandle(panel, panel.mouse);
+  * ```
+  */
+  viewer.getMeasurementHandle = function(panel, cursor) {
+    var handle = null;
+    var closest = HANDLE_RADIUS;
+
+    if (panel.plane) {
+      return null;
+    }
+
+    viewer.measurements.forEach(function(measurement) {
+      if (measurement.axis !== panel.axis) return;
+
+      measurement.points.forEach(function(point, index) {
+        var distance = distance2D(panel.worldToCursor(point.x, point.y, point.z), cursor);
+
+        if (distance <= closest && isOnSlice(panel, measurement.points[0])) {
+          closest = distance;
+          handle = {
+            id: measurement.id,
+            index: index
+          };
+        }
+      });
+    });
+
+    return handle;
+  };
+
+  ///////////////////////////
+  // Private functions
+  ///////////////////////////
+
+  function getMeasurementOrThrow(id) {
+    var measurement = viewer.getMeasurement(id);
+    var error_message;
+
+    if (!measurement) {
+      error_message = "No measurement with id " + id + ".";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    return measurement;
+  }
+
+  function setPoints(measurement, points) {
+    var count = MEASUREMENT_POINTS[measurement.type];
+    var error_message;
+
+    if (!Array.isArray(points) || (count > 0 ? points.length !== count : points.length < 2)) {
+      error_message = "A " + measurement.type + " measurement needs " +
+        (count > 0 ? count : "at least 2") + " points.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    measurement.points = points.map(function(point) {
+      return { x: point.x, y: point.y, z: point.z };
+    });
+  }
+
+  function measurementChanged(measurement, action) {
+    updatePanels();
+
+    viewer.triggerEvent("measurementchange", {
+      measurement: measurement,
+      action: action,
+      value: action === "remove" ? null : VolumeViewer.utils.measurePoints(measurement.type, measurement.points)
+    });
+  }
+
+  function updatePanels() {
+    viewer.volumes.forEach(function(volume) {
+      if (!volume || !volume.display) return;
+
+      volume.display.forEach(function(panel) {
+        panel.measurements = viewer.measurements;
+        panel.measurement_tool = viewer.measurement_tool;
+        panel.updated = true;
+      });
+    });
+  }
+
+  // Whether a world point is within half a slice of the panel's slice.
+  function isOnSlice(panel, point) {
+    var space = panel.volume.header[panel.axis];
+    var cosines = space.direction_cosines;
+    var length = Math.sqrt(cosines[0] * cosines[0] + cosines[1] * cosines[1] + cosines[2] * cosines[2]) || 1;
+    var cursor = panel.volume.getWorldCoords();
+    var distance = ((point.x - cursor.x) * cosines[0] + (point.y - cursor.y) * cosines[1] + (point.z - cursor.z) * cosines[2]) / length;
+
+    return Math.abs(distance) <= Math.abs(space.step) / 2;
+  }
+
+  function distance2D(a, b) {
+    return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+  }
+
+};
@@ -40,7 +40,7 @@ BrainBrowser.VolumeViewer.modules.rendering = function(viewer) {
   viewer.draw = function() {
     if (!viewer.volumes) return;
     viewer.volumes.forEach(function(volume) {
-      if (!volume.display) return;
+      if (!volume || !volume.display) return;
       volume.display.forEach(function(panel) {
         panel.draw(
           volume.color_map.cursor_color,
@@ -99,6 +99,8 @@ BrainBrowser.VolumeViewer.modules.rendering = function(viewer) {
   viewer.updateTrajectories = function(trajectories, isSafety = false) {
     const { showTrajectory = false } = viewer;
 
+    viewer.trajectories = trajectories;
+
     viewer.volumes.forEach(function(volume, vol_id) {
       if (!volume || !volume.display) return;
 
@@ -115,6 +117,8 @@ BrainBrowser.VolumeViewer.modules.rendering = function(viewer) {
   viewer.updateTargets = function(targets = []) {
     const { showTarget = false } = viewer;
 
+    viewer.targets = targets;
+
     viewer.volumes.forEach(function(volume, vol_id) {
       if (!volume || !volume.display) return;
 
@@ -148,6 +152,192 @@ BrainBrowser.VolumeViewer.modules.rendering = function(viewer) {
     });
   };
 
+  /**
+  * @doc function
+  * @name viewer.rendering:setInterpolation
+  * @param {number} vol_id The id of the volume.
+  * @param {string} interpolation One of **nearest**, **linear** or **cubic**.
+  * @param {string} axis (Optional) The axis of the only panel to update
+  *   (xspace, yspace or zspace).
+  *
+  * @description
+  * Set how a volume's slices are resampled to the panel's zoom level. Linear
+  * and cubic interpolation are applied to the voxel values, before they are
+  * color mapped. If **axis** is given, only that panel is changed, and it keeps
+  * its interpolation if the volume's is changed later. Passing a null
+  * **interpolation** with an **axis** makes the panel use the volume's again.
+  * ```js
+  * viewer.setInterpolation(vol_id, "cubic");
+  * viewer.setInterpolation(vol_id, "nearest", "zspace");
+  * ```
+  */
+  viewer.setInterpolation = function(vol_id, interpolation, axis) {
+    var volume = viewer.volumes[vol_id];
+    if (!volume) return;
+
+    if (axis === undefined) {
+      volume.interpolation = interpolation;
+    }
+
+    if (!volume.display) return;
+    volume.display.forEach(function(panel) {
+      if (axis === undefined || panel.axis === axis) {
+        if (axis !== undefined) {
+          panel.interpolation = interpolation || undefined;
+        }
+        panel.updateSlice();
+      }
+    });
+  };
+
+  /**
+  * @doc function
+  * @name viewer.rendering:setWindowLevel
+  * @param {number} vol_id The id of the volume.
+  * @param {number} window The width of the range of intensities to display.
+  * @param {number} level The intensity at the center of the range.
+  *
+  * @description
+  * Map the full color map of a volume to the intensities between
+  * **level - window / 2** and **level + window / 2**, by setting its
+  * **intensity\_min** and **intensity\_max**. Intensities outside of that
+  * range are clamped or not according to the color map and the panel's
+  * **clamp**, and the panels' contrast and brightness are still applied.
+  * Triggers a **windowlevelchange** event with the **volume**, **window**
+  * and **level**.
+  * ```js
+  * viewer.setWindowLevel(vol_id, 80, 40);
+  * ```
+  */
+  viewer.setWindowLevel = function(vol_id, window, level) {
+    var volume = viewer.volumes[vol_id];
+
+    if (!volume) return;
+
+    window = Math.max(window, getDataRange(volume) / 1000);
+
+    volume.intensity_min = level - window / 2;
+    volume.intensity_max = level + window / 2;
+    viewer.redrawVolume(vol_id);
+
+    viewer.triggerEvent("windowlevelchange", {
+      volume: volume,
+      window: window,
+      level: level
+    });
+  };
+
+  /**
+  * @doc function
+  * @name viewer.rendering:getWindowLevel
+  * @param {number} vol_id The id of the volume.
+  *
+  * @returns {object} An object with the **window** and **level** of the volume.
+  *
+  * @description
+  * Get the range of intensities the color map of a volume is mapped to.
+  * ```js
+  * viewer.getWindowLevel(vol_id);
+  * ```
+  */
+  viewer.getWindowLevel = function(vol_id) {
+    var volume = viewer.volumes[vol_id];
+
+    if (!volume) return null;
+
+    return {
+      window: volume.intensity_max - volume.intensity_min,
+      level: (volume.intensity_min + volume.intensity_max) / 2
+    };
+  };
+
+  /**
+  * @doc function
+  * @name viewer.rendering:setWindowLevelPreset
+  * @param {number} vol_id The id of the volume.
+  * @param {string} name The name of a preset of the **window\_level\_presets**
+  *   configuration parameter.
+  *
+  * @description
+  * Display a volume using a named window and level. The default presets,
+  * **brain**, **subdural**, **bone** and **angio**, are for CT volumes in
+  * Hounsfield units. Other presets can be added to the configuration:
+  * ```js
+  * BrainBrowser.config.set("window_level_presets.stroke", {
+  *   name: "Stroke",
+  *   modality: "CT",
+  *   window: 40,
+  *   level: 40
+  * });
+  *
+  * viewer.setWindowLevelPreset(vol_id, "stroke");
+  * ```
+  */
+  viewer.setWindowLevelPreset = function(vol_id, name) {
+    var preset = BrainBrowser.config.get("window_level_presets." + name);
+    var error_message;
+
+    if (!preset) {
+      error_message = "Unknown window and level preset: " + name;
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    viewer.setWindowLevel(vol_id, preset.window, preset.level);
+  };
+
+  /**
+  * @doc function
+  * @name viewer.rendering:autoWindowLevel
+  * @param {number} vol_id The id of the volume.
+  * @param {object} options Options for the window:
+  *
+  * * **low** (optional) The percentile of the volume's intensities displayed
+  *     as black (default: 1).
+  * * **high** (optional) The percentile displayed as white (default: 99).
+  * * **time** (optional) The time point to use (default: the current one).
+  *
+  * @returns {Promise} Resolves with an object with the **window** and **level**
+  *   applied to the volume.
+  *
+  * @description
+  * Set the window and level of a volume from the percentiles of its
+  * intensities, computed by **volume.getStatistics()**.
+  * ```js
+  * viewer.autoWindowLevel(vol_id, { low: 2, high: 98 }).then(function(window_level) {
+  *   console.log(window_level.window, window_level.level);
+  * });
+  * ```
+  */
+  viewer.autoWindowLevel = function(vol_id, options) {
+    options = options || {};
+
+    var volume = viewer.volumes[vol_id];
+    var low = options.low === undefined ? 1 : options.low;
+    var high = options.high === undefined ? 99 : options.high;
+    var error_message;
+
+    if (!volume || !volume.data) {
+      error_message = "No volume data to compute a window from for volume " + vol_id + ".";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      return Promise.reject(new Error(error_message));
+    }
+
+    return volume.getStatistics({
+      time: options.time,
+      percentiles: [low, high]
+    }).then(function(statistics) {
+      var window_level = {
+        window: statistics.percentiles[high] - statistics.percentiles[low],
+        level: (statistics.percentiles[low] + statistics.percentiles[high]) / 2
+      };
+
+      viewer.setWindowLevel(vol_id, window_level.window, window_level.level);
+
+      return window_level;
+    });
+  };
+
   /**
   * @doc function
   * @name viewer.rendering:resetDisplays
@@ -161,7 +351,7 @@ BrainBrowser.VolumeViewer.modules.rendering = function(viewer) {
   viewer.resetDisplays = function() {
     if (!viewer.volumes) return;
     viewer.volumes.forEach(function(volume) {
-      if (!volume.display) return;
+      if (!volume || !volume.display) return;
       volume.display.forEach(function(panel) {
         panel.reset();
       });
@@ -190,10 +380,20 @@ BrainBrowser.VolumeViewer.modules.rendering = function(viewer) {
   viewer.setPanelSize = function(width, height, options) {
     if (!viewer.volumes) return;
     viewer.volumes.forEach(function(volume) {
-      if (!volume.display) return;
+      if (!volume || !volume.display) return;
       volume.display.forEach(function(panel) {
         panel.setSize(width, height, options);
       });
     });
   };
+
+  ///////////////////////////
+  // Private functions
+  ///////////////////////////
+
+  function getDataRange(volume) {
+    var header = volume.header || {};
+
+    return (header.voxel_max - header.voxel_min) || (volume.intensity_max - volume.intensity_min) || 1;
+  }
 };
@@ -0,0 +1,755 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+BrainBrowser.VolumeViewer.modules.roi = function(viewer) {
+  "use strict";
+
+  var ROI_SHAPES = ["polygon", "ellipse"];
+
+  // Distance from the first point of a polygon being drawn, in pixels,
+  // within which a click closes it.
+  var CLOSE_RADIUS = 6;
+
+  // Axes of the slices of each axis, in the order of the width and height
+  // of its panels.
+  var PLANE_AXES = {
+    xspace: ["yspace", "zspace"],
+    yspace: ["xspace", "zspace"],
+    zspace: ["xspace", "yspace"]
+  };
+
+  // Rows of the world-to-voxel transform of each axis.
+  var W2V_ROWS = {
+    xspace: 0,
+    yspace: 1,
+    zspace: 2
+  };
+
+  var next_id = 1;
+
+  /**
+  * @doc object
+  * @name viewer.rois
+  *
+  * @description
+  * The regions of interest, in the order they were added. Each ROI has:
+  *
+  * * **id** Its id.
+  * * **shape** "polygon" or "ellipse".
+  * * **axis** The axis (xspace, yspace or zspace) of the slices it is
+  *     drawn on.
+  * * **vol\_id** The volume whose slices it follows.
+  * * **color** The color of its contours on the panels.
+  * * **contours** One contour per slice, sorted by **slice** index. Polygon
+  *     contours have the world coordinates of their **points**, and ellipse
+  *     contours have a **center** and two **radii** in mm, along the width
+  *     and height of the panels.
+  *
+  * Use **viewer.addROI()**, **viewer.addROIContour()** and
+  * **viewer.removeROI()** to change them.
+  */
+  viewer.rois = [];
+
+  /**
+  * @doc object
+  * @name viewer.roi_tool
+  * @property {string} tool The shape drawn on the panels: **polygon** or
+  *   **ellipse**.
+  * @property {number} roi The id of the ROI whose contours are drawn, or null
+  *   to draw new ROIs.
+  * @property {string} color The color of the new ROIs.
+  * @property {object} pending The contour being drawn, or null.
+  *
+  * @description
+  * State of ROI drawing, or null when it is disabled. Set it with
+  * **viewer.setROITool()**.
+  */
+  viewer.roi_tool = null;
+
+  /**
+  * @doc function
+  * @name viewer.roi:setROITool
+  * @param {string} tool The shape to draw on the panels, **polygon** or
+  *   **ellipse**, or null to stop drawing.
+  * @param {object} options (optional) Drawing options:
+  *
+  * * **roi** The id of an ROI to which the contours drawn are added, e.g.
+  *     to outline it on several slices. By default, each contour drawn
+  *     makes a new ROI.
+  * * **color** The color of the new ROIs (default: "#FFFF00").
+  *
+  * @description
+  * Draw regions of interest on the orthogonal panels. Polygons are drawn by
+  * clicking their points, and closed by clicking their first point again.
+  * Ellipses are dragged from their center. Dragging with the shift key held
+  * still moves the image.
+  *
+  * Each contour drawn triggers a **roichange** event with the measurements
+  * of its ROI.
+  * ```js
+  * viewer.setROITool("ellipse");
+  * viewer.addEventListener("roichange", function(event) {
+  *   console.log(event.measurement.area, event.measurement.statistics);
+  * });
+  * ```
+  */
+  viewer.setROITool = function(tool, options) {
+    options = options || {};
+
+    var error_message;
+
+    if (tool === null) {
+      viewer.roi_tool = null;
+      updatePanels();
+      return;
+    }
+
+    if (ROI_SHAPES.indexOf(tool) === -1) {
+      error_message = "Unknown ROI tool: " + tool;
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    if (options.roi !== undefined && options.roi !== null) {
+      getROIOrThrow(options.roi);
+    }
+
+    viewer.roi_tool = {
+      tool: tool,
+      roi: options.roi === undefined ? null : options.roi,
+      color: options.color || "#FFFF00",
+      pending: null
+    };
+    updatePanels();
+  };
+
+  /**
+  * @doc function
+  * @name viewer.roi:applyROITool
+  * @param {object} point The world coordinates of the pointer.
+  * @param {object} options Where the tool is applied:
+  *
+  * * **panel** The orthogonal panel drawn on.
+  * * **cursor** The position of the pointer on the panel's canvas.
+  * * **phase** The step of the drag: **start** (default), **drag** or
+  *     **end**.
+  *
+  * @returns {object} The ROI changed when a contour was completed, or null.
+  *
+  * @description
+  * Apply the current ROI tool. This is called when dragging on the panels.
+  * ```js
+  * viewer.applyROITool(panel.cursorToWorld(x, y), {
+  *   panel: panel,
+  *   cursor: { x: x, y: y }
+  * });
+  * ```
+  */
+  viewer.applyROITool = function(point, options) {
+    options = options || {};
+
+    var roi_tool = viewer.roi_tool;
+    var panel = options.panel;
+    var phase = options.phase || "start";
+    var pending, first, cursor, basis, offset;
+
+    if (!roi_tool || !panel || panel.plane) {
+      return null;
+    }
+
+    pending = roi_tool.pending;
+
+    if (roi_tool.tool === "polygon") {
+      if (phase !== "start") {
+        return null;
+      }
+
+      // A click on a panel of another axis starts a new polygon.
+      if (!pending || pending.axis !== panel.axis) {
+        roi_tool.pending = {
+          shape: "polygon",
+          axis: panel.axis,
+          vol_id: viewer.volumes.indexOf(panel.volume),
+          points: [point]
+        };
+        updatePanels();
+        return null;
+      }
+
+      first = pending.points[0];
+      cursor = options.cursor && panel.worldToCursor(first.x, first.y, first.z);
+      if (pending.points.length >= 3 && cursor &&
+          Math.sqrt(Math.pow(cursor.x - options.cursor.x, 2) + Math.pow(cursor.y - options.cursor.y, 2)) <= CLOSE_RADIUS) {
+        roi_tool.pending = null;
+        return completeContour(pending);
+      }
+
+      pending.points.push(point);
+      updatePanels();
+      return null;
+    }
+
+    if (phase === "start") {
+      roi_tool.pending = {
+        shape: "ellipse",
+        axis: panel.axis,
+        vol_id: viewer.volumes.indexOf(panel.volume),
+        center: point,
+        radii: [0, 0]
+      };
+      updatePanels();
+      return null;
+    }
+
+    if (!pending) {
+      return null;
+    }
+
+    basis = getBasis(viewer.volumes[pending.vol_id], pending.axis);
+    offset = subtract(point, pending.center);
+    pending.radii = [Math.abs(dot(offset, basis.u)), Math.abs(dot(offset, basis.v))];
+
+    if (phase === "end") {
+      roi_tool.pending = null;
+      if (pending.radii[0] > 0 && pending.radii[1] > 0) {
+        return completeContour(pending);
+      }
+    }
+
+    updatePanels();
+    return null;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.roi:addROI
+  * @param {object} description The ROI to add:
+  *
+  * * **shape** "polygon" or "ellipse".
+  * * **axis** The axis (xspace, yspace or zspace) of the slices it is
+  *     drawn on.
+  * * **vol\_id** (optional) The volume whose slices and voxel size are used
+  *     (default: 0).
+  * * **color** (optional) The color of its contours (default: "#FFFF00").
+  * * **contours** (optional) Its contours, at most one per slice (see
+  *     **viewer.addROIContour()**).
+  *
+  * @returns {object} The new ROI.
+  *
+  * @description
+  * Add a region of interest and trigger a **roichange** event with its
+  * measurements.
+  * ```js
+  * viewer.addROI({
+  *   shape: "ellipse",
+  *   axis: "zspace",
+  *   contours: [{ center: { x: 10, y: -20, z: 5 }, radii: [8, 5] }]
+  * });
+  * ```
+  */
+  viewer.addROI = function(description) {
+    var vol_id = description.vol_id === undefined ? 0 : description.vol_id;
+    var roi, error_message;
+
+    if (ROI_SHAPES.indexOf(description.shape) === -1) {
+      error_message = "Unknown ROI shape: " + description.shape;
+    } else if (!PLANE_AXES[description.axis]) {
+      error_message = "Unknown ROI axis: " + description.axis;
+    } else if (!viewer.volumes[vol_id]) {
+      error_message = "No volume " + vol_id + " for the ROI.";
+    }
+
+    if (error_message) {
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    roi = {
+      id: next_id++,
+      shape: description.shape,
+      axis: description.axis,
+      vol_id: vol_id,
+      color: description.color || "#FFFF00",
+      contours: []
+    };
+
+    (description.contours || []).forEach(function(contour) {
+      setContour(roi, contour);
+    });
+
+    viewer.rois.push(roi);
+    roiChanged(roi, "add");
+
+    return roi;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.roi:addROIContour
+  * @param {number} id The id of the ROI.
+  * @param {object} contour The contour to add. Polygons have the world
+  *   coordinates of their **points**, and ellipses a **center** and two
+  *   **radii**, in mm.
+  *
+  * @returns {object} The ROI.
+  *
+  * @description
+  * Outline an ROI on another slice, or replace its contour on the slice of
+  * the new contour. Triggers a **roichange** event.
+  * ```js
+  * viewer.addROIContour(roi.id, {
+  *   points: [{ x: 0, y: 0, z: 6 }, { x: 10, y: 0, z: 6 }, { x: 0, y: 10, z: 6 }]
+  * });
+  * ```
+  */
+  viewer.addROIContour = function(id, contour) {
+    var roi = getROIOrThrow(id);
+
+    setContour(roi, contour);
+    roiChanged(roi, "update");
+
+    return roi;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.roi:removeROI
+  * @param {number} id The id of the ROI.
+  *
+  * @description
+  * Remove an ROI. Triggers a **roichange** event with a null measurement.
+  * ```js
+  * viewer.removeROI(roi.id);
+  * ```
+  */
+  viewer.removeROI = function(id) {
+    var roi = getROIOrThrow(id);
+
+    viewer.rois.splice(viewer.rois.indexOf(roi), 1);
+    if (viewer.roi_tool && viewer.roi_tool.roi === id) {
+      viewer.roi_tool.roi = null;
+    }
+
+    roiChanged(roi, "remove");
+  };
+
+  /**
+  * @doc function
+  * @name viewer.roi:getROI
+  * @param {number} id The id of the ROI.
+  *
+  * @returns {object} The ROI, or null if there is none with this id.
+  *
+  * @description
+  * Get an ROI from its id.
+  * ```js
+  * viewer.getROI(event.roi.id);
+  * ```
+  */
+  viewer.getROI = function(id) {
+    var i;
+
+    for (i = 0; i < viewer.rois.length; i++) {
+      if (viewer.rois[i].id === id) {
+        return viewer.rois[i];
+      }
+    }
+
+    return null;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.roi:measureROI
+  * @param {number} id The id of the ROI.
+  *
+  * @returns {object} The measurements of the ROI:
+  *
+  * * **roi** The ROI.
+  * * **area** The sum of the areas of its contours, in mm².
+  * * **perimeter** The sum of the perimeters of its contours, in mm.
+  * * **volume** Its volume, in mm³: the area of each contour times the
+  *     thickness of its slice.
+  * * **contours** The **slice**, **area** and **perimeter** of each contour.
+  * * **statistics** For each loaded volume, the **vol\_id**, **count**,
+  *     **mean**, **std**, **min** and **max** of the intensities of the
+  *     voxels in the ROI, at the volume's current time.
+  *
+  * @description
+  * Measure an ROI. The same measurements are sent with the **roichange**
+  * events.
+  * ```js
+  * var measurement = viewer.measureROI(roi.id);
+  *
+  * console.log(measurement.volume, measurement.statistics[0].mean);
+  * ```
+  */
+  viewer.measureROI = function(id) {
+    return measure(getROIOrThrow(id));
+  };
+
+  ///////////////////////////
+  // Private functions
+  ///////////////////////////
+
+  function getROIOrThrow(id) {
+    var roi = viewer.getROI(id);
+    var error_message;
+
+    if (!roi) {
+      error_message = "No ROI with id " + id + ".";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    return roi;
+  }
+
+  // Add a completed contour to the ROI being drawn, or to a new one.
+  function completeContour(pending) {
+    var roi_tool = viewer.roi_tool;
+    var contour = pending.shape === "polygon" ?
+      { points: pending.points } :
+      { center: pending.center, radii: pending.radii };
+    var roi = roi_tool.roi === null ? null : viewer.getROI(roi_tool.roi);
+
+    if (roi && roi.shape === pending.shape && roi.axis === pending.axis) {
+      return viewer.addROIContour(roi.id, contour);
+    }
+
+    return viewer.addROI({
+      shape: pending.shape,
+      axis: pending.axis,
+      vol_id: pending.vol_id,
+      color: roi_tool.color,
+      contours: [contour]
+    });
+  }
+
+  // Copy a contour into an ROI, replacing the contour of the same slice.
+  function setContour(roi, contour) {
+    var volume = viewer.volumes[roi.vol_id];
+    var copy, error_message;
+
+    if (roi.shape === "polygon" && Array.isArray(contour.points) && contour.points.length >= 3) {
+      copy = {
+        points: contour.points.map(function(point) {
+          return { x: point.x, y: point.y, z: point.z };
+        })
+      };
+    } else if (roi.shape === "ellipse" && contour.center && Array.isArray(contour.radii)) {
+      copy = {
+        center: { x: contour.center.x, y: contour.center.y, z: contour.center.z },
+        radii: [Math.abs(contour.radii[0]), Math.abs(contour.radii[1])]
+      };
+    } else {
+      error_message = roi.shape === "polygon" ?
+        "A polygon contour needs at least 3 points." :
+        "An ellipse contour needs a center and two radii.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    copy.slice = Math.round(voxelCoordinate(volume.header, roi.axis, contourOrigin(copy)));
+
+    roi.contours = roi.contours.filter(function(other) {
+      return other.slice !== copy.slice;
+    });
+    roi.contours.push(copy);
+    roi.contours.sort(function(a, b) {
+      return a.slice - b.slice;
+    });
+  }
+
+  function roiChanged(roi, action) {
+    updatePanels();
+
+    viewer.triggerEvent("roichange", {
+      roi: roi,
+      action: action,
+      measurement: action === "remove" ? null : measure(roi)
+    });
+  }
+
+  function updatePanels() {
+    viewer.volumes.forEach(function(volume) {
+      if (!volume || !volume.display) return;
+
+      volume.display.forEach(function(panel) {
+        panel.rois = viewer.rois;
+        panel.roi_tool = viewer.roi_tool;
+        panel.updated = true;
+      });
+    });
+  }
+
+  function measure(roi) {
+    var basis = getBasis(viewer.volumes[roi.vol_id], roi.axis);
+    var contours = roi.contours.map(function(contour) {
+      var shape = getContourShape(roi.shape, contour, basis);
+
+      return {
+        slice: contour.slice,
+        area: shape.area,
+        perimeter: shape.perimeter
+      };
+    });
+    var area = 0;
+    var perimeter = 0;
+    var statistics = [];
+
+    contours.forEach(function(contour) {
+      area += contour.area;
+      perimeter += contour.perimeter;
+    });
+
+    viewer.volumes.forEach(function(volume, vol_id) {
+      if (volume && volume.data && volume.header.w2v && volume.header.datatype !== "rgb8") {
+        statistics.push(getStatistics(volume, vol_id, roi, basis));
+      }
+    });
+
+    return {
+      roi: roi,
+      area: area,
+      perimeter: perimeter,
+      volume: area * basis.thickness,
+      contours: contours,
+      statistics: statistics
+    };
+  }
+
+  // Intensities of the voxels of a volume whose centers are inside the
+  // contours, on the volume's slices closest to them.
+  function getStatistics(volume, vol_id, roi, basis) {
+    var header = volume.header;
+    var slice_axis = getClosestAxis(header, basis.n);
+    var plane_axes = PLANE_AXES[slice_axis];
+    var time_offset = header.time ? volume.current_time * header.time.offset : 0;
+    var counted = {};
+    var values = [];
+    var min = Infinity;
+    var max = -Infinity;
+    var sum = 0;
+    var squares = 0;
+    var mean;
+
+    roi.contours.forEach(function(contour) {
+      var shape = getContourShape(roi.shape, contour, basis);
+      var voxel = {};
+      var ranges, a, b, world, offset, value;
+
+      voxel[slice_axis] = Math.round(voxelCoordinate(header, slice_axis, contourOrigin(contour)));
+      if (voxel[slice_axis] < 0 || voxel[slice_axis] >= header[slice_axis].space_length) {
+        return;
+      }
+
+      ranges = plane_axes.map(function(axis) {
+        var coordinates = shape.corners.map(function(point) {
+          return voxelCoordinate(header, axis, point);
+        });
+
+        return [
+          Math.max(0, Math.floor(Math.min.apply(null, coordinates))),
+          Math.min(header[axis].space_length - 1, Math.ceil(Math.max.apply(null, coordinates)))
+        ];
+      });
+
+      for (a = ranges[0][0]; a <= ranges[0][1]; a++) {
+        voxel[plane_axes[0]] = a;
+        for (b = ranges[1][0]; b <= ranges[1][1]; b++) {
+          voxel[plane_axes[1]] = b;
+          world = voxelCenter(header, voxel);
+
+          if (!shape.contains(dot(world, basis.u), dot(world, basis.v))) {
+            continue;
+          }
+
+          offset = voxel.xspace * header.xspace.offset +
+                   voxel.yspace * header.yspace.offset +
+                   voxel.zspace * header.zspace.offset + time_offset;
+          if (counted[offset]) {
+            continue;
+          }
+          counted[offset] = true;
+
+          value = BrainBrowser.utils.isFunction(volume.data.get) ? volume.data.get(offset) : volume.data[offset];
+          values.push(value);
+          if (value < min) min = value;
+          if (value > max) max = value;
+          sum += value;
+        }
+      }
+    });
+
+    mean = sum / values.length;
+    values.forEach(function(value) {
+      squares += (value - mean) * (value - mean);
+    });
+
+    return {
+      vol_id: vol_id,
+      count: values.length,
+      mean: values.length > 0 ? mean : NaN,
+      std: values.length > 0 ? Math.sqrt(squares / values.length) : NaN,
+      min: values.length > 0 ? min : NaN,
+      max: values.length > 0 ? max : NaN
+    };
+  }
+
+  // Area and perimeter of a contour in mm, the corners of its bounding
+  // box and a test of whether a point of its plane, given in the
+  // coordinates of the basis, is inside it.
+  function getContourShape(shape, contour, basis) {
+    var center, a, b, points, area, perimeter;
+
+    if (shape === "ellipse") {
+      center = [dot(contour.center, basis.u), dot(contour.center, basis.v)];
+      a = contour.radii[0];
+      b = contour.radii[1];
+
+      return {
+        area: Math.PI * a * b,
+        // Ramanujan's approximation.
+        perimeter: Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b))),
+        corners: [[1, 1], [1, -1], [-1, 1], [-1, -1]].map(function(signs) {
+          return {
+            x: contour.center.x + signs[0] * a * basis.u.x + signs[1] * b * basis.v.x,
+            y: contour.center.y + signs[0] * a * basis.u.y + signs[1] * b * basis.v.y,
+            z: contour.center.z + signs[0] * a * basis.u.z + signs[1] * b * basis.v.z
+          };
+        }),
+        contains: function(x, y) {
+          var dx = (x - center[0]) / a;
+          var dy = (y - center[1]) / b;
+
+          return dx * dx + dy * dy <= 1;
+        }
+      };
+    }
+
+    points = contour.points.map(function(point) {
+      return [dot(point, basis.u), dot(point, basis.v)];
+    });
+    area = 0;
+    perimeter = 0;
+    contour.points.forEach(function(point, i) {
+      var next = contour.points[(i + 1) % contour.points.length];
+
+      area += points[i][0] * points[(i + 1) % points.length][1] - points[(i + 1) % points.length][0] * points[i][1];
+      perimeter += Math.sqrt(dot(subtract(next, point), subtract(next, point)));
+    });
+
+    return {
+      area: Math.abs(area) / 2,
+      perimeter: perimeter,
+      corners: contour.points,
+      contains: function(x, y) {
+        var inside = false;
+        var i, j;
+
+        for (i = 0, j = points.length - 1; i < points.length; j = i++) {
+          if ((points[i][1] > y) !== (points[j][1] > y) &&
+              x < (points[j][0] - points[i][0]) * (y - points[i][1]) / (points[j][1] - points[i][1]) + points[i][0]) {
+            inside = !inside;
+          }
+        }
+
+        return inside;
+      }
+    };
+  }
+
+  // Unit vectors along the width (u) and height (v) of the slices of an
+  // axis, its normal (n) and the thickness of the slices in mm.
+  function getBasis(volume, axis) {
+    var header = volume.header;
+    var plane_axes = PLANE_AXES[axis];
+
+    return {
+      u: unitVector(header[plane_axes[0]].direction_cosines),
+      v: unitVector(header[plane_axes[1]].direction_cosines),
+      n: unitVector(header[axis].direction_cosines),
+      thickness: Math.abs(header[axis].step)
+    };
+  }
+
+  // The axis of a volume closest to a direction.
+  function getClosestAxis(header, direction) {
+    var closest = "zspace";
+    var largest = -1;
+
+    ["xspace", "yspace", "zspace"].forEach(function(axis) {
+      var alignment = Math.abs(dot(unitVector(header[axis].direction_cosines), direction));
+
+      if (alignment > largest) {
+        largest = alignment;
+        closest = axis;
+      }
+    });
+
+    return closest;
+  }
+
+  function contourOrigin(contour) {
+    return contour.center || contour.points[0];
+  }
+
+  // Continuous voxel coordinate of a world point along an axis.
+  function voxelCoordinate(header, axis, point) {
+    var row = header.w2v[W2V_ROWS[axis]];
+
+    return point.x * row[0] + point.y * row[1] + point.z * row[2] + row[3];
+  }
+
+  // World coordinates of a voxel given by its index along each axis.
+  function voxelCenter(header, voxel) {
+    var origin = header.voxel_origin;
+    var world = { x: origin.x, y: origin.y, z: origin.z };
+
+    ["xspace", "yspace", "zspace"].forEach(function(axis) {
+      var cosines = header[axis].direction_cosines;
+      var distance = voxel[axis] * header[axis].step;
+
+      world.x += cosines[0] * distance;
+      world.y += cosines[1] * distance;
+      world.z += cosines[2] * distance;
+    });
+
+    return world;
+  }
+
+  function unitVector(cosines) {
+    var length = Math.sqrt(cosines[0] * cosines[0] + cosines[1] * cosines[1] + cosines[2] * cosines[2]) || 1;
+
+    return { x: cosines[0] / length, y: cosines[1] / length, z: cosines[2] / length };
+  }
+
+  function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+};
@@ -0,0 +1,392 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+BrainBrowser.VolumeViewer.modules.state = function(viewer) {
+  "use strict";
+
+  // Version of the states returned by viewer.getState(). Increment it
+  // whenever their format changes, and add a migration from the previous
+  // version below.
+  var STATE_VERSION = 1;
+
+  // Functions upgrading a state of the version they are keyed by to the
+  // next version, so that saved states can always be restored.
+  var STATE_MIGRATIONS = {};
+
+  /**
+  * @doc function
+  * @name viewer.state:getState
+  *
+  * @returns {object} The state of the viewer, as plain JSON values.
+  *
+  * @description
+  * Capture the viewer's state so that the same view can be restored later
+  * with **viewer.setState()**, e.g. to bookmark or share a reading session.
+  * The state has a **version**, and contains:
+  *
+  * * **synced** Whether the cursors are synced across volumes.
+  * * **color\_maps** The color maps used by the volumes.
+  * * **volumes** For each volume, the **description** it was loaded from,
+  *     the index of its **color\_map**, its **intensity\_min** and
+  *     **intensity\_max**, its **time** point, the world coordinates of its
+  *     **cursor**, and for each of its views, the **zoom**, **image\_center**,
+  *     **contrast**, **brightness** and **interpolation** of the panel, and the
+  *     **plane** of oblique panels.
+  * * **trajectories** and **targets**, and whether they are shown
+  *     (**show\_trajectory** and **show\_target**).
+  * * **measurements** and **rois**.
+  *
+  * Only the parts of the volume descriptions that can be saved as JSON are
+  * copied: volumes loaded from files or data have to be given again to
+  * **viewer.setState()**, which rejects otherwise. Voxel values are always
+  * loaded again, so edited volumes should be saved with
+  * **viewer.exportVolume()**.
+  * ```js
+  * localStorage.setItem("session", JSON.stringify(viewer.getState()));
+  * ```
+  */
+  viewer.getState = function() {
+    var color_maps = [];
+    var volumes = viewer.volumes.filter(function(volume) {
+      return volume;
+    });
+    var volume_states = volumes.map(function(volume) {
+      return getVolumeState(volume, color_maps);
+    });
+
+    return {
+      version: STATE_VERSION,
+      synced: !!viewer.synced,
+      color_maps: color_maps.map(getColorMapState),
+      volumes: volume_states,
+      show_trajectory: !!viewer.showTrajectory,
+      trajectories: copyJSON(viewer.trajectories || []),
+      show_target: !!viewer.showTarget,
+      targets: copyJSON(viewer.targets || []),
+      measurements: (viewer.measurements || []).map(function(measurement) {
+        return {
+          type: measurement.type,
+          axis: measurement.axis,
+          points: copyJSON(measurement.points),
+          color: measurement.color
+        };
+      }),
+      rois: (viewer.rois || []).map(function(roi) {
+        return {
+          shape: roi.shape,
+          axis: roi.axis,
+          vol_id: volumes.indexOf(viewer.volumes[roi.vol_id]),
+          color: roi.color,
+          contours: roi.contours.map(function(contour) {
+            return roi.shape === "polygon" ?
+              { points: copyJSON(contour.points) } :
+              { center: copyJSON(contour.center), radii: contour.radii.slice() };
+          })
+        };
+      })
+    };
+  };
+
+  /**
+  * @doc function
+  * @name viewer.state:setState
+  * @param {object} state A state returned by **viewer.getState()**, possibly
+  *   by an older version of the viewer.
+  * @param {object} options (optional) Options for the restore. The
+  *   descriptions in **volumes** are merged into the saved volume
+  *   descriptions of the same index, e.g. to give the **source** of volumes
+  *   that were loaded from data.
+  *
+  * @returns {Promise} Resolves with the loaded volumes once the state is
+  *   restored, or rejects if the state's version isn't supported.
+  *
+  * @description
+  * Clear the viewer, load the volumes of a state again and restore the view.
+  * States of older versions are migrated to the current format first.
+  * ```js
+  * viewer.setState(JSON.parse(localStorage.getItem("session"))).then(function(volumes) {
+  *   // The session is restored.
+  * });
+  *
+  * // Give the data of a volume loaded from an ArrayBuffer again.
+  * viewer.setState(state, {
+  *   volumes: [{ source: array_buffer }]
+  * });
+  * ```
+  */
+  viewer.setState = function(state, options) {
+    options = options || {};
+
+    var overrides = options.volumes || [];
+    var volume_states, overlay_state, loading;
+
+    try {
+      state = migrateState(state);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    volume_states = state.volumes.filter(function(volume_state) {
+      return volume_state.type !== "overlay";
+    });
+    overlay_state = state.volumes.filter(function(volume_state) {
+      return volume_state.type === "overlay";
+    })[0];
+
+    viewer.clearVolumes();
+    viewer.rois.slice().forEach(function(roi) {
+      viewer.removeROI(roi.id);
+    });
+    viewer.measurements.slice().forEach(function(measurement) {
+      viewer.removeMeasurement(measurement.id);
+    });
+    viewer.synced = !!state.synced;
+
+    if (volume_states.length === 0) {
+      loading = Promise.resolve([]);
+    } else {
+      loading = viewer.loadVolumes({
+        volumes: volume_states.map(function(volume_state) {
+          var index = state.volumes.indexOf(volume_state);
+
+          return Object.assign({}, volume_state.description, overrides[index]);
+        }),
+        overlay: overlay_state && volume_states.length > 1 ? overlay_state.description : undefined,
+        hideCursor: !!volume_states[0].description.hideCursor
+      });
+    }
+
+    return loading.then(function(volumes) {
+      var color_maps = state.color_maps.map(createColorMap);
+      var loaded_states = volume_states.concat(overlay_state ? [overlay_state] : []);
+
+      // The loaded volumes, in the order of the state's volumes.
+      var state_volumes = state.volumes.map(function(volume_state) {
+        return volumes[loaded_states.indexOf(volume_state)];
+      });
+
+      state.volumes.forEach(function(volume_state, index) {
+        if (state_volumes[index]) {
+          setVolumeState(state_volumes[index], volume_state, color_maps);
+        }
+      });
+
+      viewer.showTrajectory = state.show_trajectory;
+      viewer.updateTrajectories(copyJSON(state.trajectories));
+      viewer.showTarget = state.show_target;
+      viewer.updateTargets(copyJSON(state.targets));
+
+      state.rois.forEach(function(roi) {
+        if (state_volumes[roi.vol_id]) {
+          viewer.addROI(Object.assign({}, roi, {
+            vol_id: viewer.volumes.indexOf(state_volumes[roi.vol_id])
+          }));
+        }
+      });
+      state.measurements.forEach(function(measurement) {
+        viewer.addMeasurement(measurement);
+      });
+
+      viewer.history.clear();
+      viewer.redrawVolumes();
+
+      return volumes;
+    });
+  };
+
+  ///////////////////////////
+  // Private functions
+  ///////////////////////////
+
+  function getVolumeState(volume, color_maps) {
+    var views = (volume.description && volume.description.views) || ["xspace", "yspace", "zspace"];
+    var color_map_index = null;
+    var panels = {};
+
+    // Volumes sharing a color map refer to the same one.
+    if (volume.color_map) {
+      color_map_index = color_maps.indexOf(volume.color_map);
+      if (color_map_index === -1) {
+        color_map_index = color_maps.push(volume.color_map) - 1;
+      }
+    }
+
+    views.forEach(function(view) {
+      var panel = volume.display ? volume.display.getPanel(view) : null;
+
+      if (!panel) return;
+
+      panels[view] = {
+        zoom: panel.zoom,
+        image_center: {
+          x: panel.image_center.x,
+          y: panel.image_center.y
+        },
+        contrast: panel.contrast,
+        brightness: panel.brightness,
+        interpolation: panel.interpolation || null
+      };
+
+      if (panel.plane) {
+        panels[view].follow_cursor = panel.follow_cursor;
+        panels[view].plane = {
+          center: copyJSON(panel.plane.center),
+          u: copyJSON(panel.plane.u),
+          v: copyJSON(panel.plane.v)
+        };
+      }
+    });
+
+    return {
+      type: volume.type === "overlay" ? "overlay" : null,
+      description: getDescriptionState(volume.description || {}),
+      color_map: color_map_index,
+      intensity_min: volume.intensity_min,
+      intensity_max: volume.intensity_max,
+      interpolation: volume.interpolation || null,
+      blend_ratios: volume.blend_ratios ? volume.blend_ratios.slice() : null,
+      time: volume.current_time || 0,
+      cursor: volume.getWorldCoords(),
+      panels: panels
+    };
+  }
+
+  function setVolumeState(volume, volume_state, color_maps) {
+    var cursor = volume_state.cursor;
+
+    if (volume_state.color_map !== null) {
+      volume.color_map = color_maps[volume_state.color_map];
+    }
+    volume.intensity_min = volume_state.intensity_min;
+    volume.intensity_max = volume_state.intensity_max;
+    if (volume_state.interpolation) {
+      volume.interpolation = volume_state.interpolation;
+    }
+    if (volume_state.blend_ratios && volume.blend_ratios) {
+      volume.blend_ratios = volume_state.blend_ratios.slice();
+    }
+    if (volume.header.time) {
+      volume.current_time = Math.max(0, Math.min(volume_state.time, volume.header.time.space_length - 1));
+    }
+    volume.setWorldCoords(cursor.x, cursor.y, cursor.z);
+
+    Object.keys(volume_state.panels).forEach(function(view) {
+      var panel = volume.display.getPanel(view);
+      var panel_state = volume_state.panels[view];
+      var plane = panel_state.plane;
+
+      if (!panel) return;
+
+      panel.zoom = panel_state.zoom;
+      panel.image_center.x = panel_state.image_center.x;
+      panel.image_center.y = panel_state.image_center.y;
+      panel.contrast = panel_state.contrast;
+      panel.brightness = panel_state.brightness;
+      panel.interpolation = panel_state.interpolation || undefined;
+
+      if (panel.plane && plane) {
+        panel.follow_cursor = panel_state.follow_cursor;
+        panel.plane.setCenter(plane.center.x, plane.center.y, plane.center.z);
+        panel.plane.setAxes(plane.u, plane.v);
+      }
+
+      panel.updated = true;
+    });
+  }
+
+  // A copy of a volume description that can be saved as JSON. Data and
+  // files would be saved as empty objects, so they are left out, and the
+  // volume's loader rejects the restored description unless they are given
+  // again in the options of viewer.setState().
+  function getDescriptionState(description) {
+    return JSON.parse(JSON.stringify(description, function(key, value) {
+      if (isBinary(value) || (Array.isArray(value) && value.some(isBinary))) {
+        return undefined;
+      }
+
+      return value;
+    }));
+  }
+
+  function isBinary(value) {
+    return value instanceof ArrayBuffer || ArrayBuffer.isView(value) ||
+      (typeof Blob !== "undefined" && value instanceof Blob);
+  }
+
+  function getColorMapState(color_map) {
+    return {
+      // Sparse color maps have gaps, saved as null.
+      colors: color_map.colors ? Array.from(color_map.colors, function(color) {
+        return color === undefined ? null : color;
+      }) : null,
+      clamp: color_map.clamp,
+      flip: color_map.flip,
+      scale: color_map.scale,
+      contrast: color_map.contrast,
+      brightness: color_map.brightness,
+      cursor_color: color_map.cursor_color
+    };
+  }
+
+  function createColorMap(color_map_state) {
+    var color_map = BrainBrowser.createColorMap(null, {
+      clamp: color_map_state.clamp,
+      flip: color_map_state.flip,
+      scale: color_map_state.scale,
+      contrast: color_map_state.contrast,
+      brightness: color_map_state.brightness
+    });
+
+    color_map.colors = color_map_state.colors ? color_map_state.colors.map(function(color) {
+      return color === null ? undefined : color;
+    }) : undefined;
+    color_map.cursor_color = color_map_state.cursor_color;
+
+    return color_map;
+  }
+
+  // Check the version of a state, and upgrade it to the current one.
+  function migrateState(state) {
+    var version = state ? state.version : undefined;
+    var error_message;
+
+    if (typeof version !== "number" || version < 1 || version > STATE_VERSION) {
+      error_message = "Unsupported viewer state version: " + version +
+        ". The current version is " + STATE_VERSION + ".";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    state = copyJSON(state);
+
+    while (state.version < STATE_VERSION) {
+      state = STATE_MIGRATIONS[state.version](state);
+    }
+
+    return state;
+  }
+
+  function copyJSON(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+};
@@ -0,0 +1,1063 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+BrainBrowser.VolumeViewer.modules.trajectory = function(viewer) {
+  "use strict";
+
+  var VolumeViewer = BrainBrowser.VolumeViewer;
+
+  // Safety reports whose violations are drawn in the panels.
+  var safety_reports = [];
+
+  // Changes made to trajectory points, for undo and redo.
+  var MAX_TRAJECTORY_CHANGES = 100;
+  var trajectory_changes = {
+    undo: [],
+    redo: []
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:showTrajectoryView
+  * @param {number} vol_id The id of the volume to display.
+  * @param {object} options Description of the view:
+  *
+  * * **entry** The world coordinates of the entry point of the trajectory,
+  *     as an object with **x**, **y** and **z** properties or an array.
+  * * **target** The world coordinates of the target point.
+  * * **width** (optional) The width of the cross-sections, in mm (default: 60).
+  * * **spacing** (optional) The size of the cross-sections' pixels, and of the
+  *     steps along the trajectory, in mm (default: the smallest voxel step
+  *     of the volume).
+  * * **depth** (optional) The initial distance from the entry point, in mm
+  *     (default: 0).
+  * * **name** (optional) The name of the view's panel in the volume's display
+  *     (default: "trajectory").
+  * * **canvas** (optional) The canvas to draw on. By default, a canvas the size
+  *     of the volume's panels is added to the volume's container.
+  * * **color** (optional) The color of the marker showing the trajectory
+  *     (default: "#FF0000").
+  *
+  * @returns {object} The trajectory view, whose **panel** displays the
+  *   cross-sections, and whose **length** and **spacing** can be used to set up
+  *   a depth slider. Its methods are:
+  *
+  * * **setDepth(depth)** Show the cross-section at the given distance from the
+  *     entry point, in mm.
+  * * **stepDepth(steps)** Move along the trajectory by a number of steps of
+  *     size **spacing** (negative steps move back towards the entry point).
+  * * **getPoint()** Get the world coordinates of the current point of the
+  *     trajectory.
+  * * **setTrajectory(entry, target)** Change the trajectory, keeping the depth
+  *     if possible.
+  * * **close()** Remove the view.
+  *
+  * @description
+  * Display cross-sections of a volume perpendicular to a trajectory, as seen
+  * from the probe. The cross-sections are resampled from the volume's data as
+  * the depth changes, and the volume and its other panels are left as they
+  * are. Showing a view with the name of an existing one replaces it.
+  *
+  * Each change of depth triggers a **trajectoryviewupdate** event, with the
+  * **volume**, the **view**, the **depth** and the current **point**.
+  * ```js
+  * var view = viewer.showTrajectoryView(vol_id, {
+  *   entry: { x: -42, y: 10, z: 35 },
+  *   target: { x: -20, y: 2, z: 5 },
+  *   width: 40,
+  *   spacing: 0.5
+  * });
+  *
+  * slider.max = view.length;
+  * slider.step = view.spacing;
+  * slider.addEventListener("input", function() {
+  *   view.setDepth(+slider.value);
+  * });
+  * ```
+  */
+  viewer.showTrajectoryView = function(vol_id, options) {
+    options = options || {};
+
+    var volume = viewer.volumes[vol_id];
+    var name = options.name || "trajectory";
+    var width = options.width || 60;
+    var color = options.color || "#FF0000";
+    var container = viewer.containers[vol_id];
+    var canvas = options.canvas;
+    var created_canvas = false;
+    var error_message;
+    var reference_panel;
+    var spacing, size, trajectory, plane, panel, view, point;
+
+    if (!volume || !volume.display) {
+      error_message = "No volume with id " + vol_id + " to show a trajectory view for.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    trajectory = getTrajectory(options.entry, options.target);
+
+    spacing = options.spacing || volume.getObliqueGrid().step;
+    size = Math.max(1, Math.round(width / spacing));
+
+    if (volume.display.getPanel(name) && volume.display.getPanel(name).trajectory_view) {
+      volume.display.getPanel(name).trajectory_view.close();
+    }
+
+    if (!canvas) {
+      volume.display.forEach(function(panel) {
+        reference_panel = reference_panel || panel;
+      });
+
+      canvas = document.createElement("canvas");
+      canvas.width = reference_panel ? reference_panel.canvas.width : 256;
+      canvas.height = reference_panel ? reference_panel.canvas.height : 256;
+      canvas.classList.add("slice-display");
+      canvas.style.backgroundColor = "#000000";
+      if (container) {
+        container.appendChild(canvas);
+      }
+      created_canvas = true;
+    }
+
+    view = {
+      entry: null,
+      target: null,
+      length: 0,
+      spacing: spacing,
+      depth: 0,
+      canvas: canvas,
+      panel: null,
+
+      setDepth: function(depth) {
+        var point;
+
+        view.depth = Math.max(0, Math.min(depth, view.length));
+        point = view.getPoint();
+
+        plane.setCenter(point.x, point.y, point.z);
+        panel.updateSlice();
+
+        viewer.triggerEvent("trajectoryviewupdate", {
+          volume: volume,
+          view: view,
+          depth: view.depth,
+          point: point
+        });
+      },
+
+      stepDepth: function(steps) {
+        view.setDepth(view.depth + steps * view.spacing);
+      },
+
+      getPoint: function() {
+        var direction = trajectory.direction;
+
+        return {
+          x: view.entry.x + direction.x * view.depth,
+          y: view.entry.y + direction.y * view.depth,
+          z: view.entry.z + direction.z * view.depth
+        };
+      },
+
+      setTrajectory: function(entry, target) {
+        trajectory = getTrajectory(entry, target);
+        view.entry = trajectory.entry;
+        view.target = trajectory.target;
+        view.length = trajectory.length;
+        plane.setNormal(trajectory.direction);
+        view.setDepth(view.depth);
+      },
+
+      close: function() {
+        if (volume.display.getPanel(name) === panel) {
+          volume.display.removePanel(name);
+        }
+
+        if (created_canvas && canvas.parentNode) {
+          canvas.parentNode.removeChild(canvas);
+        }
+      }
+    };
+
+    view.entry = trajectory.entry;
+    view.target = trajectory.target;
+    view.length = trajectory.length;
+    view.depth = Math.max(0, Math.min(options.depth || 0, view.length));
+
+    point = view.getPoint();
+    plane = VolumeViewer.createPlane({
+      center: point,
+      normal: trajectory.direction
+    });
+
+    panel = VolumeViewer.createPanel({
+      volume: volume,
+      volume_id: vol_id,
+      axis: name,
+      canvas: canvas,
+      plane: plane,
+      follow_cursor: false,
+      slice_grid: {
+        width: size,
+        height: size,
+        step: spacing
+      },
+      hideBorder: true,
+      hideCursor: true,
+      image_center: {
+        x: canvas.width / 2,
+        y: canvas.height / 2
+      }
+    });
+
+    // Fit the cross-sections to the canvas.
+    panel.default_zoom = Math.min(canvas.width, canvas.height) / (size * spacing);
+    panel.zoom = panel.default_zoom;
+    panel.trajectory_view = view;
+
+    panel.addEventListener("draw", function(event) {
+      var context = event.context;
+      var position = panel.worldToCursor(plane.center.x, plane.center.y, plane.center.z);
+
+      context.save();
+      context.strokeStyle = color;
+      context.lineWidth = 2;
+      context.beginPath();
+      context.arc(position.x, position.y, 4, 0, 2 * Math.PI);
+      context.stroke();
+      context.restore();
+    });
+
+    view.panel = panel;
+    volume.display.setPanel(name, panel);
+    view.setDepth(view.depth);
+
+    return view;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:computeTrajectoryClearance
+  * @param {object|number} mask_volume The mask volume (e.g. a vessel
+  *   segmentation), or its id.
+  * @param {object} entry The world coordinates of the entry point of the
+  *   trajectory, as an object with **x**, **y** and **z** properties or an array.
+  * @param {object} target The world coordinates of the target point.
+  * @param {object} options Options for the computation:
+  *
+  * * **spacing** (optional) The distance between samples along the trajectory,
+  *     in mm (default: the smallest voxel step of the mask volume).
+  * * **threshold** (optional) Voxels with values above it are part of the mask
+  *     (default: 0).
+  * * **label** (optional) Only voxels with this value are part of the mask, for
+  *     label volumes containing several structures.
+  * * **time** (optional) The time point of the mask volume to use (default: 0).
+  *
+  * @returns {Promise} Promise that resolves with the clearance profile of the
+  *   trajectory: an object with its **entry**, **target**, **length** and
+  *   **spacing**, the **samples** taken from the entry point to the target, each
+  *   with its **depth**, **point** and the **distance** to the mask in mm, and
+  *   the **minimum** of these samples.
+  *
+  * @description
+  * Compute the distance between a trajectory and a mask, such as the vessels a
+  * probe must avoid. The distance map of the mask is computed once in a Web
+  * Worker, using the voxel spacing and transform of the mask volume, and
+  * reused by all the trajectories computed for the same mask. The
+  * **worker_dir** configuration parameter must point to the directory
+  * containing **distance.worker.js**.
+  *
+  * Points outside the mask volume get the distance from the closest point of
+  * the volume, plus the distance to that point.
+  * ```js
+  * viewer.computeTrajectoryClearance(vessels_id, entry, target, {
+  *   spacing: 0.5
+  * }).then(function(clearance) {
+  *   console.log("Closest vessel at " + clearance.minimum.depth + " mm: " +
+  *     clearance.minimum.distance + " mm");
+  * });
+  * ```
+  */
+  viewer.computeTrajectoryClearance = function(mask_volume, entry, target, options) {
+    options = options || {};
+
+    var trajectory;
+
+    mask_volume = typeof mask_volume === "object" ? mask_volume : viewer.volumes[mask_volume];
+
+    if (!mask_volume || !mask_volume.header) {
+      return Promise.reject(createError("No mask volume to compute the clearance of a trajectory with."));
+    }
+
+    try {
+      trajectory = getTrajectory(entry, target);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return getDistanceMap(mask_volume, options).then(function(distance_map) {
+      var spacing = options.spacing || mask_volume.getObliqueGrid().step;
+      var direction = trajectory.direction;
+      var depths = [];
+      var samples, minimum, i;
+
+      // The last sample is always the target.
+      for (i = 0; i * spacing < trajectory.length - 1e-6; i++) {
+        depths.push(i * spacing);
+      }
+      depths.push(trajectory.length);
+
+      samples = depths.map(function(depth) {
+        var point = {
+          x: trajectory.entry.x + direction.x * depth,
+          y: trajectory.entry.y + direction.y * depth,
+          z: trajectory.entry.z + direction.z * depth
+        };
+
+        return {
+          depth: depth,
+          point: point,
+          distance: distance_map.getDistance(point.x, point.y, point.z)
+        };
+      });
+
+      minimum = samples.reduce(function(minimum, sample) {
+        return sample.distance < minimum.distance ? sample : minimum;
+      });
+
+      return {
+        entry: trajectory.entry,
+        target: trajectory.target,
+        length: trajectory.length,
+        spacing: spacing,
+        samples: samples,
+        minimum: minimum
+      };
+    });
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:scoreTrajectorySafety
+  * @param {object} entry The world coordinates of the entry point of the
+  *   trajectory, as an object with **x**, **y** and **z** properties or an array.
+  * @param {object} target The world coordinates of the target point.
+  * @param {object} options Options for the scoring:
+  *
+  * * **radius** (optional) The radius of the electrode, in mm (default: 0).
+  * * **structures** (optional) The risk structures to check, each an object with:
+  *     * **name** The name of the structure, e.g. "vessels".
+  *     * **volume** The mask volume of the structure, or its id.
+  *     * **margin** (optional) The distance to keep between the surface of
+  *       the electrode and the structure, in mm (default: 2).
+  *     * **weight** (optional) How much the structure counts towards the
+  *       overall score, between 0 and 1 (default: 1).
+  *     * **threshold**, **label** and **time** (optional) Which voxels of the
+  *       volume are part of the structure, as for **computeTrajectoryClearance**.
+  *
+  *     By default, every loaded volume (or volume of an overlay) marked with
+  *     **isRiskMask** is checked, with the default margin and weight.
+  * * **spacing** (optional) The distance between samples along the trajectory,
+  *     in mm (default: the smallest voxel step of the structures' volumes).
+  * * **show** (optional) Whether to color the violating segments of the
+  *     trajectory in the panels (default: true).
+  *
+  * @returns {Promise} Promise that resolves with the safety report of the
+  *   trajectory. Along with the **entry**, **target**, **length**, **spacing**
+  *   and **radius** of the trajectory, the report contains:
+  *
+  * * **structures** For each structure, its **name**, **margin** and **weight**,
+  *     the **samples** of its clearance profile, the **minimum** sample, the
+  *     **violations** of its margin, and its **risk**.
+  * * **violations** The ranges of depths where the margin of at least one
+  *     structure is violated, each with its **start** and **end** in mm from
+  *     the entry point and the **structures** involved.
+  * * **score** The overall risk of the trajectory, between 0 (every margin is
+  *     respected) and 1 (the electrode reaches a structure).
+  * * **safe** Whether no margin is violated.
+  *
+  * @description
+  * Check the distance between an electrode placed along a trajectory and
+  * structures to avoid, such as vessels, sulci or ventricles. The clearance
+  * of each sample is its distance to the structure minus the radius of the
+  * electrode, and the margin of a structure is violated wherever the
+  * clearance is smaller than the margin. The risk of a structure grows from 0
+  * at the margin to 1 when the electrode touches it, and the overall score is
+  * the highest weighted risk.
+  *
+  * Each report triggers a **trajectorysafety** event with the **report**, and
+  * unless **show** is false, the violating segments of the trajectory
+  * displayed with **updateTrajectories** are drawn in red.
+  * ```js
+  * viewer.scoreTrajectorySafety(entry, target, {
+  *   radius: 0.4,
+  *   structures: [
+  *     { name: "vessels", volume: vessels_id, margin: 3 },
+  *     { name: "ventricles", volume: labels_id, label: 4, weight: 0.5 }
+  *   ]
+  * }).then(function(report) {
+  *   console.log("Risk score: " + report.score);
+  * });
+  * ```
+  */
+  viewer.scoreTrajectorySafety = function(entry, target, options) {
+    options = options || {};
+
+    var radius = options.radius || 0;
+    var structures = options.structures || getRiskMaskStructures();
+    var trajectory, spacing;
+
+    try {
+      trajectory = getTrajectory(entry, target);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    if (structures.length === 0) {
+      return Promise.reject(createError("No risk structures to score the safety of a trajectory with."));
+    }
+
+    structures = structures.map(function(structure, index) {
+      var volume = structure.volume;
+
+      return {
+        name: structure.name || "structure " + index,
+        volume: typeof volume === "object" ? volume : viewer.volumes[volume],
+        margin: structure.margin === undefined ? 2 : structure.margin,
+        weight: structure.weight === undefined ? 1 : structure.weight,
+        threshold: structure.threshold,
+        label: structure.label,
+        time: structure.time
+      };
+    });
+
+    spacing = options.spacing || Math.min.apply(Math, structures.map(function(structure) {
+      return structure.volume ? structure.volume.getObliqueGrid().step : Infinity;
+    }));
+
+    return Promise.all(structures.map(function(structure) {
+      return viewer.computeTrajectoryClearance(structure.volume, trajectory.entry, trajectory.target, {
+        spacing: spacing,
+        threshold: structure.threshold,
+        label: structure.label,
+        time: structure.time
+      });
+    })).then(function(clearances) {
+      var report = {
+        entry: trajectory.entry,
+        target: trajectory.target,
+        length: trajectory.length,
+        spacing: spacing,
+        radius: radius,
+        structures: structures.map(function(structure, index) {
+          return scoreStructure(structure, clearances[index].samples, radius, spacing, trajectory.length);
+        })
+      };
+
+      report.violations = mergeViolations(report.structures);
+      report.score = report.structures.reduce(function(score, structure) {
+        return Math.max(score, structure.risk * structure.weight);
+      }, 0);
+      report.safe = report.violations.length === 0;
+
+      viewer.triggerEvent("trajectorysafety", {
+        report: report
+      });
+
+      if (options.show !== false) {
+        viewer.updateTrajectorySafety(report);
+      }
+
+      return report;
+    });
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:updateTrajectorySafety
+  * @param {object} report A safety report from **scoreTrajectorySafety**, or
+  *   null to stop coloring the trajectories.
+  *
+  * @description
+  * Color the violating segments of a trajectory in the panels. Replaces the
+  * report shown for the same entry and target points, if any. The segments
+  * are drawn over the trajectories displayed with **updateTrajectories**
+  * whose **start** and **end** match the **entry** and **target** of the
+  * report.
+  * ```js
+  * viewer.updateTrajectorySafety(report);
+  * ```
+  */
+  viewer.updateTrajectorySafety = function(report) {
+    if (report) {
+      safety_reports = safety_reports.filter(function(shown) {
+        return !samePoint(shown.entry, report.entry) || !samePoint(shown.target, report.target);
+      });
+      safety_reports.push(report);
+    } else {
+      safety_reports = [];
+    }
+
+    viewer.volumes.forEach(function(volume) {
+      if (!volume || !volume.display) return;
+
+      volume.display.forEach(function(panel) {
+        panel.safety_reports = safety_reports;
+      });
+    });
+
+    viewer.redrawVolumes();
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:setTrajectoryEditing
+  * @param {boolean} enabled Whether trajectories can be edited.
+  *
+  * @description
+  * Show handles on the entry and target points of the trajectories displayed
+  * with **updateTrajectories**, in every orthogonal panel. Dragging a handle
+  * moves the point within the panel's slice, and each move triggers a
+  * **trajectorychange** event (see **setTrajectoryPoint**). Each drag can be
+  * undone with **undoTrajectoryChange** or **viewer.history.undo()**.
+  * ```js
+  * viewer.setTrajectoryEditing(true);
+  * viewer.addEventListener("trajectorychange", function(event) {
+  *   console.log(event.index, event.start, event.end);
+  * });
+  * ```
+  */
+  viewer.setTrajectoryEditing = function(enabled) {
+    viewer.edit_trajectories = !!enabled;
+
+    viewer.volumes.forEach(function(volume) {
+      if (!volume || !volume.display) return;
+
+      volume.display.forEach(function(panel) {
+        panel.edit_trajectories = viewer.edit_trajectories;
+        panel.updated = true;
+      });
+    });
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:setTrajectoryPoint
+  * @param {number} index The index of the trajectory in the list given to
+  *   **updateTrajectories**.
+  * @param {string} end Which point of the trajectory to move: "start" (the
+  *   entry point) or "end" (the target).
+  * @param {object} point The new world coordinates of the point, as an object
+  *   with **x**, **y** and **z** properties or an array.
+  * @param {object} options Options for the change:
+  *
+  * * **record** (optional) Whether the change can be undone, with
+  *     **undoTrajectoryChange** or **viewer.history** (default: true).
+  * * **original** (optional) The point to restore when the change is undone
+  *     (default: the point before this change). Used to undo a whole drag
+  *     at once.
+  *
+  * @description
+  * Move the entry or target point of a displayed trajectory, and redraw it
+  * in all panels. The electrode placed along the trajectory, if any, follows.
+  * Triggers a **trajectorychange** event with the **trajectory**, its
+  * **index** and its new **start** and **end** points.
+  * ```js
+  * viewer.setTrajectoryPoint(0, "end", { x: -20, y: 2, z: 5 });
+  * ```
+  */
+  viewer.setTrajectoryPoint = function(index, end, point, options) {
+    options = options || {};
+
+    var trajectory = (viewer.trajectories || [])[index];
+    var original, change;
+
+    if (!trajectory || (end !== "start" && end !== "end")) {
+      return;
+    }
+
+    original = options.original ? toPoint(options.original) : toPoint(trajectory[end]);
+    point = toPoint(point);
+
+    moveTrajectoryPoint(index, end, point);
+
+    if (options.record !== false && !samePoint(original, point)) {
+      change = {
+        index: index,
+        end: end,
+        before: original,
+        after: point
+      };
+
+      trajectory_changes.undo.push(change);
+      if (trajectory_changes.undo.length > MAX_TRAJECTORY_CHANGES) {
+        trajectory_changes.undo.shift();
+      }
+      trajectory_changes.redo = [];
+
+      viewer.history.recordStep({
+        undo: function() {
+          applyTrajectoryChange(change, "undo", "redo", change.before);
+        },
+        redo: function() {
+          applyTrajectoryChange(change, "redo", "undo", change.after);
+        }
+      });
+    }
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:undoTrajectoryChange
+  *
+  * @returns {boolean} Whether there was a change to undo.
+  *
+  * @description
+  * Undo the last change made to a trajectory point.
+  * ```js
+  * viewer.undoTrajectoryChange();
+  * ```
+  */
+  viewer.undoTrajectoryChange = function() {
+    var change = trajectory_changes.undo.pop();
+
+    if (!change) {
+      return false;
+    }
+
+    applyTrajectoryChange(change, "undo", "redo", change.before);
+
+    return true;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:redoTrajectoryChange
+  *
+  * @returns {boolean} Whether there was a change to redo.
+  *
+  * @description
+  * Redo the last change to a trajectory point that was undone.
+  * ```js
+  * viewer.redoTrajectoryChange();
+  * ```
+  */
+  viewer.redoTrajectoryChange = function() {
+    var change = trajectory_changes.redo.pop();
+
+    if (!change) {
+      return false;
+    }
+
+    applyTrajectoryChange(change, "redo", "undo", change.after);
+
+    return true;
+  };
+
+  /**
+  * @doc function
+  * @name viewer.trajectory:getElectrodeContacts
+  * @param {object} electrode An electrode created with
+  *   **BrainBrowser.createElectrode**.
+  * @param {object} options Volumes to look up:
+  *
+  * * **atlas** (optional) The atlas volume, or its id, giving the label of
+  *     each contact.
+  * * **label\_names** (optional) An object giving the name of each label of
+  *     the atlas.
+  * * **volume** (optional) The volume, or its id, giving the intensity of
+  *     each contact (default: the volume with id 0).
+  *
+  * @returns {array} The contacts of the electrode, from its tip. Along with the
+  *   **index**, **start**, **center** and **end** of the contact, each has the
+  *   **label** of the atlas voxel its center sits in and its **label\_name**
+  *   (or null without an atlas), and the **intensity** of the volume at its
+  *   center.
+  *
+  * @description
+  * Look up where the contacts of an electrode sit, to review their placement.
+  * ```js
+  * var electrode = BrainBrowser.createElectrode({
+  *   model: "dixi_d08_10am",
+  *   entry: entry,
+  *   target: target
+  * });
+  *
+  * viewer.getElectrodeContacts(electrode, {
+  *   atlas: atlas_id,
+  *   label_names: { 17: "Left-Hippocampus", 53: "Right-Hippocampus" }
+  * }).forEach(function(contact) {
+  *   console.log(contact.index, contact.label_name, contact.intensity);
+  * });
+  * ```
+  */
+  viewer.getElectrodeContacts = function(electrode, options) {
+    options = options || {};
+
+    var atlas = options.atlas;
+    var volume = options.volume === undefined ? 0 : options.volume;
+    var label_names = options.label_names || {};
+
+    atlas = atlas === undefined || typeof atlas === "object" ? atlas : viewer.volumes[atlas];
+    volume = typeof volume === "object" ? volume : viewer.volumes[volume];
+
+    return electrode.contacts.map(function(contact) {
+      var center = contact.center;
+      var label = null;
+      var voxel;
+
+      if (atlas) {
+        voxel = atlas.worldToVoxel(center.x, center.y, center.z);
+        label = atlas.getIntensityValue(voxel.i, voxel.j, voxel.k, 0);
+      }
+
+      return {
+        index: contact.index,
+        start: contact.start,
+        center: center,
+        end: contact.end,
+        label: label,
+        label_name: label === null ? null : label_names[label] || null,
+        intensity: volume ? volume.getInterpolatedIntensityValue(center.x, center.y, center.z) : null
+      };
+    });
+  };
+
+  // Move a change from one of the undo and redo lists to the other, and
+  // move the point it changed. viewer.history holds the same changes, so
+  // they can be undone from either.
+  function applyTrajectoryChange(change, from, to, point) {
+    var index = trajectory_changes[from].indexOf(change);
+
+    if (index !== -1) {
+      trajectory_changes[from].splice(index, 1);
+    }
+    if (trajectory_changes[to].indexOf(change) === -1) {
+      trajectory_changes[to].push(change);
+    }
+
+    moveTrajectoryPoint(change.index, change.end, point);
+  }
+
+  function moveTrajectoryPoint(index, end, point) {
+    var trajectory = viewer.trajectories[index];
+    var start_point, end_point;
+
+    if (!trajectory) {
+      return;
+    }
+
+    trajectory[end] = [point.x, point.y, point.z];
+    start_point = toPoint(trajectory.start);
+    end_point = toPoint(trajectory.end);
+
+    if (trajectory.electrode) {
+      trajectory.electrode.setTrajectory(start_point, end_point);
+    }
+
+    viewer.volumes.forEach(function(volume) {
+      if (!volume || !volume.display) return;
+
+      volume.display.forEach(function(panel) {
+        panel.updated = true;
+      });
+    });
+
+    viewer.triggerEvent("trajectorychange", {
+      trajectory: trajectory,
+      index: index,
+      start: start_point,
+      end: end_point
+    });
+  }
+
+  // Structures for the volumes marked as risk masks, including the
+  // volumes of overlays.
+  function getRiskMaskStructures() {
+    var structures = [];
+
+    viewer.volumes.forEach(function(volume) {
+      var volumes = volume && volume.volumes ? volume.volumes : [volume];
+
+      volumes.forEach(function(volume) {
+        if (volume && volume.isRiskMask && structures.every(function(structure) {
+          return structure.volume !== volume;
+        })) {
+          structures.push({
+            name: volume.name || "risk mask " + structures.length,
+            volume: volume
+          });
+        }
+      });
+    });
+
+    return structures;
+  }
+
+  function scoreStructure(structure, samples, radius, spacing, length) {
+    var violations = [];
+    var violation = null;
+    var minimum = null;
+
+    samples = samples.map(function(sample) {
+      return {
+        depth: sample.depth,
+        point: sample.point,
+        distance: sample.distance,
+        clearance: sample.distance - radius
+      };
+    });
+
+    samples.forEach(function(sample) {
+      if (!minimum || sample.clearance < minimum.clearance) {
+        minimum = sample;
+      }
+
+      // Violating samples cover half the spacing on each side.
+      if (sample.clearance < structure.margin) {
+        if (!violation) {
+          violation = {
+            start: Math.max(0, sample.depth - spacing / 2),
+            end: 0,
+            minimum: sample
+          };
+          violations.push(violation);
+        }
+        violation.end = Math.min(length, sample.depth + spacing / 2);
+        if (sample.clearance < violation.minimum.clearance) {
+          violation.minimum = sample;
+        }
+      } else {
+        violation = null;
+      }
+    });
+
+    return {
+      name: structure.name,
+      volume: structure.volume,
+      margin: structure.margin,
+      weight: structure.weight,
+      samples: samples,
+      minimum: minimum,
+      violations: violations,
+      risk: structure.margin > 0 ?
+        Math.max(0, Math.min(1, 1 - minimum.clearance / structure.margin)) :
+        (minimum.clearance <= 0 ? 1 : 0)
+    };
+  }
+
+  // Union of the violations of all structures, sorted by depth.
+  function mergeViolations(structures) {
+    var ranges = [];
+    var merged = [];
+
+    structures.forEach(function(structure) {
+      structure.violations.forEach(function(violation) {
+        ranges.push({
+          start: violation.start,
+          end: violation.end,
+          structures: [structure.name]
+        });
+      });
+    });
+
+    ranges.sort(function(a, b) {
+      return a.start - b.start;
+    });
+
+    ranges.forEach(function(range) {
+      var last = merged[merged.length - 1];
+
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+        if (last.structures.indexOf(range.structures[0]) === -1) {
+          last.structures.push(range.structures[0]);
+        }
+      } else {
+        merged.push(range);
+      }
+    });
+
+    return merged;
+  }
+
+  function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6 && Math.abs(a.z - b.z) < 1e-6;
+  }
+
+  // Distance maps are cached on the mask volume, one per time point and
+  // threshold or label, as Promises so that simultaneous requests share a
+  // worker.
+  function getDistanceMap(volume, options) {
+    var header = volume.header;
+    var time = options.time || 0;
+    var mask = {
+      threshold: options.threshold || 0,
+      label: options.label
+    };
+    var key = time + ":" + (mask.label === undefined ? mask.threshold : "label" + mask.label);
+
+    volume.distance_maps = volume.distance_maps || {};
+
+    if (!volume.distance_maps[key]) {
+      volume.distance_maps[key] = runDistanceWorker(volume, time, mask).then(function(distances) {
+        var lengths = header.order.map(function(space) {
+          return header[space].space_length;
+        });
+        var map = {
+          header: header,
+          data: distances
+        };
+
+        return {
+          distances: distances,
+          getDistance: function(x, y, z) {
+            var voxel = volume.worldToVoxel(x, y, z, true);
+            var coords = [voxel.i, voxel.j, voxel.k];
+            var clamped = coords.map(function(coord, d) {
+              return Math.max(0, Math.min(coord, lengths[d] - 1));
+            });
+            var distance = VolumeViewer.utils.sampleVoxel(map, clamped[0], clamped[1], clamped[2], 0, "linear");
+            var closest;
+
+            if (clamped[0] === coords[0] && clamped[1] === coords[1] && clamped[2] === coords[2]) {
+              return distance;
+            }
+
+            closest = volume.voxelToWorld(clamped[0], clamped[1], clamped[2]);
+
+            return distance + Math.sqrt(
+              (x - closest.x) * (x - closest.x) +
+              (y - closest.y) * (y - closest.y) +
+              (z - closest.z) * (z - closest.z)
+            );
+          }
+        };
+      });
+
+      // Let a failed computation be retried.
+      volume.distance_maps[key].catch(function() {
+        delete volume.distance_maps[key];
+      });
+    }
+
+    return volume.distance_maps[key];
+  }
+
+  function runDistanceWorker(volume, time, mask) {
+    var header = volume.header;
+    var worker_dir = BrainBrowser.config.get("worker_dir");
+    var sizes = header.order.map(function(space) {
+      return header[space].space_length;
+    });
+    var spacing = header.order.map(function(space) {
+      return Math.abs(header[space].step);
+    });
+    var values;
+
+    if (worker_dir === null) {
+      return Promise.reject(createError(
+        "BrainBrowser configuration parameter 'worker_dir' not defined.\n" +
+        "Use 'BrainBrowser.config.set(\"worker_dir\", ...)' to set it."
+      ));
+    }
+
+    values = volume.getFrameData(time);
+
+    return new Promise(function(resolve, reject) {
+      var worker = new Worker(worker_dir + "/distance.worker.js");
+
+      worker.addEventListener("message", function(event) {
+        worker.terminate();
+        resolve(event.data.distances);
+      });
+
+      worker.addEventListener("error", function(event) {
+        worker.terminate();
+        reject(createError("Error computing the distance map of a mask: " + event.message));
+      });
+
+      worker.postMessage({
+        data: values,
+        sizes: sizes,
+        spacing: spacing,
+        threshold: mask.threshold,
+        label: mask.label
+      }, values.buffer ? [values.buffer] : []);
+    });
+  }
+
+  function createError(error_message) {
+    BrainBrowser.events.triggerEvent("error", { message: error_message });
+
+    return new Error(error_message);
+  }
+
+  // Check the points of a trajectory and get its direction and length.
+  function getTrajectory(entry, target) {
+    var error_message;
+    var direction, length;
+
+    entry = toPoint(entry);
+    target = toPoint(target);
+
+    if (!entry || !target) {
+      error_message = "A trajectory needs an entry and a target point.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    direction = {
+      x: target.x - entry.x,
+      y: target.y - entry.y,
+      z: target.z - entry.z
+    };
+    length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+
+    if (length === 0 || isNaN(length)) {
+      error_message = "The entry and target points of a trajectory are the same.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    return {
+      entry: entry,
+      target: target,
+      length: length,
+      direction: {
+        x: direction.x / length,
+        y: direction.y / length,
+        z: direction.z / length
+      }
+    };
+  }
+
+  // Points can be given as objects or [x, y, z] arrays.
+  function toPoint(point) {
+    if (Array.isArray(point)) {
+      return { x: +point[0], y: +point[1], z: +point[2] };
+    }
+
+    return point ? { x: +point.x, y: +point.y, z: +point.z } : null;
+  }
+};
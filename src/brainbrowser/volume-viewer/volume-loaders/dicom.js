@@ -0,0 +1,500 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011-2014
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+* Loads a series of DICOM Part 10 files for the volume viewer. The
+* headers are parsed here, in the browser, so no DICOM service is
+* needed. Only uncompressed pixel data (implicit or explicit VR, little
+* or big endian, and deflated explicit VR) is supported. For details
+* on the format, see: http://dicom.nema.org/medical/dicom/current/output/html/part10.html
+*
+* Slices are sorted along the slice normal using ImagePositionPatient,
+* and the voxel-to-world transform is built from ImageOrientationPatient,
+* PixelSpacing and the distance between the first and last slices. DICOM
+* patient coordinates (LPS) are converted to the RAS world space used
+* by the other loaders.
+*/
+
+(function() {
+  "use strict";
+
+  var VolumeViewer = BrainBrowser.VolumeViewer;
+
+  // Tags read from each file, with their VR for implicit VR files.
+  var dicom_tags = {
+    "00020010": { name: "transfer_syntax", vr: "UI" },
+    "00080060": { name: "modality", vr: "CS" },
+    "0008103E": { name: "series_description", vr: "LO" },
+    "0020000E": { name: "series_instance_uid", vr: "UI" },
+    "00200011": { name: "series_number", vr: "IS" },
+    "00200013": { name: "instance_number", vr: "IS" },
+    "00200032": { name: "image_position", vr: "DS" },
+    "00200037": { name: "image_orientation", vr: "DS" },
+    "00180050": { name: "slice_thickness", vr: "DS" },
+    "00280002": { name: "samples_per_pixel", vr: "US" },
+    "00280008": { name: "number_of_frames", vr: "IS" },
+    "00280010": { name: "rows", vr: "US" },
+    "00280011": { name: "columns", vr: "US" },
+    "00280030": { name: "pixel_spacing", vr: "DS" },
+    "00280100": { name: "bits_allocated", vr: "US" },
+    "00280103": { name: "pixel_representation", vr: "US" },
+    "00281052": { name: "rescale_intercept", vr: "DS" },
+    "00281053": { name: "rescale_slope", vr: "DS" }
+  };
+
+  // Explicit VRs with a 2-byte reserved field and 4-byte length.
+  var long_vrs = ["OB", "OD", "OF", "OL", "OV", "OW", "SQ", "SV", "UC", "UN", "UR", "UT", "UV"];
+
+  var transfer_syntaxes = {
+    "1.2.840.10008.1.2": { explicit: false, little_endian: true },
+    "1.2.840.10008.1.2.1": { explicit: true, little_endian: true },
+    "1.2.840.10008.1.2.1.99": { explicit: true, little_endian: true, deflated: true },
+    "1.2.840.10008.1.2.2": { explicit: true, little_endian: false }
+  };
+
+  /* Description options:
+   *
+   * * **dicom_urls** Array of URLs, one per slice.
+   * * **dicom_files** Array or FileList of File objects, or a multiple
+   *   file input element.
+   * * **dicom_sources** Array of ArrayBuffers.
+   * * **source** A single ArrayBuffer, for one-file series.
+   * * **series_instance_uid** (optional) The series to load when the
+   *   input contains several series.
+   */
+  VolumeViewer.volume_loaders.dicom = function(description, callback) {
+    const { stepRotio, noCatchVolumeXHR = false } = description;
+    var error_message;
+    var files;
+
+    if (description.dicom_urls) {
+      loadAll(description.dicom_urls, function(url, done) {
+        BrainBrowser.loader.loadFromURL(url, done,
+          VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: !noCatchVolumeXHR }));
+      });
+    } else if (description.dicom_files) {
+      files = description.dicom_files.files || description.dicom_files;
+      loadAll(Array.prototype.slice.call(files), function(file, done) {
+        BrainBrowser.loader.loadFromFile(file, done, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer" }));
+      });
+    } else if (description.dicom_sources) {
+      createDicomVolume(description, description.dicom_sources, stepRotio, callback);
+    } else if (description.source) {
+      createDicomVolume(description, [description.source], stepRotio, callback);
+    } else {
+      error_message = "invalid volume description.\n" +
+        "Description must contain the property 'dicom_urls', 'dicom_files', 'dicom_sources' or 'source'.";
+
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    // Fetch every slice, keeping the buffers in input order.
+    function loadAll(items, loadItem) {
+      var buffers = [];
+      var num_loaded = 0;
+
+      items.forEach(function(item, i) {
+        loadItem(item, function(data) {
+          buffers[i] = data;
+
+          if (++num_loaded === items.length) {
+            createDicomVolume(description, buffers, stepRotio, callback);
+          }
+        });
+      });
+    }
+  };
+
+  // Part 10 files have the magic "DICM" after a 128 byte preamble.
+  VolumeViewer.registerVolumeLoader("dicom", {
+    sniff: function(bytes, filename) {
+      if (bytes.length >= 132) {
+        return String.fromCharCode(bytes[128], bytes[129], bytes[130], bytes[131]) === "DICM";
+      }
+
+      return /\.dcm$/i.test(filename || "");
+    },
+    load: VolumeViewer.volume_loaders.dicom
+  });
+
+  function dicomError(error_message) {
+    BrainBrowser.events.triggerEvent("error", { message: error_message });
+    throw new Error(error_message);
+  }
+
+  function createDicomVolume(description, buffers, stepRotio, callback) {
+    var slices = buffers.map(parseDicomFile);
+    var series = {};
+    var series_uids, series_uid;
+
+    slices.forEach(function(slice) {
+      var uid = slice.series_instance_uid || "";
+      series[uid] = series[uid] || [];
+      series[uid].push(slice);
+    });
+
+    series_uids = Object.keys(series);
+    series_uid = description.series_instance_uid;
+
+    if (series_uid === undefined && series_uids.length === 1) {
+      series_uid = series_uids[0];
+    }
+
+    if (!series[series_uid]) {
+      BrainBrowser.events.triggerEvent("error", {
+        message: "DICOM input contains " + series_uids.length + " series. " +
+          "Set 'series_instance_uid' in the volume description to choose one.",
+        series: series_uids.map(function(uid) {
+          var first = series[uid][0];
+          return {
+            series_instance_uid: uid,
+            series_number: first.series_number,
+            series_description: first.series_description,
+            modality: first.modality,
+            num_slices: series[uid].length
+          };
+        })
+      });
+      throw new Error("Multiple DICOM series found: " + series_uids.join(", "));
+    }
+
+    var header = createDicomHeader(series[series_uid], stepRotio);
+    var volume = VolumeViewer.createVolume(header, createDicomData(header, series[series_uid]));
+
+    volume.type = "dicom";
+    volume.intensity_min = header.voxel_min;
+    volume.intensity_max = header.voxel_max;
+    volume.saveOriginAndTransform(header);
+
+    if (BrainBrowser.utils.isFunction(callback)) {
+      callback(volume);
+    }
+  }
+
+  /* Build the volume header from a single series. Slices are sorted
+   * by their position along the slice normal (the cross product of
+   * the row and column direction cosines).
+   */
+  function createDicomHeader(slices, stepRotio) {
+    var header = {
+      order: [],
+      xspace: {},
+      yspace: {},
+      zspace: {}
+    };
+    var first = slices[0];
+    var orientation = first.image_orientation || [1, 0, 0, 0, 1, 0];
+    var row_cosines = orientation.slice(0, 3);
+    var column_cosines = orientation.slice(3, 6);
+    var normal = [
+      row_cosines[1] * column_cosines[2] - row_cosines[2] * column_cosines[1],
+      row_cosines[2] * column_cosines[0] - row_cosines[0] * column_cosines[2],
+      row_cosines[0] * column_cosines[1] - row_cosines[1] * column_cosines[0]
+    ];
+    var pixel_spacing = first.pixel_spacing || [1, 1];
+    var slice_step, last, i;
+
+    slices.forEach(function(slice) {
+      if (slice.rows !== first.rows || slice.columns !== first.columns) {
+        dicomError("DICOM slices in a series must all have the same dimensions.");
+      }
+
+      slice.position = slice.image_position || [0, 0, slice.instance_number || 0];
+      slice.distance = slice.position[0] * normal[0] +
+        slice.position[1] * normal[1] +
+        slice.position[2] * normal[2];
+    });
+
+    slices.sort(function(a, b) {
+      return a.distance - b.distance;
+    });
+
+    first = slices[0];
+    last = slices[slices.length - 1];
+
+    if (slices.length > 1) {
+      // Vector between adjacent slices; keeps gantry tilt intact.
+      slice_step = [0, 1, 2].map(function(i) {
+        return (last.position[i] - first.position[i]) / (slices.length - 1);
+      });
+    } else {
+      slice_step = normal.map(function(n) {
+        return n * (first.slice_thickness || 1);
+      });
+    }
+
+    // Columns vary fastest in the pixel data, then rows, then slices.
+    var dicom_xfm = [
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 1]
+    ];
+
+    for (i = 0; i < 3; i++) {
+      // LPS to RAS: negate the x and y world axes.
+      var flip = i < 2 ? -1 : 1;
+      dicom_xfm[i][0] = flip * row_cosines[i] * pixel_spacing[1];
+      dicom_xfm[i][1] = flip * column_cosines[i] * pixel_spacing[0];
+      dicom_xfm[i][2] = flip * slice_step[i];
+      dicom_xfm[i][3] = flip * first.position[i];
+    }
+
+    VolumeViewer.utils.niftiTransformToHeader(dicom_xfm, header, [first.columns, first.rows, slices.length], stepRotio);
+
+    header.datatype = first.bits_allocated;
+    header.modality = first.modality;
+    header.series_instance_uid = first.series_instance_uid;
+
+    return header;
+  }
+
+  function createDicomData(header, slices) {
+    var slice_length = slices[0].rows * slices[0].columns;
+    var rescaled = slices.some(function(slice) {
+      return slice.rescale_slope !== 1 || slice.rescale_intercept !== 0;
+    });
+    var native_data = null;
+
+    slices.forEach(function(slice, k) {
+      var pixels = slice.pixels;
+      var offset = k * slice_length;
+      var d;
+
+      if (!native_data) {
+        native_data = rescaled ? new Float32Array(slice_length * slices.length) :
+          new pixels.constructor(slice_length * slices.length);
+      }
+
+      if (rescaled) {
+        for (d = 0; d < slice_length; d++) {
+          native_data[offset + d] = pixels[d] * slice.rescale_slope + slice.rescale_intercept;
+        }
+      } else {
+        native_data.set(pixels.subarray(0, slice_length), offset);
+      }
+
+      slice.pixels = null;
+    });
+
+    VolumeViewer.utils.scanDataRange(native_data, header);
+
+    header[header.order[0]].offset = header[header.order[1]].space_length * header[header.order[2]].space_length;
+    header[header.order[1]].offset = header[header.order[2]].space_length;
+    header[header.order[2]].offset = 1;
+
+    return native_data;
+  }
+
+  /* Parse one Part 10 file, returning the values of the tags listed
+   * in dicom_tags and the pixel data of the (single) frame.
+   */
+  function parseDicomFile(raw_data) {
+    var bytes = new Uint8Array(raw_data);
+    var dview = new DataView(raw_data);
+    var meta = {};
+    var dataset = {};
+    var offset = 0;
+    var syntax;
+
+    if (String.fromCharCode(bytes[128], bytes[129], bytes[130], bytes[131]) === "DICM") {
+      offset = parseDataSet(dview, 132, bytes.length, true, true, meta, function(group) {
+        return group !== 0x0002;
+      });
+    }
+
+    syntax = meta.transfer_syntax ? transfer_syntaxes[meta.transfer_syntax] : transfer_syntaxes["1.2.840.10008.1.2"];
+
+    if (!syntax) {
+      dicomError("Unsupported DICOM transfer syntax: " + meta.transfer_syntax + ".\n" +
+        "Only uncompressed DICOM files can be loaded.");
+    }
+
+    if (syntax.deflated) {
+      bytes = window.pako.inflateRaw(bytes.subarray(offset));
+      dview = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      offset = 0;
+    }
+
+    parseDataSet(dview, offset, dview.byteLength, syntax.little_endian, syntax.explicit, dataset);
+
+    if (!dataset.pixel_data) {
+      dicomError("DICOM file contains no pixel data.");
+    }
+
+    if ((dataset.samples_per_pixel || 1) !== 1) {
+      dicomError("Only single-sample (grayscale) DICOM images are supported.");
+    }
+
+    if ((dataset.number_of_frames || 1) !== 1) {
+      dicomError("Multi-frame DICOM files are not supported.");
+    }
+
+    dataset.pixels = readPixels(dview, dataset, syntax.little_endian);
+    dataset.rescale_slope = dataset.rescale_slope === undefined ? 1 : dataset.rescale_slope;
+    dataset.rescale_intercept = dataset.rescale_intercept === undefined ? 0 : dataset.rescale_intercept;
+
+    return dataset;
+  }
+
+  function readPixels(dview, dataset, little_endian) {
+    var signed = dataset.pixel_representation === 1;
+    var ArrayType;
+
+    switch (dataset.bits_allocated) {
+    case 8:
+      ArrayType = signed ? Int8Array : Uint8Array;
+      break;
+    case 16:
+      ArrayType = signed ? Int16Array : Uint16Array;
+      break;
+    case 32:
+      ArrayType = signed ? Int32Array : Uint32Array;
+      break;
+    default:
+      dicomError("Unsupported DICOM bits allocated: " + dataset.bits_allocated);
+    }
+
+    var n_pixels = dataset.rows * dataset.columns;
+    var start = dview.byteOffset + dataset.pixel_data.offset;
+    var pixel_bytes = new Uint8Array(dview.buffer.slice(start, start + n_pixels * ArrayType.BYTES_PER_ELEMENT));
+
+    if (!little_endian && ArrayType.BYTES_PER_ELEMENT > 1) {
+      VolumeViewer.utils.swapn(pixel_bytes, ArrayType.BYTES_PER_ELEMENT);
+    }
+
+    return new ArrayType(pixel_bytes.buffer);
+  }
+
+  /* Walk the data elements from offset to end, storing the values of
+   * known tags in values (if given). Sequences are skipped, whether or
+   * not their length is defined. Returns the offset after the last
+   * element read, which is the position of the first element for
+   * which stop(group) is true, or just after an item or sequence
+   * delimiter when walking a nested data set.
+   */
+  function parseDataSet(dview, offset, end, little_endian, explicit, values, stop) {
+    var group, element, tag, vr, length, info;
+
+    while (offset < end) {
+      group = dview.getUint16(offset, little_endian);
+      element = dview.getUint16(offset + 2, little_endian);
+
+      if (stop && stop(group)) {
+        return offset;
+      }
+
+      offset += 4;
+
+      // Items and delimiters never have a VR.
+      if (group === 0xFFFE) {
+        length = dview.getUint32(offset, little_endian);
+        offset += 4;
+
+        if (element === 0xE00D || element === 0xE0DD) {
+          return offset;
+        }
+
+        offset = length === 0xFFFFFFFF ?
+          parseDataSet(dview, offset, end, little_endian, explicit, null) :
+          offset + length;
+        continue;
+      }
+
+      tag = hex(group) + hex(element);
+      info = dicom_tags[tag];
+
+      if (explicit) {
+        vr = String.fromCharCode(dview.getUint8(offset), dview.getUint8(offset + 1));
+        offset += 2;
+        if (long_vrs.indexOf(vr) !== -1) {
+          length = dview.getUint32(offset + 2, little_endian);
+          offset += 6;
+        } else {
+          length = dview.getUint16(offset, little_endian);
+          offset += 2;
+        }
+      } else {
+        vr = info ? info.vr : "UN";
+        length = dview.getUint32(offset, little_endian);
+        offset += 4;
+      }
+
+      if (tag === "7FE00010") {
+        if (length === 0xFFFFFFFF) {
+          dicomError("Compressed (encapsulated) DICOM pixel data is not supported.");
+        }
+        if (values) {
+          values.pixel_data = { offset: offset, length: length };
+        }
+        offset += length;
+        continue;
+      }
+
+      if (length === 0xFFFFFFFF) {
+        // Undefined length sequence: walk its items up to the delimiter.
+        offset = parseDataSet(dview, offset, end, little_endian, explicit && vr !== "UN", null);
+        continue;
+      }
+
+      if (values && info) {
+        values[info.name] = readValue(dview, offset, length, vr, little_endian);
+      }
+
+      offset += length;
+    }
+
+    return offset;
+  }
+
+  function readValue(dview, offset, length, vr, little_endian) {
+    var text = "";
+    var i;
+
+    if (vr === "US") {
+      return dview.getUint16(offset, little_endian);
+    }
+
+    if (vr === "UL") {
+      return dview.getUint32(offset, little_endian);
+    }
+
+    for (i = 0; i < length; i++) {
+      text += String.fromCharCode(dview.getUint8(offset + i));
+    }
+
+    text = text.replace(/[\0\s]+$/, "").trim();
+
+    if (vr === "DS" || vr === "IS") {
+      var numbers = text.split("\\").map(parseFloat);
+      return numbers.length === 1 ? numbers[0] : numbers;
+    }
+
+    return text;
+  }
+
+  function hex(n) {
+    return ("0000" + n.toString(16).toUpperCase()).slice(-4);
+  }
+
+}());
@@ -96,6 +96,33 @@
     return (typ >= type_enum.FLT && typ <= type_enum.DBL);
   }
 
+  /* Number of decoded chunks kept by a lazily decoded dataset. */
+  var DEFAULT_CHUNK_CACHE_SIZE = 64;
+
+  /* View an ArrayBuffer as a typed array of one of the type_enum types. */
+  function typedArray(typ, buffer) {
+    switch (typ) {
+    case type_enum.INT8:
+      return new Int8Array(buffer);
+    case type_enum.UINT8:
+      return new Uint8Array(buffer);
+    case type_enum.INT16:
+      return new Int16Array(buffer);
+    case type_enum.UINT16:
+      return new Uint16Array(buffer);
+    case type_enum.INT32:
+      return new Int32Array(buffer);
+    case type_enum.UINT32:
+      return new Uint32Array(buffer);
+    case type_enum.FLT:
+      return new Float32Array(buffer);
+    case type_enum.DBL:
+      return new Float64Array(buffer);
+    default:
+      throw new Error('Unknown type code ' + typ);
+    }
+  }
+
   /**
    * @doc function
    * @name hdf5Reader
@@ -103,11 +130,16 @@
    * parsed.
    * @param {boolean} debug True if we should print debugging information
    * to the console.
+   * @param {object} lazy (optional) Lazy decoding options: **names**, the
+   * names of the chunked datasets whose chunks should only be decoded when
+   * read, and **cache_size**, the number of decoded chunks to keep.
    * @returns A 'link' object that corresponds to the root group of the HDF5
    * file structure.
    * @description Attempts to interpret an ArrayBuffer as an HDF5 file.
+   * Lazily decoded datasets have no **array**. Their values are read
+   * through the **lazy** property of the link instead (see createChunkedArray).
    */
-  function hdf5Reader(abuf, debug) {
+  function hdf5Reader(abuf, debug, lazy) {
     /* 'global' variables. */
     var dv_offset = 0;
     var align = 8;
@@ -163,6 +195,7 @@
       r.type = -1;              // type of data.
       r.inflate = false;        // true if need to inflate (gzip).
       r.dims = [];              // dimension sizes.
+      r.lazy = undefined;       // chunk accessor, if decoded lazily.
       return r;
     }
 
@@ -748,6 +781,128 @@
       return result;
     }
 
+    /**
+     * @doc function
+     * @name hdf5Reader.createChunkedArray
+     * @param {object} link The 'link' object of a chunked dataset.
+     * @returns {object} An accessor for the dataset's values.
+     * @description
+     * Create the accessor for a chunked dataset whose chunks are decoded
+     * when their values are first read, rather than while the file is
+     * parsed. The accessor's **get(offset)** method returns the value at
+     * a linear offset into the dataset, as it would be found in the
+     * dataset's array. Decoded chunks are kept in a bounded cache, from
+     * which the least recently used chunk is evicted.
+     */
+    function createChunkedArray(link) {
+      var n_dims = link.dims.length;
+      var dims = link.dims;
+      var chunk_dims = link.chunk_dims.slice(0, n_dims);
+      var grid_strides = [];    // strides between chunks, in chunks.
+      var chunk_strides = [];   // strides within a chunk, in elements.
+      var grid_length = 1;
+      var chunk_length = 1;
+      var length = 1;
+      var chunks = {};
+      var cache = new Map();
+      var cache_size = lazy.cache_size || DEFAULT_CHUNK_CACHE_SIZE;
+      var last_index = -1;
+      var last_chunk;
+      var empty_chunk;
+      var d;
+
+      for (d = n_dims - 1; d >= 0; d -= 1) {
+        grid_strides[d] = grid_length;
+        grid_length *= Math.ceil(dims[d] / chunk_dims[d]);
+        chunk_strides[d] = chunk_length;
+        chunk_length *= chunk_dims[d];
+        length *= dims[d];
+      }
+
+      function decodeChunk(chunk) {
+        var sp;
+
+        if (link.inflate && (chunk.filter_mask & 1) === 0) {
+          sp = new Uint8Array(abuf, chunk.offset, chunk.length);
+          return typedArray(link.type, pako.inflate(sp).buffer);
+        }
+        return getArray(link.type, chunk.length, chunk.offset);
+      }
+
+      function getChunk(index) {
+        var chunk_data = cache.get(index);
+
+        if (chunk_data) {
+          // Re-inserted below, as the most recently used chunk.
+          cache.delete(index);
+        } else if (chunks[index]) {
+          chunk_data = decodeChunk(chunks[index]);
+          if (cache.size >= cache_size) {
+            cache.delete(cache.keys().next().value);
+          }
+        } else {
+          // Chunks that were never written contain the fill value.
+          empty_chunk = empty_chunk ||
+            typedArray(link.type, new ArrayBuffer(chunk_length * typeSize(link.type)));
+          return empty_chunk;
+        }
+        cache.set(index, chunk_data);
+        return chunk_data;
+      }
+
+      return {
+        length: length,
+        type: link.type,
+        dims: dims,
+        chunk_dims: chunk_dims,
+
+        // Record a chunk found in a leaf node of the dataset's BTREE.
+        addChunk: function(chunk, offset, n_bytes) {
+          var index = 0;
+
+          for (d = 0; d < n_dims; d += 1) {
+            index += Math.floor(chunk.chunk_offsets[d] / chunk_dims[d]) * grid_strides[d];
+          }
+          chunks[index] = {
+            offset: offset,
+            length: n_bytes,
+            filter_mask: chunk.filter_mask
+          };
+        },
+
+        get: function(offset) {
+          var index = 0;
+          var within = 0;
+          var coord;
+          var k;
+
+          for (k = n_dims - 1; k >= 0; k -= 1) {
+            coord = offset % dims[k];
+            offset = (offset - coord) / dims[k];
+            index += Math.floor(coord / chunk_dims[k]) * grid_strides[k];
+            within += (coord % chunk_dims[k]) * chunk_strides[k];
+          }
+
+          if (index !== last_index) {
+            last_chunk = getChunk(index);
+            last_index = index;
+          }
+          return last_chunk[within];
+        },
+
+        // Decode the whole dataset into a new typed array.
+        readAll: function() {
+          var array = typedArray(link.type, new ArrayBuffer(length * typeSize(link.type)));
+          var i;
+
+          for (i = 0; i < length; i += 1) {
+            array[i] = this.get(i);
+          }
+          return array;
+        }
+      };
+    }
+
     function hdf5V1BtreeNode(link) {
       var i;
       var bt = {};
@@ -835,39 +990,16 @@
             length = chunks[i].chunk_size;
             offset = bt.keys[i].child_address;
 
+            if (link.lazy) {
+              link.lazy.addChunk(chunks[i], offset, length);
+              continue;
+            }
+
             var dst_length = calcChunkSize(link.dims, link.chunk_dims,
                                            chunks[i].chunk_offsets);
             if (link.inflate) {
               sp = new Uint8Array(abuf, offset, length);
-              dp = pako.inflate(sp);
-              switch (link.type) {
-              case type_enum.INT8:
-                dp = new Int8Array(dp.buffer);
-                break;
-              case type_enum.UINT8:
-                dp = new Uint8Array(dp.buffer);
-                break;
-              case type_enum.INT16:
-                dp = new Int16Array(dp.buffer);
-                break;
-              case type_enum.UINT16:
-                dp = new Uint16Array(dp.buffer);
-                break;
-              case type_enum.INT32:
-                dp = new Int32Array(dp.buffer);
-                break;
-              case type_enum.UINT32:
-                dp = new Uint32Array(dp.buffer);
-                break;
-              case type_enum.FLT:
-                dp = new Float32Array(dp.buffer);
-                break;
-              case type_enum.DBL:
-                dp = new Float64Array(dp.buffer);
-                break;
-              default:
-                throw new Error('Unknown type code ' + link.type);
-              }
+              dp = typedArray(link.type, pako.inflate(sp).buffer);
               if (dst_length < dp.length) {
                 dp = dp.subarray(0, dst_length);
               }
@@ -1889,6 +2021,16 @@
 
     function loadData(link) {
       if (link.chunk_size !== 0 &&
+          link.data_offset > 0 && link.data_offset < superblk.eof_addr &&
+          lazy && lazy.names.indexOf(link.name) !== -1) {
+        seek(link.data_offset);
+
+        if (debug) {
+          console.log('recording chunks of ' + link.name);
+        }
+        link.lazy = createChunkedArray(link);
+        hdf5V1BtreeNode(link);
+      } else if (link.chunk_size !== 0 &&
           link.data_offset > 0 && link.data_offset < superblk.eof_addr) {
         seek(link.data_offset);
 
@@ -2285,6 +2427,59 @@
     return new_abuf;
   }
 
+  /**
+   * @doc function
+   * @name hdf5.lazyScaledVoxels
+   * @param {object} image The 'link' object of a lazily decoded image.
+   * @param {object} image_min The 'link' object for the image-min.
+   * @param {object} image_max The 'link' object for the image-max.
+   * @param {array} valid_range The nominal range of the voxels.
+   * @returns {object} An accessor whose **get(offset)** method returns
+   * the real value of a voxel.
+   * @description
+   * The lazy counterpart of scaleVoxels(). Each voxel is scaled as it is
+   * read, so only the chunks that are read are decoded. Since the voxels
+   * are not all scanned, the range of the volume is taken from the
+   * image-min and image-max.
+   */
+  function lazyScaledVoxels(image, image_min, image_max, valid_range) {
+    var chunked = image.lazy;
+    var im_min = image_min.array;
+    var im_max = image_max.array;
+    var vmin = valid_range[0];
+    var vrange = valid_range[1] - valid_range[0];
+    var is_float = typeIsFloat(image.type);
+    var n_slice_elements = 1;
+    var real_min = Number.MAX_VALUE;
+    var real_max = -Number.MAX_VALUE;
+    var i;
+
+    for (i = image_min.dims.length; i < image.dims.length; i += 1) {
+      n_slice_elements *= image.dims[i];
+    }
+    for (i = 0; i < im_min.length; i += 1) {
+      real_min = Math.min(real_min, im_min[i]);
+      real_max = Math.max(real_max, im_max[i]);
+    }
+
+    return {
+      length: chunked.length,
+      array_type: Float32Array,
+      voxel_min: real_min,
+      voxel_max: real_max,
+      get: function(offset) {
+        var v = chunked.get(offset);
+        var s;
+
+        if (is_float) {
+          return (v < valid_range[0] || v > valid_range[1]) ? 0 : v;
+        }
+        s = Math.floor(offset / n_slice_elements);
+        return Math.fround((v - vmin) / vrange * (im_max[s] - im_min[s]) + im_min[s]);
+      }
+    };
+  }
+
   /**
    * @doc function
    * @name hdf5.isRgbVolume
@@ -2301,7 +2496,7 @@
    */
   function isRgbVolume(header, image) {
     var order = header.order;
-    return (image.array.constructor.name === 'Uint8Array' &&
+    return (image.type === type_enum.UINT8 &&
             order.length > 0 &&
             order[order.length - 1] === "vector_dimension" &&
             header.vector_dimension.space_length === 3);
@@ -2342,6 +2537,14 @@
    * @name VolumeViewer.utils.hdf5Loader
    * @param {object} data An ArrayBuffer object that contains the binary
    * data to be interpreted as an HDF5 file.
+   * @param {object} options (optional) Loading options:
+   *
+   * * **lazy** If true, the chunks of a chunked MINC 2.0 image are only
+   *   inflated when the voxels they contain are read, and the returned
+   *   **raw_data** is an object whose **get(offset)** method returns the
+   *   real value of a voxel, rather than an ArrayBuffer.
+   * * **chunk_cache_size** The number of inflated chunks kept in lazy
+   *   mode (default is 64).
    *
    * @description This function is the primary entry point for loading
    * either MINC 1.0 or 2.0 files. It attempts to interpret the file
@@ -2349,12 +2552,17 @@
    * exception), the code falls back to interpreting the file as a
    * NetCDF (MINC 1.0) file.
    */
-  VolumeViewer.utils.hdf5Loader = function (data) {
+  VolumeViewer.utils.hdf5Loader = function (data, options) {
     var debug = false;
 
+    options = options || {};
+
     var root;
     try {
-      root = hdf5Reader(data, debug);
+      root = hdf5Reader(data, debug, options.lazy ? {
+        names: ["image"],
+        cache_size: options.chunk_cache_size
+      } : undefined);
     } catch (e) {
       if (debug) {
         console.log(e);
@@ -2480,10 +2688,19 @@
     var new_abuf;
 
     if (isRgbVolume(header, image)) {
+      if (image.lazy) {
+        image.array = image.lazy.readAll();
+      }
       header.order.pop();
       header.datatype = 'rgb8';
       new_abuf = rgbVoxels(image);
     }
+    else if (image.lazy) {
+      header.datatype = 'float32';
+      new_abuf = lazyScaledVoxels(image, image_min, image_max, valid_range);
+      header.voxel_min = new_abuf.voxel_min;
+      header.voxel_max = new_abuf.voxel_max;
+    }
     else {
       header.datatype = 'float32';
       new_abuf = scaleVoxels(image, image_min, image_max, valid_range, debug);
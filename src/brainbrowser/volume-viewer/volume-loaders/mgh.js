@@ -44,42 +44,86 @@
 
   var VolumeViewer = BrainBrowser.VolumeViewer;
   var debug = false;
+  var MGH_HEADER_SIZE = 284;
+
+  // Bytes per voxel for each supported MGH data type.
+  var mgh_type_sizes = {
+    0: 1,                       // Unsigned characters.
+    1: 4,                       // 4-byte signed integers.
+    3: 4,                       // 4-byte float.
+    4: 2                        // 2-byte signed integers.
+  };
+
+  // Names of the tags that may follow the scan parameters at the end
+  // of the file, from FreeSurfer's tags.h.
+  var mgh_tag_names = {
+    1: "old_colortable",
+    2: "old_userealras",
+    3: "cmdline",
+    4: "userealras",
+    5: "colortable",
+    10: "gcamorph_geom",
+    11: "gcamorph_type",
+    12: "gcamorph_labels",
+    20: "old_surf_geom",
+    21: "surf_geom",
+    30: "old_mgh_xform",
+    31: "mgh_xform",
+    32: "group_avg_surface_area",
+    33: "auto_align",
+    40: "scalar_double",
+    41: "pedir",
+    42: "mri_frame",
+    43: "fieldstrength",
+    44: "orig_ras2vox"
+  };
 
+  /* Description options:
+   *
+   * * **url**, **file** or **source** The MGH or MGZ data. Compressed
+   *   data is detected and inflated here, whatever its origin.
+   * * **header_only** (optional) If true, the callback receives the
+   *   parsed header rather than a volume, and the voxel data are not
+   *   decoded. Only the header of compressed data is inflated. This is
+   *   what viewer.probeVolume() uses; viewer.loadVolume() rejects it.
+   */
   VolumeViewer.volume_loaders.mgh = function(description, callback) {
     var error_message;
     if (description.url) {
       VolumeViewer.cachedLoader = VolumeViewer.cachedLoader || {};
       const cachedData = VolumeViewer.cachedLoader[description.url];
       if (VolumeViewer.canCached && cachedData) {
-        createMGHVolume(cachedData.header, undefined, callback, cachedData);
+        if (description.header_only) {
+          callback(cachedData.header);
+        } else {
+          createMGHVolume(cachedData.header, undefined, callback, cachedData);
+        }
       } else {
         BrainBrowser.loader.loadFromURL(
           description.url, 
           function(data) {
-            parseMGHHeader(data, description.display_zindex, function(header) {
-              const formatedData = createMGHVolume(header, data, callback);
-              if (VolumeViewer.canCached) {
+            loadMGH(data, description, function(result) {
+              if (VolumeViewer.canCached && !description.header_only) {
                 VolumeViewer.cachedLoader[description.url] = {
-                  data: formatedData,
-                  header,
+                  data: result.data,
+                  header: result.header,
                 }
               }
+              if (BrainBrowser.utils.isFunction(callback)) {
+                callback(result);
+              }
             });
           }, 
-          {result_type: "arraybuffer", isVolume: true }, 
+          VolumeViewer.utils.loaderOptions(description, {result_type: "arraybuffer", isVolume: true, inflate: false }), 
         );
       }
 
     } else if (description.file) {
       BrainBrowser.loader.loadFromFile(description.file, function(data) {
-        parseMGHHeader(data, description.display_zindex, function(header) {
-          createMGHVolume(header, data, callback);
-        });
-      }, {result_type: "arraybuffer" });
+        loadMGH(data, description, callback);
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", inflate: false }));
     } else if (description.source) {
-      parseMGHHeader(description.source, description.display_zindex, function(header) {
-        createMGHVolume(header, description.source, callback);
-      });
+      loadMGH(description.source, description, callback);
     } else {
       error_message = "invalid volume description.\n" +
         "Description must contain the property 'url', 'file' or 'source'.";
@@ -90,6 +134,187 @@
 
   };
 
+  // MGH files have no magic number, so along with the extension we
+  // check for version 1, a known data type and enough data for the
+  // dimensions given in the header.
+  VolumeViewer.registerVolumeLoader("mgh", {
+    sniff: function(bytes, filename) {
+      if (/\.mg[hz](\.gz)?$/i.test(filename || "")) {
+        return true;
+      }
+
+      if (bytes.length < MGH_HEADER_SIZE) {
+        return false;
+      }
+
+      var dview = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      var size = mgh_type_sizes[dview.getInt32(20, false)];
+      var count = 1;
+      var i;
+
+      if (dview.getInt32(0, false) !== 1 || !size) {
+        return false;
+      }
+
+      for (i = 4; i < 20; i += 4) {
+        if (dview.getInt32(i, false) < 1) {
+          return false;
+        }
+        count *= dview.getInt32(i, false);
+      }
+
+      return bytes.length >= MGH_HEADER_SIZE + count * size;
+    },
+    load: VolumeViewer.volume_loaders.mgh
+  });
+
+  // MGH data types of the typed arrays that can be written. Types MGH
+  // doesn't have are written as a larger type that holds their values.
+  var MGH_WRITE_TYPES = [
+    { array_type: Uint8Array, datatype: 0 },
+    { array_type: Int32Array, datatype: 1 },
+    { array_type: Float32Array, datatype: 3 },
+    { array_type: Int16Array, datatype: 4 },
+    { array_type: Int8Array, datatype: 4, write_type: Int16Array },
+    { array_type: Uint16Array, datatype: 1, write_type: Int32Array },
+    { array_type: Float64Array, datatype: 3, write_type: Float32Array }
+  ];
+
+  /* Write a volume as a big-endian MGH file. The transform is given
+   * as the direction cosines and spacing of the file axes, and the
+   * world position of the centre of the voxel grid (c_ras).
+   */
+  VolumeViewer.volume_writers.mgh = function(volume) {
+    var header = volume.header;
+
+    // File axes, from the fastest varying in the volume's data.
+    var axes = ["xspace", "yspace", "zspace"].sort(function(a, b) {
+      return header[a].offset - header[b].offset;
+    });
+    var transform = VolumeViewer.utils.mincToTransform(header, axes);
+    var time_length = header.time ? header.time.space_length : 1;
+    var frames = [];
+    var type = null;
+    var buffer, dview, frame_length, WriteArray, error_message, i, j, t;
+
+    for (t = 0; t < time_length; t++) {
+      frames.push(volume.getFrameData(t));
+    }
+
+    MGH_WRITE_TYPES.forEach(function(write_type) {
+      if (frames[0] instanceof write_type.array_type) {
+        type = write_type;
+      }
+    });
+
+    if (type === null || header.datatype === "rgb8") {
+      error_message = "Volumes of this data type can't be written as MGH.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    WriteArray = type.write_type || type.array_type;
+    frame_length = frames[0].length;
+    buffer = new ArrayBuffer(MGH_HEADER_SIZE + frame_length * time_length * WriteArray.BYTES_PER_ELEMENT);
+    dview = new DataView(buffer);
+
+    dview.setInt32(0, 1, false);                        // version
+    for (i = 0; i < 3; i++) {
+      dview.setInt32(4 + i * 4, header[axes[i]].space_length, false);
+    }
+    dview.setInt32(16, time_length, false);
+    dview.setInt32(20, type.datatype, false);
+    dview.setInt16(28, 1, false);                       // good_transform_flag
+
+    for (j = 0; j < 3; j++) {
+      var spacing = Math.abs(header[axes[j]].step);
+      var c_ras = transform[j][3];
+
+      dview.setFloat32(30 + j * 4, spacing, false);
+      for (i = 0; i < 3; i++) {
+        dview.setFloat32(42 + j * 12 + i * 4, transform[i][j] / spacing, false);
+      }
+      for (i = 0; i < 3; i++) {
+        c_ras += transform[j][i] * header[axes[i]].space_length / 2;
+      }
+      dview.setFloat32(78 + j * 4, c_ras, false);
+    }
+
+    frames.forEach(function(frame, t) {
+      var frame_data = new WriteArray(buffer, MGH_HEADER_SIZE + t * frame_length * WriteArray.BYTES_PER_ELEMENT, frame_length);
+
+      frame_data.set(frame);
+    });
+
+    if (WriteArray.BYTES_PER_ELEMENT > 1) {
+      VolumeViewer.utils.swapn(new Uint8Array(buffer, MGH_HEADER_SIZE), WriteArray.BYTES_PER_ELEMENT);
+    }
+
+    return buffer;
+  };
+
+  /* Inflate (if needed) and parse MGH data. The callback receives the
+   * new volume, or only the header in header-only mode.
+   */
+  function loadMGH(raw_data, description, callback) {
+    if (description.header_only === true) {
+      raw_data = inflateMGHHeader(raw_data);
+      parseMGHHeader(raw_data, description.display_zindex, function(header) {
+        parseMGHTail(raw_data, header);
+        if (BrainBrowser.utils.isFunction(callback)) {
+          callback(header);
+        }
+      });
+      return;
+    }
+
+    BrainBrowser.loader.inflate(raw_data, function(data) {
+      parseMGHHeader(data, description.display_zindex, function(header) {
+        parseMGHTail(data, header);
+        createMGHVolume(header, data, callback);
+      });
+    }, VolumeViewer.utils.loaderOptions(description));
+  }
+
+  /* MGZ files are MGH files compressed with gzip. Only the start of
+   * the data is inflated, which is all we need to read the header.
+   */
+  function inflateMGHHeader(raw_data) {
+    var bytes = new Uint8Array(raw_data);
+    var inflator, chunks, length, offset, result;
+
+    if (!VolumeViewer.utils.isCompressed(bytes)) {
+      return raw_data;
+    }
+
+    inflator = new window.pako.Inflate();
+    chunks = [];
+    length = 0;
+    inflator.onData = function(chunk) {
+      chunks.push(chunk);
+      length += chunk.length;
+    };
+
+    for (offset = 0; offset < bytes.length && length < MGH_HEADER_SIZE && !inflator.ended; offset += 1024) {
+      inflator.push(bytes.subarray(offset, offset + 1024), 2); // Z_SYNC_FLUSH
+    }
+
+    if (inflator.err) {
+      var error_message = "Unable to inflate MGZ data: " + inflator.msg;
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    result = new Uint8Array(length);
+    offset = 0;
+    chunks.forEach(function(chunk) {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    return result.buffer;
+  }
+
   /* Function to parse the basic MGH header. This is a 284-byte binary
    * object that begins at offset zero in the file.
    * The resulting header object will contain the following fields:
@@ -100,6 +325,9 @@
    * header.yspace - Description of the Y axis (patient posterior to anterior)
    * header.zspace - Description of the Z axis (patient inferior to superior)
    * header.time - Description of time axis, if any.
+   * header.dimensions - The dimension lengths, in file order.
+   * header.voxel_sizes - The voxel size along each spatial dimension.
+   * header.vox2ras - The 4x4 voxel (file order) to world transform.
 
    * Non-standard fields used internally only:
    *
@@ -115,9 +343,17 @@
       zspace: {}
     };
     var error_message;
-    var dview = new DataView(raw_data, 0, 284);
+    var dview;
     var little_endian = true;
 
+    if (raw_data.byteLength < MGH_HEADER_SIZE) {
+      error_message = "This does not look like an MGH file.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    dview = new DataView(raw_data, 0, MGH_HEADER_SIZE);
+
     /* Read the header version, which should always have the value
      * 0x00000001. We use this to test the endian-ness of the data,
      * but it should always be big-endian.
@@ -246,7 +482,7 @@
     ];
     for (i = 0; i < 3; i++) {
       for (j = 0; j < 3; j++) {
-        mgh_xform[i][j] = dircos[j][i] * spacing[i];
+        mgh_xform[i][j] = dircos[j][i] * spacing[j];
       }
     }
 
@@ -295,6 +531,9 @@
     header.datatype = datatype;
     header.little_endian = little_endian;
     header.nvoxels = nvoxels;
+    header.dimensions = sizes.slice(0, ndims);
+    header.voxel_sizes = spacing;
+    header.vox2ras = mgh_xform.concat([[0, 0, 0, 1]]);
 
     // Save the voxel dimension lengths.
     for (i = 0; i < 3; i++) {
@@ -308,6 +547,88 @@
     }
   }
 
+  /* The voxel data may be followed by the scan parameters (TR, flip
+   * angle, TE, TI and field of view), then by any number of tagged
+   * blocks of embedded data (command lines, transform file names, etc.).
+   * Everything that is present is added to the header:
+   *
+   * header.tr, header.flip_angle, header.te, header.ti, header.fov
+   * header.tags[] - The tags, in file order, as objects with the
+   * fields tag, name and value. Text tags have string values, other
+   * tags keep their raw bytes.
+   */
+  function parseMGHTail(raw_data, header) {
+    var offset = MGH_HEADER_SIZE + header.nvoxels * (mgh_type_sizes[header.datatype] || 0);
+    var dview, tag, length, high, bytes, value;
+
+    if (offset + 20 > raw_data.byteLength) {
+      return;
+    }
+
+    dview = new DataView(raw_data);
+    header.tr = dview.getFloat32(offset, header.little_endian);
+    header.flip_angle = dview.getFloat32(offset + 4, header.little_endian);
+    header.te = dview.getFloat32(offset + 8, header.little_endian);
+    header.ti = dview.getFloat32(offset + 12, header.little_endian);
+    header.fov = dview.getFloat32(offset + 16, header.little_endian);
+    header.tags = [];
+    offset += 20;
+
+    while (offset + 4 <= raw_data.byteLength) {
+      tag = dview.getInt32(offset, header.little_endian);
+      offset += 4;
+
+      if (tag === 0) {
+        break;
+      }
+
+      if (tag === 30) {
+        // Old transform tags have a 32-bit length.
+        if (offset + 4 > raw_data.byteLength) {
+          break;
+        }
+        length = dview.getInt32(offset, header.little_endian);
+        offset += 4;
+      } else if (tag === 1 || tag === 2 || tag === 20) {
+        // Other old tags have no length, so they can't be skipped.
+        break;
+      } else {
+        if (offset + 8 > raw_data.byteLength) {
+          break;
+        }
+        high = header.little_endian ? 4 : 0;
+        length = dview.getUint32(offset + high, header.little_endian) * 0x100000000 +
+          dview.getUint32(offset + 4 - high, header.little_endian);
+        offset += 8;
+      }
+
+      if (length < 0 || offset + length > raw_data.byteLength) {
+        break;
+      }
+
+      bytes = new Uint8Array(raw_data.slice(offset, offset + length));
+
+      switch (tag) {
+      case 3:                   // Command line.
+      case 30:                  // Transform file name.
+      case 31:
+      case 41:                  // Phase encode direction.
+        value = String.fromCharCode.apply(null, bytes).replace(/\0+$/, "");
+        break;
+      default:
+        value = bytes;
+      }
+
+      header.tags.push({
+        tag: tag,
+        name: mgh_tag_names[tag] || "unknown",
+        value: value
+      });
+
+      offset += length;
+    }
+  }
+
   function createMGHVolume(header, raw_data, callback, cachedData) {
     const createdData = cachedData ? cachedData.data : createMGHData(header, raw_data);
     var volume = VolumeViewer.createVolume(header, createdData);
@@ -323,20 +644,9 @@
 
   function createMGHData(header, raw_data) {
     var native_data = null;
-    var bytes_per_voxel = 1;
+    var bytes_per_voxel = mgh_type_sizes[header.datatype];
 
-    switch (header.datatype) {
-    case 0:                     // Unsigned characters.
-      bytes_per_voxel = 1;
-      break;
-    case 1:                     // 4-byte signed integers.
-    case 3:                     // 4-byte float.
-      bytes_per_voxel = 4;
-      break;
-    case 4:                     // 2-byte signed integers.
-      bytes_per_voxel = 2;
-      break;
-    default:
+    if (bytes_per_voxel === undefined) {
       var error_message = "Unsupported data type: " + header.datatype;
       BrainBrowser.events.triggerEvent("error", { message: error_message });
       throw new Error(error_message);
@@ -345,22 +655,22 @@
     var nbytes = header.nvoxels * bytes_per_voxel;
 
     if (bytes_per_voxel > 1 && !header.little_endian) {
-      VolumeViewer.utils.swapn(new Uint8Array(raw_data, 284, nbytes),
+      VolumeViewer.utils.swapn(new Uint8Array(raw_data, MGH_HEADER_SIZE, nbytes),
                                bytes_per_voxel);
     }
 
     switch (header.datatype) {
     case 0:                     // unsigned char
-      native_data = new Uint8Array(raw_data, 284, header.nvoxels);
+      native_data = new Uint8Array(raw_data, MGH_HEADER_SIZE, header.nvoxels);
       break;
     case 1:                     // signed int
-      native_data = new Int32Array(raw_data, 284, header.nvoxels);
+      native_data = new Int32Array(raw_data, MGH_HEADER_SIZE, header.nvoxels);
       break;
     case 3:
-      native_data = new Float32Array(raw_data, 284, header.nvoxels);
+      native_data = new Float32Array(raw_data, MGH_HEADER_SIZE, header.nvoxels);
       break;
     case 4:                     // signed short
-      native_data = new Int16Array(raw_data, 284, header.nvoxels);
+      native_data = new Int16Array(raw_data, MGH_HEADER_SIZE, header.nvoxels);
       break;
     }
 
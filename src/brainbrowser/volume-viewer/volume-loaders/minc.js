@@ -30,47 +30,64 @@
 
   var VolumeViewer = BrainBrowser.VolumeViewer;
 
+  /* Description options, in addition to the header and raw data:
+   *
+   * * **lazy** (optional) If true, the chunks of a MINC 2.0 volume given
+   *   as a single file are only inflated when a slice or voxel that
+   *   needs them is read. The volume's **data** is then an object whose
+   *   **get(offset)** method returns the value at an offset into the
+   *   voxels, rather than a typed array. Lazy volumes can't be loaded
+   *   with **formatDataFun** or **flyPoints**, or edited as label volumes.
+   * * **chunk_cache_size** (optional) The number of inflated chunks kept
+   *   in lazy mode (default is 64).
+   */
   VolumeViewer.volume_loaders.minc = function(description, callback) {
     var error_message;
 
     if (!description.header_file && description.raw_data_file) {
       BrainBrowser.loader.loadFromFile(description.raw_data_file, function(raw_data) {
-        var tmp = VolumeViewer.utils.hdf5Loader(raw_data);
+        var tmp = VolumeViewer.utils.hdf5Loader(raw_data, hdf5Options(description));
         parseHeader(tmp.header_text, description.display_zindex, function(header) {
           createMincVolume(header, tmp.raw_data, callback);
         });
-      }, { result_type: "arraybuffer" });
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer" }));
     } else if (!description.header_url && description.raw_data_url) {
       BrainBrowser.loader.loadFromURL(description.raw_data_url, function(raw_data) {
-        var tmp = VolumeViewer.utils.hdf5Loader(raw_data);
+        var tmp = VolumeViewer.utils.hdf5Loader(raw_data, hdf5Options(description));
         parseHeader(tmp.header_text, description.display_zindex, function(header) {
           createMincVolume(header, tmp.raw_data, callback);
         });
-      }, { result_type: "arraybuffer", isVolume: true });
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: true }));
     } else if (description.header_url && description.raw_data_url) {
       BrainBrowser.loader.loadFromURL(description.header_url, function(header_text) {
         parseHeader(header_text, description.display_zindex, function(header) {
           BrainBrowser.loader.loadFromURL(description.raw_data_url, function(raw_data) {
             createMincVolume(header, raw_data, callback);
-          }, { result_type: "arraybuffer", isVolume: true });
+          }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: true }));
         });
-      });
+      }, VolumeViewer.utils.loaderOptions(description));
     } else if (description.header_file && description.raw_data_file) {
       BrainBrowser.loader.loadFromFile(description.header_file, function(header_text) {
         parseHeader(header_text, description.display_zindex, function(header) {
           BrainBrowser.loader.loadFromFile(description.raw_data_file, function(raw_data) {
             createMincVolume(header, raw_data, callback);
-          }, { result_type: "arraybuffer", isVolume: true });
+          }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: true }));
         });
-      });
+      }, VolumeViewer.utils.loaderOptions(description));
     } else if (description.header_source && description.raw_data_source) {
       parseHeader(description.header_source, description.display_zindex, function(header) {
         createMincVolume(header, description.raw_data_source, callback);
       });
+    } else if (!description.header_source && (description.raw_data_source || description.source)) {
+      var tmp = VolumeViewer.utils.hdf5Loader(description.raw_data_source || description.source, hdf5Options(description));
+      parseHeader(tmp.header_text, description.display_zindex, function(header) {
+        createMincVolume(header, tmp.raw_data, callback);
+      });
     } else {
       error_message = "invalid volume description.\n" +
         "Description must contain property pair 'header_url' and 'raw_data_url', \n" +
-        "'header_file' and 'raw_data_file' \nor 'header_source' and 'raw_data_source'.";
+        "'header_file' and 'raw_data_file' \nor 'header_source' and 'raw_data_source', \n" +
+        "or a single 'raw_data_url', 'raw_data_file', 'raw_data_source' or 'source'.";
 
       BrainBrowser.events.triggerEvent("error", { message: error_message });
       throw new Error(error_message);
@@ -78,12 +95,44 @@
 
   };
 
+  // MINC 1 files are netCDF ("CDF" followed by version 1 or 2) and
+  // MINC 2 files are HDF5.
+  VolumeViewer.registerVolumeLoader("minc", {
+    sniff: function(bytes) {
+      var hdf5_signature = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+
+      if (bytes.length < 8) {
+        return false;
+      }
+
+      if (bytes[0] === 0x43 && bytes[1] === 0x44 && bytes[2] === 0x46) {
+        return bytes[3] === 1 || bytes[3] === 2;
+      }
+
+      return hdf5_signature.every(function(value, i) {
+        return bytes[i] === value;
+      });
+    },
+    load: VolumeViewer.volume_loaders.minc
+  });
+
+  function hdf5Options(description) {
+    return {
+      lazy: description.lazy,
+      chunk_cache_size: description.chunk_cache_size
+    };
+  }
+
   /*
    * Create a volume object given a header and some byte data that
    * represents the voxels. Format-specific functions have to be
    * used to create the header and byte_data, but this function
    * combines the information into the generic data structure used
    * elsewhere in the volume viewer.
+   *
+   * The native data may also be an object whose get(offset) method
+   * returns the voxel values, and whose array_type is the typed array
+   * used for slices, for data that are decoded as they are read.
    */
   VolumeViewer.createVolume = function(header, native_data) {
     var image_creation_canvas = document.createElement("canvas");
@@ -99,6 +148,7 @@
       header: header,
       intensity_min: 0,
       intensity_max: 255,
+      interpolation: "nearest",
       clearCachedSlices: function () {
         cached_slices = {};
       },
@@ -137,7 +187,10 @@
         // Calling the volume data's constructor guarantees that the
         // slice data buffer has the same type as the volume.
         //
-        var slice_data = new volume.data.constructor(width * height);
+        var data = volume.data;
+        var lazy = BrainBrowser.utils.isFunction(data.get);
+        var SliceArray = lazy ? data.array_type : data.constructor;
+        var slice_data = new SliceArray(width * height);
 
         var slice;
 
@@ -173,7 +226,7 @@
               x = x_positive ? col : width - col - 1;
               tzyx_offset = tzy_offset + x * width_space_offset;
 
-              slice_data[i++] = volume.data[tzyx_offset];
+              slice_data[i++] = lazy ? data.get(tzyx_offset) : data[tzyx_offset];
             }
           }
         }
@@ -192,6 +245,116 @@
         return slice;
       },
 
+      // Get the grid of an oblique slice: a square of pixels whose size is
+      // the smallest voxel step, large enough to hold the whole volume
+      // whatever the plane's orientation, and centered on the volume.
+      getObliqueGrid: function() {
+        var header = volume.header;
+        var step = Math.min(
+          Math.abs(header.xspace.step),
+          Math.abs(header.yspace.step),
+          Math.abs(header.zspace.step)
+        );
+        var diagonal = Math.sqrt(
+          Math.pow(header.xspace.space_length * header.xspace.step, 2) +
+          Math.pow(header.yspace.space_length * header.yspace.step, 2) +
+          Math.pow(header.zspace.space_length * header.zspace.step, 2)
+        );
+        var size = Math.ceil(diagonal / step);
+
+        return {
+          width: size,
+          height: size,
+          step: step,
+          center: volume.voxelToWorld(
+            (header[header.order[0]].space_length - 1) / 2,
+            (header[header.order[1]].space_length - 1) / 2,
+            (header[header.order[2]].space_length - 1) / 2
+          )
+        };
+      },
+
+      // Resample the volume on an arbitrary plane (see createPlane). The
+      // slice's width and height spaces run along the plane's u and v
+      // vectors, and their start is the position of the first pixel
+      // relative to the plane's center. The grid defaults to the one
+      // given by getObliqueGrid(), and a grid given without a center is
+      // centered on the plane's. Oblique slices are not cached.
+      obliqueSlice: function(plane, options) {
+        options = options || {};
+
+        var grid = options.width ? options : volume.getObliqueGrid();
+        var center = grid.center || plane.center;
+        var time = options.time === undefined ? volume.current_time : options.time;
+        var interpolation = options.interpolation || volume.interpolation || "nearest";
+        var data = volume.data;
+        var lazy = BrainBrowser.utils.isFunction(data.get);
+        var width = grid.width;
+        var height = grid.height;
+        var step = grid.step;
+        var grid_center = plane.worldToPlane(center.x, center.y, center.z);
+        var start_a = grid_center.a - (width - 1) / 2 * step;
+        var start_b = grid_center.b - (height - 1) / 2 * step;
+        var SliceArray, slice_data, origin, col_step, row_step;
+        var row, col;
+        var i = 0;
+
+        // RGB voxels can't be interpolated.
+        if (volume.header.datatype === "rgb8") {
+          interpolation = "nearest";
+        }
+
+        if (interpolation === "nearest") {
+          SliceArray = lazy ? data.array_type : data.constructor;
+        } else {
+          SliceArray = Float32Array;
+        }
+        slice_data = new SliceArray(width * height);
+
+        // Voxel coordinates of the top left pixel, and how much they change
+        // from one pixel to the next along a row and a column.
+        origin = continuousVoxel(plane.planeToWorld(start_a, start_b + (height - 1) * step));
+        col_step = voxelDifference(continuousVoxel(plane.planeToWorld(start_a + step, start_b + (height - 1) * step)), origin);
+        row_step = voxelDifference(continuousVoxel(plane.planeToWorld(start_a, start_b + (height - 2) * step)), origin);
+
+        for (row = 0; row < height; row++) {
+          for (col = 0; col < width; col++) {
+            slice_data[i++] = VolumeViewer.utils.sampleVoxel(
+              volume,
+              origin.i + row * row_step.i + col * col_step.i,
+              origin.j + row * row_step.j + col * col_step.j,
+              origin.k + row * row_step.k + col * col_step.k,
+              time,
+              interpolation
+            );
+          }
+        }
+
+        return {
+          axis: "oblique",
+          plane: plane,
+          data: slice_data,
+          width_space: {
+            name: "oblique_u",
+            step: step,
+            start: start_a,
+            space_length: width
+          },
+          height_space: {
+            name: "oblique_v",
+            step: step,
+            start: start_b,
+            space_length: height
+          },
+          width: width,
+          height: height
+        };
+
+        function continuousVoxel(world) {
+          return volume.worldToVoxel(world.x, world.y, world.z, true);
+        }
+      },
+
       // Calculate the world to voxel transform and save it, so we
       // can access it efficiently. The transform is:
       // cxx / stepx | cxy / stepx | cxz / stepx | (-o.x * cxx - o.y * cxy - o.z * cxz) / stepx
@@ -229,8 +392,12 @@
         ];
       },
 
-      getSliceImage: function(slice, zoom, contrast, brightness, clamp) {
+      // The slice is resampled to the zoomed size using the given
+      // interpolation (or the volume's). Linear and cubic interpolation
+      // are applied to the voxel values, before they are color mapped.
+      getSliceImage: function(slice, zoom, contrast, brightness, clamp, interpolation) {
         zoom = zoom || 1;
+        interpolation = interpolation || volume.interpolation || "nearest";
 
         var image_creation_context = image_creation_canvas.getContext("2d");
         var color_map = volume.color_map;
@@ -246,34 +413,51 @@
         var ystep = slice.height_space.step;
         var target_width = Math.abs(Math.floor(slice.width * xstep * zoom));
         var target_height = Math.abs(Math.floor(slice.height * ystep * zoom));
-        var source_image = image_creation_context.createImageData(slice.width, slice.height);
+        var source_image;
         var target_image = image_creation_context.createImageData(target_width, target_height);
 
-        if (volume.header.datatype === 'rgb8') {
-          var tmp = new Uint8ClampedArray(slice.data.buffer);
-          source_image.data.set(tmp, 0);
-        }
-        else {
-          color_map.mapColors(slice.data, {
-            min: volume.intensity_min,
-            max: volume.intensity_max,
-            clamp: clamp,
-            contrast: contrast,
-            brightness: brightness,
-            destination: source_image.data
-          });
-        }
+        if (interpolation !== "nearest" && volume.header.datatype !== 'rgb8') {
+          color_map.mapColors(
+            VolumeViewer.utils.interpolate(slice.data, slice.width, slice.height, target_width, target_height, {
+              interpolation: interpolation
+            }), {
+              min: volume.intensity_min,
+              max: volume.intensity_max,
+              clamp: clamp,
+              contrast: contrast,
+              brightness: brightness,
+              destination: target_image.data
+            }
+          );
+        } else {
+          source_image = image_creation_context.createImageData(slice.width, slice.height);
 
-        target_image.data.set(
-          VolumeViewer.utils.nearestNeighbor(
-            source_image.data,
-            source_image.width,
-            source_image.height,
-            target_width,
-            target_height,
-            {block_size: 4}
-          )
-        );
+          if (volume.header.datatype === 'rgb8') {
+            var tmp = new Uint8ClampedArray(slice.data.buffer);
+            source_image.data.set(tmp, 0);
+          }
+          else {
+            color_map.mapColors(slice.data, {
+              min: volume.intensity_min,
+              max: volume.intensity_max,
+              clamp: clamp,
+              contrast: contrast,
+              brightness: brightness,
+              destination: source_image.data
+            });
+          }
+
+          target_image.data.set(
+            VolumeViewer.utils.nearestNeighbor(
+              source_image.data,
+              source_image.width,
+              source_image.height,
+              target_width,
+              target_height,
+              {block_size: 4}
+            )
+          );
+        }
 
         if (image_creation_context) {
           image_creation_context.clearRect(0, 0, image_creation_canvas.width, image_creation_canvas.height);
@@ -302,7 +486,19 @@
                            j * header[header.order[1]].offset +
                            k * header[header.order[2]].offset +
                            time_offset);
-        return volume.data[xyzt_offset];
+        return BrainBrowser.utils.isFunction(volume.data.get) ?
+          volume.data.get(xyzt_offset) : volume.data[xyzt_offset];
+      },
+
+      // Intensity at world coordinates that may fall between voxels,
+      // interpolated from the surrounding voxels.
+      getInterpolatedIntensityValue: function(x, y, z, time, interpolation) {
+        var voxel = volume.worldToVoxel(x, y, z, true);
+
+        time = time === undefined ? volume.current_time : time;
+        interpolation = interpolation || volume.interpolation;
+
+        return VolumeViewer.utils.sampleVoxel(volume, voxel.i, voxel.j, voxel.k, time, interpolation);
       },
 
       getVoxelCoords: function() {
@@ -378,8 +574,9 @@
         };
       },
 
-      // Inverse of the voxel to world matrix.
-      worldToVoxel: function(x, y, z) {
+      // Inverse of the voxel to world matrix. The voxel coordinates
+      // are rounded unless continuous is true.
+      worldToVoxel: function(x, y, z, continuous) {
         var xfm = header.w2v;   // Get the world-to-voxel transform.
         var result = {
           vx: x * xfm[0][0] + y * xfm[0][1] + z * xfm[0][2] + xfm[0][3],
@@ -387,10 +584,11 @@
           vz: x * xfm[2][0] + y * xfm[2][1] + z * xfm[2][2] + xfm[2][3]
         };
 
+        var round = continuous ? Number : Math.round;
         var ordered = {};
-        ordered[header.order[0]] = Math.round(result.vx);
-        ordered[header.order[1]] = Math.round(result.vy);
-        ordered[header.order[2]] = Math.round(result.vz);
+        ordered[header.order[0]] = round(result.vx);
+        ordered[header.order[1]] = round(result.vy);
+        ordered[header.order[2]] = round(result.vz);
 
         return {
           i: ordered.xspace,
@@ -398,6 +596,68 @@
           k: ordered.zspace
         };
       },
+      // Copy of the voxel values at a time point (default: the current
+      // one), in the same order as the volume's data.
+      getFrameData: function(time) {
+        var header = volume.header;
+        var data = volume.data;
+        var count = header.xspace.space_length * header.yspace.space_length * header.zspace.space_length;
+        var time_offset, ValueArray, values, i;
+
+        time = time === undefined ? volume.current_time : time;
+        time_offset = header.time ? time * header.time.offset : 0;
+
+        if (BrainBrowser.utils.isFunction(data.get)) {
+          ValueArray = data.array_type;
+          values = new ValueArray(count);
+          for (i = 0; i < count; i++) {
+            values[i] = data.get(time_offset + i);
+          }
+        } else {
+          values = data.slice(time_offset, time_offset + count);
+        }
+
+        return values;
+      },
+
+      // Statistics of the voxel values at a time point, computed in a Web
+      // Worker. The options are the **time** (default: the current one),
+      // a **mask**, either a volume with the same dimensions or an array
+      // of values, whose voxels with a value of 0 are ignored, and the
+      // **percentiles** to compute (default: 1, 5, 25, 50, 75, 95 and 99).
+      // Resolves with the **count** of voxels, the **nonzero** count, the
+      // **min**, **max**, **mean**, standard deviation (**std**) and the
+      // **percentiles**, an object whose keys are the percentiles.
+      getStatistics: function(options) {
+        options = options || {};
+
+        return runHistogramWorker(volume, options, {
+          percentiles: options.percentiles || [1, 5, 25, 50, 75, 95, 99]
+        }).then(function(result) {
+          return result.statistics;
+        });
+      },
+
+      // Histogram of the voxel values at a time point, computed in a Web
+      // Worker. The options are the number of **bins** (default: 256), the
+      // **min** and **max** of their range (default: that of the values),
+      // and the **time** and **mask**, as for getStatistics(). Resolves with
+      // the **bins**, **min**, **max**, **bin_width** and the **counts** of
+      // each bin, a Uint32Array.
+      getHistogram: function(options) {
+        options = options || {};
+
+        return runHistogramWorker(volume, options, {
+          histogram: {
+            bins: options.bins || 256,
+            min: options.min,
+            max: options.max
+          }
+        }).then(function(result) {
+          return result.histogram;
+        });
+      },
+
       getVoxelMin: function() {
         return volume.header.voxel_min;
       },
@@ -439,8 +699,69 @@
     header.voxel_max = n_max;
   };
 
+  function runHistogramWorker(volume, options, message) {
+    var worker_dir = BrainBrowser.config.get("worker_dir");
+    var mask = options.mask;
+    var transfer = [];
+
+    if (worker_dir === null) {
+      return Promise.reject(createError(
+        "BrainBrowser configuration parameter 'worker_dir' not defined.\n" +
+        "Use 'BrainBrowser.config.set(\"worker_dir\", ...)' to set it."
+      ));
+    }
+
+    message.data = volume.getFrameData(options.time);
+    if (message.data.buffer) {
+      transfer.push(message.data.buffer);
+    }
+
+    if (mask) {
+      if (BrainBrowser.utils.isFunction(mask.getFrameData)) {
+        mask = mask.getFrameData(0);
+        if (mask.buffer) {
+          transfer.push(mask.buffer);
+        }
+      }
+
+      if (mask.length !== message.data.length) {
+        return Promise.reject(createError("The mask doesn't have the same dimensions as the volume."));
+      }
+
+      message.mask = mask;
+    }
+
+    return new Promise(function(resolve, reject) {
+      var worker = new Worker(worker_dir + "/histogram.worker.js");
+
+      worker.addEventListener("message", function(event) {
+        worker.terminate();
+        resolve(event.data);
+      });
+
+      worker.addEventListener("error", function(event) {
+        worker.terminate();
+        reject(createError("Error computing the histogram of a volume: " + event.message));
+      });
+
+      worker.postMessage(message, transfer);
+    });
+  }
+
+  function createError(error_message) {
+    BrainBrowser.events.triggerEvent("error", { message: error_message });
+
+    return new Error(error_message);
+  }
+
   function createMincData(header, raw_data){
     var native_data = null;
+
+    // Lazily decoded data come with their range in the header.
+    if (BrainBrowser.utils.isFunction(raw_data.get)) {
+      return raw_data;
+    }
+
     switch (header.datatype) {
     case 'int8':
       native_data = new Int8Array(raw_data);
@@ -490,6 +811,14 @@
     }
   }
 
+  function voxelDifference(a, b) {
+    return {
+      i: a.i - b.i,
+      j: a.j - b.j,
+      k: a.k - b.k
+    };
+  }
+
   /*
    * Creates common fields all headers must contain.
    */
@@ -35,7 +35,7 @@
   var VolumeViewer = BrainBrowser.VolumeViewer;
 
   VolumeViewer.volume_loaders.nifti1 = function(description, callback) {
-    const { stepRotio, noCatchVolumeXHR = false } = description;
+    const { stepRotio, noCatchVolumeXHR = false, complex_mode = "magnitude" } = description;
     var error_message;
     if (description.nii_url) {
       VolumeViewer.cachedLoader = VolumeViewer.cachedLoader || {};
@@ -45,7 +45,7 @@
         createNifti1Volume(cachedData.header, undefined, callback, cachedData);
       } else {
         BrainBrowser.loader.loadFromURL(description.nii_url, function(nii_data) {
-          parseNifti1Header(nii_data, description.display_zindex, stepRotio, function(header) {
+          parseNifti1Header(nii_data, description.display_zindex, stepRotio, complex_mode, function(header) {
             const formatedData = createNifti1Volume(header, nii_data, callback);
             if (VolumeViewer.canCached) {
               VolumeViewer.cachedLoader[description.nii_url] = {
@@ -54,22 +54,23 @@
               }
             }
           });
-        }, {result_type: "arraybuffer", isVolume: !noCatchVolumeXHR });
+        }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: !noCatchVolumeXHR }));
       }
 
     } else if (description.nii_file) {
       BrainBrowser.loader.loadFromFile(description.nii_file, function(nii_data) {
-        parseNifti1Header(nii_data, description.display_zindex, stepRotio, function(header) {
+        parseNifti1Header(nii_data, description.display_zindex, stepRotio, complex_mode, function(header) {
           createNifti1Volume(header, nii_data, callback);
         });
-      }, {result_type: "arraybuffer" });
-    } else if (description.nii_source) {
-      parseNifti1Header(description.nii_source, description.display_zindex, stepRotio, function(header) {
-        createNifti1Volume(header, description.nii_source, callback);
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer" }));
+    } else if (description.nii_source || description.source) {
+      const nii_source = description.nii_source || description.source;
+      parseNifti1Header(nii_source, description.display_zindex, stepRotio, complex_mode, function(header) {
+        createNifti1Volume(header, nii_source, callback);
       });
     } else {
       error_message = "invalid volume description.\n" +
-        "Description must contain the property 'nii_url' or 'nii_file' or 'nii_source'.";
+        "Description must contain the property 'nii_url', 'nii_file', 'nii_source' or 'source'.";
 
       BrainBrowser.events.triggerEvent("error", { message: error_message });
       throw new Error(error_message);
@@ -77,6 +78,23 @@
 
   };
 
+  // Single file NIfTI-1 data start with a 348 byte header, in either
+  // byte order, and have the magic string "n+1" at byte 344.
+  VolumeViewer.registerVolumeLoader("nifti1", {
+    sniff: function(bytes) {
+      if (bytes.length < 348) {
+        return false;
+      }
+
+      var dview = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      var sizeof_hdr = dview.getInt32(0, true);
+
+      return (sizeof_hdr === 348 || dview.getInt32(0, false) === 348) &&
+        String.fromCharCode(bytes[344], bytes[345], bytes[346]) === "n+1" && bytes[347] === 0;
+    },
+    load: VolumeViewer.volume_loaders.nifti1
+  });
+
   VolumeViewer.utils.transformToMinc = function(transform, header, stepRotio = 1) {
     var x_dir_cosines = [];
     var y_dir_cosines = [];
@@ -154,7 +172,88 @@
     header.zspace.direction_cosines = z_dir_cosines;
   };
 
-  function parseNifti1Header(raw_data, display_zindex, isSeedToBrainMNI2mm, callback) {
+  /* The inverse of transformToMinc(): build the 4x4 voxel-to-world
+   * transform of a volume from the step, start and direction_cosines
+   * of its spatial axes. Column n of the transform is the step of
+   * axes[n] (default: the spatial axes of header.order) and the
+   * last column is the world position of the first voxel.
+   */
+  VolumeViewer.utils.mincToTransform = function(header, axes) {
+    var transform = [
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 1]
+    ];
+    var i;
+
+    axes = axes || header.order.filter(function(axis) {
+      return axis !== "time";
+    });
+
+    axes.forEach(function(axis, n) {
+      var space = header[axis];
+
+      for (i = 0; i < 3; i++) {
+        transform[i][n] = space.direction_cosines[i] * space.step;
+        transform[i][3] += space.direction_cosines[i] * space.start;
+      }
+    });
+
+    return transform;
+  };
+
+  /* Convert a NIfTI voxel-to-world transform (sform, qform or the
+   * pixdim-only fallback) into the MINC-like fields used by the
+   * volume viewer: the axis order, and the step, start,
+   * direction_cosines and space_length of each spatial axis.
+   * Shared by the NIfTI-1 and NIfTI-2 loaders.
+   */
+  VolumeViewer.utils.niftiTransformToHeader = function(nifti_xfm, header, dims, stepRotio) {
+    var i, j;
+    var axis_index_from_file = [0, 1, 2];
+    var transform = [[0, 0, 0, 0],
+                     [0, 0, 0, 0],
+                     [0, 0, 0, 0],
+                     [0, 0, 0, 1]];
+
+    for (i = 0; i < 3; i++) {
+      var c_x = Math.abs(nifti_xfm[0][i]);
+      var c_y = Math.abs(nifti_xfm[1][i]);
+      var c_z = Math.abs(nifti_xfm[2][i]);
+
+      if (c_x > c_y && c_x > c_z) {
+        header.order[2 - i] = "xspace";
+        axis_index_from_file[i] = 0;
+      }
+      else if (c_y > c_x && c_y > c_z) {
+        header.order[2 - i] = "yspace";
+        axis_index_from_file[i] = 1;
+      }
+      else {
+        header.order[2 - i] = "zspace";
+        axis_index_from_file[i] = 2;
+      }
+    }
+
+    for (i = 0; i < 3; i++) {
+      for (j = 0; j < 4; j++) {
+        var volume_axis = j;
+        if (j < 3) {
+          volume_axis = axis_index_from_file[j];
+        }
+        transform[i][volume_axis] = nifti_xfm[i][j];
+      }
+    }
+
+    VolumeViewer.utils.transformToMinc(transform, header, stepRotio);
+
+    header[header.order[2]].space_length = dims[0];
+    header[header.order[1]].space_length = dims[1];
+    header[header.order[0]].space_length = dims[2];
+  };
+
+  function parseNifti1Header(raw_data, display_zindex, isSeedToBrainMNI2mm, complex_mode, callback) {
     var header = {
       order: [],
       xspace: {},
@@ -262,9 +361,9 @@
       var qoffset_z = dview.getFloat32(276, littleEndian);
       var qfac = (dview.getFloat32(76, littleEndian) < 0) ? -1.0 : 1.0;
 
-      nifti_xfm = niftiQuaternToMat44(quatern_b, quatern_c, quatern_d,
-                                      qoffset_x, qoffset_y, qoffset_z,
-                                      xstep, ystep, zstep, qfac);
+      nifti_xfm = VolumeViewer.utils.niftiQuaternToMat44(quatern_b, quatern_c, quatern_d,
+                                                         qoffset_x, qoffset_y, qoffset_z,
+                                                         xstep, ystep, zstep, qfac);
     }
     else {
       nifti_xfm[0][0] = xstep;
@@ -272,48 +371,12 @@
       nifti_xfm[2][2] = zstep;
     }
 
-    var i, j;
-    var axis_index_from_file = [0, 1, 2];
-    var transform = [[0, 0, 0, 0],
-                     [0, 0, 0, 0],
-                     [0, 0, 0, 0],
-                     [0, 0, 0, 1]];
-                 
-    for (i = 0; i < 3; i++) {
-      var c_x = Math.abs(nifti_xfm[0][i]);
-      var c_y = Math.abs(nifti_xfm[1][i]);
-      var c_z = Math.abs(nifti_xfm[2][i]);
-      
-      if (c_x > c_y && c_x > c_z) {
-        header.order[2 - i] = "xspace";
-        axis_index_from_file[i] = 0;
-      }
-      else if (c_y > c_x && c_y > c_z) {
-        header.order[2 - i] = "yspace";
-        axis_index_from_file[i] = 1;
-      }
-      else {
-        header.order[2 - i] = "zspace";
-        axis_index_from_file[i] = 2;
-      }
-    }
-
-    for (i = 0; i < 3; i++) {
-      for (j = 0; j < 4; j++) {
-        var volume_axis = j;
-        if (j < 3) {
-          volume_axis = axis_index_from_file[j];
-        }
-        transform[i][volume_axis] = nifti_xfm[i][j];
-      }
-    }
-
-    VolumeViewer.utils.transformToMinc(transform, header, isSeedToBrainMNI2mm);
+    VolumeViewer.utils.niftiTransformToHeader(nifti_xfm, header, [
+      dview.getUint16(42, littleEndian),
+      dview.getUint16(44, littleEndian),
+      dview.getUint16(46, littleEndian)
+    ], isSeedToBrainMNI2mm);
 
-    header[header.order[2]].space_length = dview.getUint16(42, littleEndian);
-    header[header.order[1]].space_length = dview.getUint16(44, littleEndian);
-    header[header.order[0]].space_length = dview.getUint16(46, littleEndian);
-    
     if (tlength >= 1) {
       header.order.unshift("time");
     }
@@ -323,6 +386,7 @@
     header.scl_slope = scl_slope;
     header.scl_inter = scl_inter;
     header.display_zindex = display_zindex;
+    header.complex_mode = complex_mode;
 
     if (BrainBrowser.utils.isFunction(callback)) {
       callback(header);
@@ -332,9 +396,9 @@
   /* This function is a direct translation of the identical function
    * found in the standard NIfTI-1 library (nifti1_io.c).
    */
-  function niftiQuaternToMat44( qb, qc, qd,
-                                qx, qy, qz,
-                                dx, dy, dz, qfac )
+  VolumeViewer.utils.niftiQuaternToMat44 = function( qb, qc, qd,
+                                                     qx, qy, qz,
+                                                     dx, dy, dz, qfac )
   {
     var m = [                   // 4x4 transform
       [0, 0, 0, 0],
@@ -386,10 +450,88 @@
     m[2][3] = qz;
 
     return m;
-  }
+  };
+
+  /* The inverse of niftiQuaternToMat44(), translated from
+   * nifti_mat44_to_quatern() in nifti1_io.c. The columns of the
+   * transform are assumed to be orthogonal, as the direction cosines
+   * of a volume are, so the polar decomposition of the original is
+   * not needed.
+   */
+  VolumeViewer.utils.niftiMat44ToQuatern = function(m) {
+    var dx = Math.sqrt(m[0][0] * m[0][0] + m[1][0] * m[1][0] + m[2][0] * m[2][0]);
+    var dy = Math.sqrt(m[0][1] * m[0][1] + m[1][1] * m[1][1] + m[2][1] * m[2][1]);
+    var dz = Math.sqrt(m[0][2] * m[0][2] + m[1][2] * m[1][2] + m[2][2] * m[2][2]);
+    var qfac = 1.0;
+    var r11, r12, r13, r21, r22, r23, r31, r32, r33;
+    var a, b, c, d, xd, yd, zd;
+
+    dx = dx > 0.0 ? dx : 1.0;
+    dy = dy > 0.0 ? dy : 1.0;
+    dz = dz > 0.0 ? dz : 1.0;
+
+    // normalize the columns to get the rotation matrix
+
+    r11 = m[0][0] / dx; r12 = m[0][1] / dy; r13 = m[0][2] / dz;
+    r21 = m[1][0] / dx; r22 = m[1][1] / dy; r23 = m[1][2] / dz;
+    r31 = m[2][0] / dx; r32 = m[2][1] / dy; r33 = m[2][2] / dz;
+
+    // a left handed transform flips the last column
+
+    zd = r11 * r22 * r33 - r11 * r32 * r23 - r21 * r12 * r33 +
+         r21 * r32 * r13 + r31 * r12 * r23 - r31 * r22 * r13;
+    if ( zd < 0.0 ) {
+      qfac = -1.0;
+      r13 = -r13;
+      r23 = -r23;
+      r33 = -r33;
+    }
+
+    // compute quaternion parameters
+
+    a = r11 + r22 + r33 + 1.0;
+    if ( a > 0.5 ) {             // simplest case
+      a = 0.5 * Math.sqrt(a);
+      b = 0.25 * (r32 - r23) / a;
+      c = 0.25 * (r13 - r31) / a;
+      d = 0.25 * (r21 - r12) / a;
+    } else {                     // trickier case
+      xd = 1.0 + r11 - (r22 + r33);
+      yd = 1.0 + r22 - (r11 + r33);
+      zd = 1.0 + r33 - (r11 + r22);
+      if ( xd > 1.0 ) {
+        b = 0.5 * Math.sqrt(xd);
+        c = 0.25 * (r12 + r21) / b;
+        d = 0.25 * (r13 + r31) / b;
+        a = 0.25 * (r32 - r23) / b;
+      } else if ( yd > 1.0 ) {
+        c = 0.5 * Math.sqrt(yd);
+        b = 0.25 * (r12 + r21) / c;
+        d = 0.25 * (r23 + r32) / c;
+        a = 0.25 * (r13 - r31) / c;
+      } else {
+        d = 0.5 * Math.sqrt(zd);
+        b = 0.25 * (r13 + r31) / d;
+        c = 0.25 * (r23 + r32) / d;
+        a = 0.25 * (r21 - r12) / d;
+      }
+      if ( a < 0.0 ) {
+        b = -b;
+        c = -c;
+        d = -d;
+      }
+    }
+
+    return {
+      qb: b, qc: c, qd: d,
+      qx: m[0][3], qy: m[1][3], qz: m[2][3],
+      dx: dx, dy: dy, dz: dz,
+      qfac: qfac
+    };
+  };
 
   function createNifti1Volume(header, raw_data, callback, cachedData) {
-    const createdData = cachedData ? cachedData.data : createNifti1Data(header, raw_data);
+    const createdData = cachedData ? cachedData.data : VolumeViewer.utils.createNiftiData(header, raw_data);
 
     var volume = VolumeViewer.createVolume(header, createdData);
     volume.type = "nifti";
@@ -403,6 +545,106 @@
     return createdData;
   }
 
+  // NIfTI-1 data types of the typed arrays that can be written.
+  var NIFTI_WRITE_TYPES = [
+    { array_type: Uint8Array, datatype: 2 },
+    { array_type: Int16Array, datatype: 4 },
+    { array_type: Int32Array, datatype: 8 },
+    { array_type: Float32Array, datatype: 16 },
+    { array_type: Float64Array, datatype: 64 },
+    { array_type: Int8Array, datatype: 256 },
+    { array_type: Uint16Array, datatype: 512 },
+    { array_type: Uint32Array, datatype: 768 }
+  ];
+
+  /* Write a volume as a single file, little-endian NIfTI-1 image. The
+   * voxels keep the order and type of the volume's data, and both the
+   * sform and the qform map them to the volume's world coordinates.
+   */
+  VolumeViewer.volume_writers.nifti1 = function(volume) {
+    var header = volume.header;
+
+    // File axes, from the fastest varying in the volume's data.
+    var axes = ["xspace", "yspace", "zspace"].sort(function(a, b) {
+      return header[a].offset - header[b].offset;
+    });
+    var dims = axes.map(function(axis) {
+      return header[axis].space_length;
+    });
+    var transform = VolumeViewer.utils.mincToTransform(header, axes);
+    var quatern = VolumeViewer.utils.niftiMat44ToQuatern(transform);
+    var time_length = header.time ? header.time.space_length : 1;
+    var frames = [];
+    var type = null;
+    var buffer, dview, bytes, frame_bytes, error_message, i, t;
+
+    for (t = 0; t < time_length; t++) {
+      frames.push(volume.getFrameData(t));
+    }
+
+    NIFTI_WRITE_TYPES.forEach(function(write_type) {
+      if (frames[0] instanceof write_type.array_type) {
+        type = write_type;
+      }
+    });
+
+    if (type === null || header.datatype === "rgb8") {
+      error_message = "Volumes of this data type can't be written as NIfTI-1.";
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    frame_bytes = frames[0].length * type.array_type.BYTES_PER_ELEMENT;
+    buffer = new ArrayBuffer(352 + frame_bytes * time_length);
+    dview = new DataView(buffer);
+    bytes = new Uint8Array(buffer);
+
+    dview.setInt32(0, 348, true);                       // sizeof_hdr
+    dview.setInt16(40, header.time ? 4 : 3, true);      // dim[0]
+    for (i = 0; i < 3; i++) {
+      dview.setInt16(42 + i * 2, dims[i], true);
+    }
+    for (i = 3; i < 7; i++) {
+      dview.setInt16(42 + i * 2, i === 3 ? time_length : 1, true);
+    }
+    dview.setInt16(70, type.datatype, true);
+    dview.setInt16(72, type.array_type.BYTES_PER_ELEMENT * 8, true);
+
+    dview.setFloat32(76, quatern.qfac, true);           // pixdim[0]
+    dview.setFloat32(80, quatern.dx, true);
+    dview.setFloat32(84, quatern.dy, true);
+    dview.setFloat32(88, quatern.dz, true);
+    dview.setFloat32(92, header.time ? header.time.step || 1 : 0, true);
+    dview.setFloat32(108, 352, true);                   // vox_offset
+    dview.setFloat32(112, 0, true);                     // scl_slope: no scaling
+    bytes[123] = header.time ? 10 : 2;                  // xyzt_units: mm and s
+
+    dview.setInt16(252, 1, true);                       // qform_code: scanner
+    dview.setInt16(254, 1, true);                       // sform_code: scanner
+    dview.setFloat32(256, quatern.qb, true);
+    dview.setFloat32(260, quatern.qc, true);
+    dview.setFloat32(264, quatern.qd, true);
+    dview.setFloat32(268, quatern.qx, true);
+    dview.setFloat32(272, quatern.qy, true);
+    dview.setFloat32(276, quatern.qz, true);
+    for (i = 0; i < 3; i++) {
+      dview.setFloat32(280 + i * 16, transform[i][0], true);
+      dview.setFloat32(284 + i * 16, transform[i][1], true);
+      dview.setFloat32(288 + i * 16, transform[i][2], true);
+      dview.setFloat32(292 + i * 16, transform[i][3], true);
+    }
+
+    bytes.set([0x6E, 0x2B, 0x31, 0], 344);              // magic: "n+1"
+
+    frames.forEach(function(frame, t) {
+      var frame_data = new type.array_type(buffer, 352 + t * frame_bytes, frame.length);
+
+      frame_data.set(frame);
+    });
+
+    return buffer;
+  };
+
   VolumeViewer.utils.swapn = function(byte_data, n_per_item) {
     for (var d = 0; d < byte_data.length; d += n_per_item) {
       var hi_offset = n_per_item - 1;
@@ -417,12 +659,16 @@
     }
   };
 
-  function createNifti1Data(header, raw_data) {
+  VolumeViewer.utils.createNiftiData = function(header, raw_data) {
     var native_data = null;
+    var is_rgb = header.datatype === 128 || header.datatype === 2304;
+    var is_complex = header.datatype === 32 || header.datatype === 1792;
 
-    if (header.must_swap_data) {
+    // Color voxels are byte tuples, and complex voxels are pairs of
+    // floats that must be swapped component by component.
+    if (header.must_swap_data && !is_rgb) {
       VolumeViewer.utils.swapn(new Uint8Array(raw_data, header.vox_offset),
-                               header.bytes_per_voxel);
+                               is_complex ? header.bytes_per_voxel / 2 : header.bytes_per_voxel);
     }
 
     switch (header.datatype) {
@@ -452,13 +698,31 @@
     case 768:                   // DT_UINT32
       native_data = new Uint32Array(raw_data, header.vox_offset);
       break;
+    case 1024:                  // DT_INT64
+    case 1280:                  // DT_UINT64
+      native_data = int64Voxels(header, raw_data, header.datatype === 1024);
+      break;
+    case 32:                    // DT_COMPLEX64
+    case 1792:                  // DT_COMPLEX128
+      native_data = complexVoxels(header, raw_data);
+      break;
+    case 128:                   // DT_RGB24
+    case 2304:                  // DT_RGBA32
+      native_data = rgbVoxels(header, raw_data);
+      break;
     default:
-      // We don't yet support 64-bit, complex, RGB, and float 128 types.
+      // We don't yet support the float 128 types.
       var error_message = "Unsupported data type: " + header.datatype;
       BrainBrowser.events.triggerEvent("error", { message: error_message });
       throw new Error(error_message);
     }
 
+    // Color volumes are rendered through the same 'rgb8' path as
+    // MINC RGB volumes: one packed RGBA value per voxel.
+    if (is_rgb) {
+      header.datatype = "rgb8";
+    }
+
     var d = 0;                  // Generic loop counter.
     var slope = header.scl_slope;
     var inter = header.scl_inter;
@@ -467,7 +731,7 @@
     // that the data should _not_ be scaled. Otherwise, every voxel is
     // transformed according to value = value * slope + inter
     //
-    if (slope !== 0.0) {
+    if (slope !== 0.0 && !is_rgb) {
       var float_data = new Float32Array(native_data.length);
 
       for (d = 0; d < native_data.length; d++) {
@@ -492,6 +756,77 @@
     }
 
     return native_data;
+  };
+
+  // Number of voxels described by the header, including time points.
+  function niftiVoxelCount(header) {
+    return header.xspace.space_length *
+      header.yspace.space_length *
+      header.zspace.space_length *
+      (header.time ? header.time.space_length : 1);
+  }
+
+  /* Convert 64-bit integer voxels to doubles. JavaScript numbers are
+   * exact up to 2^53, which covers any realistic intensity; larger
+   * magnitudes lose their low bits rather than wrapping around.
+   * By this point the data is little-endian (swapped if necessary).
+   */
+  function int64Voxels(header, raw_data, signed) {
+    var n_voxels = niftiVoxelCount(header);
+    var dview = new DataView(raw_data, header.vox_offset, n_voxels * 8);
+    var float_data = new Float64Array(n_voxels);
+    var d, lo, hi;
+
+    for (d = 0; d < n_voxels; d++) {
+      lo = dview.getUint32(d * 8, true);
+      hi = signed ? dview.getInt32(d * 8 + 4, true) : dview.getUint32(d * 8 + 4, true);
+      float_data[d] = hi * 4294967296 + lo;
+    }
+
+    return float_data;
+  }
+
+  /* Reduce complex voxels to a single real value. The description's
+   * **complex_mode** chooses between "magnitude" (the default) and
+   * "phase" (in radians, from -PI to PI).
+   */
+  function complexVoxels(header, raw_data) {
+    var n_voxels = niftiVoxelCount(header);
+    var FloatType = header.datatype === 32 ? Float32Array : Float64Array;
+    var pairs = new FloatType(raw_data.slice(header.vox_offset, header.vox_offset + n_voxels * 2 * FloatType.BYTES_PER_ELEMENT));
+    var float_data = new Float32Array(n_voxels);
+    var phase = header.complex_mode === "phase";
+    var d, re, im;
+
+    for (d = 0; d < n_voxels; d++) {
+      re = pairs[d * 2];
+      im = pairs[d * 2 + 1];
+      float_data[d] = phase ? Math.atan2(im, re) : Math.sqrt(re * re + im * im);
+    }
+
+    return float_data;
+  }
+
+  /* Pack RGB24 or RGBA32 voxels into one 32-bit RGBA value per
+   * voxel, the layout used for MINC RGB volumes. RGB24 voxels are
+   * made fully opaque.
+   */
+  function rgbVoxels(header, raw_data) {
+    var n_voxels = niftiVoxelCount(header);
+    var n_components = header.datatype === 128 ? 3 : 4;
+    var source = new Uint8Array(raw_data, header.vox_offset, n_voxels * n_components);
+    var rgba_data = new Uint32Array(n_voxels);
+    var target = new Uint8Array(rgba_data.buffer);
+    var d, s, t;
+
+    for (d = 0, s = 0, t = 0; d < n_voxels; d++, s += n_components, t += 4) {
+      target[t] = source[s];
+      target[t + 1] = source[s + 1];
+      target[t + 2] = source[s + 2];
+      target[t + 3] = n_components === 4 ? source[s + 3] : 255;
+    }
+
+    return rgba_data;
   }
 
 }());
@@ -0,0 +1,251 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011-2014
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+* Loads NIfTI-2 files for volume viewer. NIfTI-2 keeps the semantics
+* of NIfTI-1 but widens the header to 540 bytes, with 64-bit
+* dimensions and voxel offset and double-precision transforms. For
+* details on the NIfTI-2 format, see:
+* https://nifti.nimh.nih.gov/nifti-2
+*/
+
+(function() {
+  "use strict";
+
+  var VolumeViewer = BrainBrowser.VolumeViewer;
+
+  VolumeViewer.volume_loaders.nifti2 = function(description, callback) {
+    const { stepRotio, noCatchVolumeXHR = false, complex_mode = "magnitude" } = description;
+    var error_message;
+    if (description.nii_url) {
+      VolumeViewer.cachedLoader = VolumeViewer.cachedLoader || {};
+      const cachedData = VolumeViewer.cachedLoader[description.nii_url];
+
+      if (VolumeViewer.canCached && cachedData) {
+        createNifti2Volume(cachedData.header, undefined, callback, cachedData);
+      } else {
+        BrainBrowser.loader.loadFromURL(description.nii_url, function(nii_data) {
+          parseNifti2Header(nii_data, description.display_zindex, stepRotio, complex_mode, function(header) {
+            const formatedData = createNifti2Volume(header, nii_data, callback);
+            if (VolumeViewer.canCached) {
+              VolumeViewer.cachedLoader[description.nii_url] = {
+                data: formatedData,
+                header,
+              };
+            }
+          });
+        }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: !noCatchVolumeXHR }));
+      }
+
+    } else if (description.nii_file) {
+      BrainBrowser.loader.loadFromFile(description.nii_file, function(nii_data) {
+        parseNifti2Header(nii_data, description.display_zindex, stepRotio, complex_mode, function(header) {
+          createNifti2Volume(header, nii_data, callback);
+        });
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer" }));
+    } else if (description.nii_source || description.source) {
+      const nii_source = description.nii_source || description.source;
+      parseNifti2Header(nii_source, description.display_zindex, stepRotio, complex_mode, function(header) {
+        createNifti2Volume(header, nii_source, callback);
+      });
+    } else {
+      error_message = "invalid volume description.\n" +
+        "Description must contain the property 'nii_url', 'nii_file', 'nii_source' or 'source'.";
+
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+  };
+
+  // Single file NIfTI-2 data start with a 540 byte header, in either
+  // byte order, and have the magic string "n+2" at byte 4.
+  VolumeViewer.registerVolumeLoader("nifti2", {
+    sniff: function(bytes) {
+      if (bytes.length < 540) {
+        return false;
+      }
+
+      var dview = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      var sizeof_hdr = dview.getInt32(0, true);
+
+      return (sizeof_hdr === 540 || dview.getInt32(0, false) === 540) &&
+        String.fromCharCode(bytes[4], bytes[5], bytes[6]) === "n+2" && bytes[7] === 0;
+    },
+    load: VolumeViewer.volume_loaders.nifti2
+  });
+
+  /* DataView has no portable 64-bit integer getter, so combine the
+   * two 32-bit halves. Values beyond 2^53 cannot be represented
+   * exactly, but no realistic image dimension or offset gets there.
+   */
+  function getInt64(dview, offset, littleEndian) {
+    var lo = dview.getUint32(offset + (littleEndian ? 0 : 4), littleEndian);
+    var hi = dview.getInt32(offset + (littleEndian ? 4 : 0), littleEndian);
+
+    return hi * 4294967296 + lo;
+  }
+
+  function parseNifti2Header(raw_data, display_zindex, stepRotio, complex_mode, callback) {
+    var header = {
+      order: [],
+      xspace: {},
+      yspace: {},
+      zspace: {}
+    };
+    var error_message;
+    var dview = new DataView(raw_data, 0, 540);
+    var bytes = new Uint8Array(raw_data, 0, 540);
+    var littleEndian = true;
+
+    var sizeof_hdr = dview.getUint32(0, true);
+    if (sizeof_hdr === 0x0000021c) {
+      littleEndian = true;
+    } else if (sizeof_hdr === 0x1c020000) {
+      littleEndian = false;
+    } else {
+      error_message = "This does not look like a NIfTI-2 file.";
+    }
+
+    var ndims = getInt64(dview, 16, littleEndian);
+    if (ndims < 3 || ndims > 4) {
+      error_message = "Cannot handle " + ndims + "-dimensional images yet.";
+    }
+
+    var magic = String.fromCharCode.apply(null, bytes.subarray(4, 8));
+    if (magic !== "n+2\0") {
+      error_message = "Bad magic number: '" + magic + "'";
+    }
+
+    if (error_message !== undefined) {
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+    var tlength = getInt64(dview, 48, littleEndian);
+
+    var datatype = dview.getInt16(12, littleEndian);
+    var bitpix = dview.getInt16(14, littleEndian);
+
+    var xstep = dview.getFloat64(112, littleEndian);
+    var ystep = dview.getFloat64(120, littleEndian);
+    var zstep = dview.getFloat64(128, littleEndian);
+    var tstep = dview.getFloat64(136, littleEndian);
+
+    var vox_offset = getInt64(dview, 168, littleEndian);
+    if (vox_offset < 544) {
+      vox_offset = 544;
+    }
+
+    var scl_slope = dview.getFloat64(176, littleEndian);
+    var scl_inter = dview.getFloat64(184, littleEndian);
+
+    var qform_code = dview.getInt32(344, littleEndian);
+    var sform_code = dview.getInt32(348, littleEndian);
+
+    var nifti_xfm = [
+      [1, 0, 0, 0],
+      [0, 1, 0, 0],
+      [0, 0, 1, 0],
+      [0, 0, 0, 1]
+    ];
+
+    if (tlength >= 1) {
+      header.time = {};
+      header.time.space_length = tlength;
+      header.time.step = tstep;
+      header.time.start = 0;
+      header.time.name = "time";
+    }
+
+    header.bytes_per_voxel = bitpix / 8;
+    header.must_swap_data = !littleEndian && header.bytes_per_voxel > 1;
+
+    var i, j;
+
+    if (sform_code > 0) {
+      /* Same precedence as NIfTI-1: the sform wins over the qform. The
+       * srow_x, srow_y and srow_z rows are stored as doubles.
+       */
+      for (i = 0; i < 3; i++) {
+        for (j = 0; j < 4; j++) {
+          nifti_xfm[i][j] = dview.getFloat64(400 + (i * 4 + j) * 8, littleEndian);
+        }
+      }
+    }
+    else if (qform_code > 0) {
+      var quatern_b = dview.getFloat64(352, littleEndian);
+      var quatern_c = dview.getFloat64(360, littleEndian);
+      var quatern_d = dview.getFloat64(368, littleEndian);
+      var qoffset_x = dview.getFloat64(376, littleEndian);
+      var qoffset_y = dview.getFloat64(384, littleEndian);
+      var qoffset_z = dview.getFloat64(392, littleEndian);
+      var qfac = (dview.getFloat64(104, littleEndian) < 0) ? -1.0 : 1.0;
+
+      nifti_xfm = VolumeViewer.utils.niftiQuaternToMat44(quatern_b, quatern_c, quatern_d,
+                                                         qoffset_x, qoffset_y, qoffset_z,
+                                                         xstep, ystep, zstep, qfac);
+    }
+    else {
+      nifti_xfm[0][0] = xstep;
+      nifti_xfm[1][1] = ystep;
+      nifti_xfm[2][2] = zstep;
+    }
+
+    VolumeViewer.utils.niftiTransformToHeader(nifti_xfm, header, [
+      getInt64(dview, 24, littleEndian),
+      getInt64(dview, 32, littleEndian),
+      getInt64(dview, 40, littleEndian)
+    ], stepRotio);
+
+    if (tlength >= 1) {
+      header.order.unshift("time");
+    }
+
+    header.datatype = datatype;
+    header.vox_offset = vox_offset;
+    header.scl_slope = scl_slope;
+    header.scl_inter = scl_inter;
+    header.display_zindex = display_zindex;
+    header.complex_mode = complex_mode;
+
+    if (BrainBrowser.utils.isFunction(callback)) {
+      callback(header);
+    }
+  }
+
+  function createNifti2Volume(header, raw_data, callback, cachedData) {
+    const createdData = cachedData ? cachedData.data : VolumeViewer.utils.createNiftiData(header, raw_data);
+
+    var volume = VolumeViewer.createVolume(header, createdData);
+    volume.type = "nifti";
+    volume.intensity_min = volume.header.voxel_min;
+    volume.intensity_max = volume.header.voxel_max;
+    volume.saveOriginAndTransform(header);
+    if (BrainBrowser.utils.isFunction(callback)) {
+      callback(volume);
+    }
+
+    return createdData;
+  }
+
+}());
@@ -0,0 +1,399 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011-2014
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+* Loads NRRD files (as written by 3D Slicer, Teem and ITK) for the
+* volume viewer. Both attached (.nrrd) and detached (.nhdr plus data
+* file) headers are supported, with raw or gzip encoded data. For
+* details on the NRRD format, see: http://teem.sourceforge.net/nrrd/format.html
+*
+* The NRRD world space is converted to RAS and the sampling grid is
+* mapped onto the same MINC-like header fields (order, step, start,
+* direction_cosines) produced for NIfTI volumes, so NRRD volumes can
+* be blended with other volumes in overlays.
+*/
+
+(function() {
+  "use strict";
+
+  var VolumeViewer = BrainBrowser.VolumeViewer;
+
+  var nrrd_types = {
+    "int8": Int8Array,
+    "uint8": Uint8Array,
+    "int16": Int16Array,
+    "uint16": Uint16Array,
+    "int32": Int32Array,
+    "uint32": Uint32Array,
+    "float": Float32Array,
+    "double": Float64Array
+  };
+
+  // All the spellings NRRD allows for each type.
+  var nrrd_type_aliases = {
+    "signed char": "int8", "int8_t": "int8",
+    "uchar": "uint8", "unsigned char": "uint8", "uint8_t": "uint8",
+    "short": "int16", "short int": "int16", "signed short": "int16",
+    "signed short int": "int16", "int16_t": "int16",
+    "ushort": "uint16", "unsigned short": "uint16",
+    "unsigned short int": "uint16", "uint16_t": "uint16",
+    "int": "int32", "signed int": "int32", "int32_t": "int32",
+    "uint": "uint32", "unsigned int": "uint32", "uint32_t": "uint32"
+  };
+
+  // Sign to apply to each world axis to get to RAS.
+  var nrrd_spaces = {
+    "right-anterior-superior": [1, 1, 1],
+    "ras": [1, 1, 1],
+    "left-anterior-superior": [-1, 1, 1],
+    "las": [-1, 1, 1],
+    "left-posterior-superior": [-1, -1, 1],
+    "lps": [-1, -1, 1],
+    "scanner-xyz": [1, 1, 1],
+    "3d-right-handed": [1, 1, 1]
+  };
+
+  VolumeViewer.volume_loaders.nrrd = function(description, callback) {
+    const { stepRotio, noCatchVolumeXHR = false } = description;
+    var error_message;
+
+    if (description.nrrd_url) {
+      BrainBrowser.loader.loadFromURL(description.nrrd_url, function(nrrd_data) {
+        parseNrrdHeader(nrrd_data, description.display_zindex, stepRotio, function(header) {
+          if (!header.data_file) {
+            createNrrdVolume(header, nrrd_data, callback);
+          } else if (description.raw_data_url || description.raw_data_file || description.raw_data_source) {
+            loadDetachedData(description, header, callback);
+          } else {
+            BrainBrowser.loader.loadFromURL(resolveDataFile(description.nrrd_url, header.data_file), function(raw_data) {
+              createNrrdVolume(header, raw_data, callback);
+            }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: !noCatchVolumeXHR }));
+          }
+        });
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: !noCatchVolumeXHR }));
+    } else if (description.nrrd_file) {
+      BrainBrowser.loader.loadFromFile(description.nrrd_file, function(nrrd_data) {
+        parseNrrdHeader(nrrd_data, description.display_zindex, stepRotio, function(header) {
+          if (header.data_file) {
+            loadDetachedData(description, header, callback);
+          } else {
+            createNrrdVolume(header, nrrd_data, callback);
+          }
+        });
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer" }));
+    } else if (description.nrrd_source || description.source) {
+      const nrrd_source = description.nrrd_source || description.source;
+      parseNrrdHeader(nrrd_source, description.display_zindex, stepRotio, function(header) {
+        if (header.data_file) {
+          loadDetachedData(description, header, callback);
+        } else {
+          createNrrdVolume(header, nrrd_source, callback);
+        }
+      });
+    } else {
+      error_message = "invalid volume description.\n" +
+        "Description must contain the property 'nrrd_url', 'nrrd_file', 'nrrd_source' or 'source'.";
+
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+
+  };
+
+  // NRRD files and detached headers start with the magic "NRRD".
+  VolumeViewer.registerVolumeLoader("nrrd", {
+    sniff: function(bytes) {
+      return bytes.length >= 4 && String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === "NRRD";
+    },
+    load: VolumeViewer.volume_loaders.nrrd
+  });
+
+  // Fetch the data file named by a detached (.nhdr) header, using
+  // whichever of raw_data_url, raw_data_file or raw_data_source was given.
+  function loadDetachedData(description, header, callback) {
+    var error_message;
+
+    if (description.raw_data_url) {
+      BrainBrowser.loader.loadFromURL(description.raw_data_url, function(raw_data) {
+        createNrrdVolume(header, raw_data, callback);
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer", isVolume: !description.noCatchVolumeXHR }));
+    } else if (description.raw_data_file) {
+      BrainBrowser.loader.loadFromFile(description.raw_data_file, function(raw_data) {
+        createNrrdVolume(header, raw_data, callback);
+      }, VolumeViewer.utils.loaderOptions(description, { result_type: "arraybuffer" }));
+    } else if (description.raw_data_source) {
+      createNrrdVolume(header, description.raw_data_source, callback);
+    } else {
+      error_message = "detached NRRD header refers to data file '" + header.data_file + "'.\n" +
+        "Description must contain the property 'raw_data_url', 'raw_data_file' or 'raw_data_source'.";
+
+      BrainBrowser.events.triggerEvent("error", { message: error_message });
+      throw new Error(error_message);
+    }
+  }
+
+  // Data files in detached headers are relative to the header itself.
+  function resolveDataFile(header_url, data_file) {
+    if (/^([a-z]+:)?\/\//i.test(data_file) || data_file[0] === "/") {
+      return data_file;
+    }
+
+    return header_url.split("?")[0].replace(/[^\/]*$/, "") + data_file;
+  }
+
+  function nrrdError(error_message) {
+    BrainBrowser.events.triggerEvent("error", { message: error_message });
+    throw new Error(error_message);
+  }
+
+  // Parse a vector of the form "(1.5,0,0)", or "none".
+  function parseNrrdVector(text) {
+    if (text === "none") {
+      return null;
+    }
+
+    return text.replace(/[()]/g, "").split(",").map(parseFloat);
+  }
+
+  /* Parse the text header at the start of the buffer. The header ends
+   * at the first blank line (attached header) or at the end of the
+   * buffer (detached header). The resulting header object contains
+   * the usual volume viewer fields plus:
+   *
+   * header.data_offset - Offset of the voxel data in an attached file.
+   * header.data_file - Name of the data file, for detached headers.
+   * header.encoding - "raw" or "gzip".
+   * header.array_type - Typed array constructor for the voxels.
+   * header.little_endian - Byte order of the voxels.
+   * header.byte_skip, header.line_skip - Bytes or lines preceding the data.
+   */
+  function parseNrrdHeader(raw_data, display_zindex, stepRotio, callback) {
+    var header = {
+      order: [],
+      xspace: {},
+      yspace: {},
+      zspace: {}
+    };
+    var bytes = new Uint8Array(raw_data);
+    var fields = {};
+    var text = "";
+    var data_offset = bytes.length;
+    var i, j, line, lines, colon;
+
+    for (i = 0; i < bytes.length; i++) {
+      if (bytes[i] === 10 && (bytes[i + 1] === 10 || (bytes[i + 1] === 13 && bytes[i + 2] === 10))) {
+        data_offset = i + (bytes[i + 1] === 10 ? 2 : 3);
+        break;
+      }
+      text += String.fromCharCode(bytes[i]);
+    }
+
+    lines = text.split(/\r?\n/);
+
+    if (!/^NRRD000\d/.test(lines[0])) {
+      nrrdError("This does not look like a NRRD file.");
+    }
+
+    for (i = 1; i < lines.length; i++) {
+      line = lines[i];
+      if (line[0] === "#" || line.indexOf(":=") !== -1) {
+        // Comments and key/value pairs carry nothing we need.
+        continue;
+      }
+      colon = line.indexOf(": ");
+      if (colon !== -1) {
+        fields[line.slice(0, colon).toLowerCase()] = line.slice(colon + 2).trim();
+      }
+    }
+
+    var dimension = parseInt(fields.dimension, 10);
+    var sizes = (fields.sizes || "").split(/\s+/).map(Number);
+    var type_name = (fields.type || "").toLowerCase();
+    var encoding = (fields.encoding || "raw").toLowerCase();
+
+    type_name = nrrd_type_aliases[type_name] || type_name;
+
+    if (!nrrd_types[type_name]) {
+      nrrdError("Unsupported NRRD data type: " + fields.type);
+    }
+
+    if (encoding === "gz") {
+      encoding = "gzip";
+    }
+
+    if (encoding !== "raw" && encoding !== "gzip") {
+      nrrdError("Unsupported NRRD encoding: " + fields.encoding);
+    }
+
+    /* The first three axes are the spatial ones, fastest-varying first.
+     * A fourth axis, if present, is treated as time.
+     */
+    if (dimension < 3 || dimension > 4 || sizes.length !== dimension) {
+      nrrdError("Cannot handle " + dimension + "-dimensional images yet.");
+    }
+
+    var space = (fields.space || "").toLowerCase();
+    var flip = nrrd_spaces[space] || [1, 1, 1];
+    var directions = [];
+    var origin = [0, 0, 0];
+
+    if (fields["space directions"]) {
+      directions = (fields["space directions"].match(/\([^)]*\)|none/g) || []).map(parseNrrdVector);
+
+      // A non-spatial axis is only understood as a trailing time axis.
+      if (directions.indexOf(null) !== -1 && directions.indexOf(null) !== 3) {
+        nrrdError("Cannot handle NRRD volumes whose non-spatial axis is not the last one.");
+      }
+
+      directions = directions.slice(0, 3);
+    } else {
+      // Older files only give per-axis spacings along the world axes.
+      var spacings = (fields.spacings || "1 1 1").split(/\s+/).map(parseFloat);
+      for (i = 0; i < 3; i++) {
+        directions[i] = [0, 0, 0];
+        directions[i][i] = isNaN(spacings[i]) ? 1 : spacings[i];
+      }
+      flip = [1, 1, 1];
+    }
+
+    if (directions.length !== 3) {
+      nrrdError("Cannot handle NRRD volumes with " + directions.length + " spatial axes.");
+    }
+
+    if (fields["space origin"]) {
+      origin = parseNrrdVector(fields["space origin"]);
+    }
+
+    // NRRD volumes give each axis' direction as a column of the
+    // voxel-to-world transform, just like a NIfTI sform.
+    var nrrd_xfm = [
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 1]
+    ];
+
+    for (i = 0; i < 3; i++) {
+      for (j = 0; j < 3; j++) {
+        nrrd_xfm[i][j] = directions[j][i] * flip[i];
+      }
+      nrrd_xfm[i][3] = origin[i] * flip[i];
+    }
+
+    VolumeViewer.utils.niftiTransformToHeader(nrrd_xfm, header, sizes, stepRotio);
+
+    if (dimension === 4) {
+      header.time = {
+        space_length: sizes[3],
+        step: 1,
+        start: 0,
+        name: "time"
+      };
+    }
+
+    header.array_type = nrrd_types[type_name];
+    header.encoding = encoding;
+    header.little_endian = (fields.endian || "little").toLowerCase() !== "big";
+    header.byte_skip = parseInt(fields["byte skip"] || "0", 10);
+    header.line_skip = parseInt(fields["line skip"] || "0", 10);
+    header.data_file = fields["data file"] || fields.datafile || null;
+    header.data_offset = data_offset;
+    header.display_zindex = display_zindex;
+
+    if (header.data_file && /\s|^LIST$/.test(header.data_file)) {
+      nrrdError("NRRD data file lists are not supported: " + header.data_file);
+    }
+
+    if (BrainBrowser.utils.isFunction(callback)) {
+      callback(header);
+    }
+  }
+
+  function createNrrdVolume(header, raw_data, callback) {
+    var volume = VolumeViewer.createVolume(header, createNrrdData(header, raw_data));
+    volume.type = "nrrd";
+    volume.intensity_min = header.voxel_min;
+    volume.intensity_max = header.voxel_max;
+    volume.saveOriginAndTransform(header);
+    if (BrainBrowser.utils.isFunction(callback)) {
+      callback(volume);
+    }
+  }
+
+  function createNrrdData(header, raw_data) {
+    var ArrayType = header.array_type;
+    var offset = header.data_file ? 0 : header.data_offset;
+    var bytes = new Uint8Array(raw_data, offset);
+    var n_voxels = header.xspace.space_length *
+      header.yspace.space_length *
+      header.zspace.space_length *
+      (header.time ? header.time.space_length : 1);
+    var n_bytes = n_voxels * ArrayType.BYTES_PER_ELEMENT;
+    var skip = 0;
+    var i;
+
+    /* Detached gzip data may already have been inflated by the loader,
+     * so only inflate what still carries a gzip or zlib signature.
+     */
+    if (header.encoding === "gzip" && VolumeViewer.utils.isCompressed(bytes)) {
+      bytes = window.pako.inflate(bytes);
+    }
+
+    for (i = 0; i < header.line_skip; i++) {
+      while (skip < bytes.length && bytes[skip] !== 10) {
+        skip++;
+      }
+      skip++;
+    }
+
+    // A byte skip of -1 means the data is at the end of the file.
+    skip += header.byte_skip === -1 ? bytes.length - n_bytes : header.byte_skip;
+
+    if (bytes.length - skip < n_bytes) {
+      nrrdError("NRRD data is too short: expected " + n_bytes + " bytes, found " + (bytes.length - skip) + ".");
+    }
+
+    // Copy so the typed array is aligned and the caller's buffer is untouched.
+    var data_bytes = bytes.slice(skip, skip + n_bytes);
+
+    if (!header.little_endian && ArrayType.BYTES_PER_ELEMENT > 1) {
+      VolumeViewer.utils.swapn(data_bytes, ArrayType.BYTES_PER_ELEMENT);
+    }
+
+    var native_data = new ArrayType(data_bytes.buffer);
+
+    VolumeViewer.utils.scanDataRange(native_data, header);
+
+    // Incrementation offsets for each dimension of the volume. As in
+    // NIfTI, the first axis in the file varies fastest.
+    header[header.order[0]].offset = header[header.order[1]].space_length * header[header.order[2]].space_length;
+    header[header.order[1]].offset = header[header.order[2]].space_length;
+    header[header.order[2]].offset = 1;
+
+    if (header.time) {
+      header.time.offset = header.xspace.space_length * header.yspace.space_length * header.zspace.space_length;
+    }
+
+    return native_data;
+  }
+
+}());
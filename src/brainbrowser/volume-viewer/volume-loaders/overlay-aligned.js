@@ -132,10 +132,43 @@
       };
     };
 
+    /* Oblique slices of the overlaid volumes are all resampled on
+     * the same grid, by default that of the overlay's own space, so
+     * they line up.
+     */
+    overlay_volume.obliqueSlice = function(plane, options) {
+      options = options || {};
+
+      var grid = options.width ? options : overlay_volume.getObliqueGrid();
+      var slices = this.volumes.map(function(volume) {
+        var slice = volume.obliqueSlice(plane, {
+          width: grid.width,
+          height: grid.height,
+          step: grid.step,
+          center: grid.center,
+          time: options.time === undefined ? overlay_volume.current_time : options.time,
+          interpolation: options.interpolation
+        });
+        slice.display_zindex = volume.header.display_zindex;
+        return slice;
+      });
+
+      return {
+        axis: "oblique",
+        plane: plane,
+        width_space: slices[0].width_space,
+        height_space: slices[0].height_space,
+        width: grid.width,
+        height: grid.height,
+        slices: slices
+      };
+    };
+
     // Get the slice image, at the requested zoom level, contrast
     // and brightness. Zoom values of less than one imply a smaller
-    // image (therefore a larger field of view)
-    overlay_volume.getSliceImage = function(slice, zoom, contrast, brightness) {
+    // image (therefore a larger field of view). Each volume is
+    // interpolated as requested, or with its own interpolation.
+    overlay_volume.getSliceImage = function(slice, zoom, contrast, brightness, clamp, interpolation) {
       zoom = zoom || 1;
 
       var slices = slice.slices;
@@ -161,6 +194,7 @@
 
         var target_width = max_width;
         var target_height = max_height;
+        var volume_interpolation = interpolation || volume.interpolation || "nearest";
         var source_image = image_creation_context.createImageData(slice.width, slice.height);
         var target_image = image_creation_context.createImageData(target_width, target_height);
 
@@ -186,25 +220,42 @@
             });
           }
 
-          color_map.mapColors(mergedData, {
-            min: volume.intensity_min,
-            max: volume.intensity_max,
-            contrast: contrast,
-            brightness: brightness,
-            destination: source_image.data
-          });
+          if (volume_interpolation !== "nearest") {
+            color_map.mapColors(
+              VolumeViewer.utils.interpolate(mergedData, slice.width, slice.height, target_width, target_height, {
+                interpolation: volume_interpolation
+              }), {
+                min: volume.intensity_min,
+                max: volume.intensity_max,
+                contrast: contrast,
+                brightness: brightness,
+                destination: target_image.data
+              }
+            );
+            source_image = null;
+          } else {
+            color_map.mapColors(mergedData, {
+              min: volume.intensity_min,
+              max: volume.intensity_max,
+              contrast: contrast,
+              brightness: brightness,
+              destination: source_image.data
+            });
+          }
         }
 
-        target_image.data.set(
-          VolumeViewer.utils.nearestNeighbor(
-            source_image.data,
-            source_image.width,
-            source_image.height,
-            target_width,
-            target_height,
-            { block_size: 4 }
-          )
-        );
+        if (source_image) {
+          target_image.data.set(
+            VolumeViewer.utils.nearestNeighbor(
+              source_image.data,
+              source_image.width,
+              source_image.height,
+              target_width,
+              target_height,
+              { block_size: 4 }
+            )
+          );
+        }
 
         target_image.display_zindex = slice.display_zindex;
         images.push(target_image);
@@ -239,6 +290,17 @@
         return intensity + current_value * overlay_volume.blend_ratios[i];
       }, 0);
     };
+
+    // Blended intensity at world coordinates that may fall between
+    // the voxels of the overlaid volumes.
+    overlay_volume.getInterpolatedIntensityValue = function(x, y, z, time, interpolation) {
+      time = time === undefined ? this.current_time : time;
+
+      return this.volumes.reduce(function(intensity, volume, i) {
+        return intensity + overlay_volume.blend_ratios[i] *
+          volume.getInterpolatedIntensityValue(x, y, z, time, interpolation);
+      }, 0);
+    };
     volumes.forEach(function(volume) {
       overlay_volume.volumes.push(volume);
       overlay_volume.blend_ratios.push(1 / volumes.length);
@@ -109,10 +109,41 @@
       };
     };
 
+    /* Oblique slices of the overlaid volumes are all resampled on
+     * the same grid, by default that of the overlay's own space, so
+     * they line up.
+     */
+    overlay_volume.obliqueSlice = function(plane, options) {
+      options = options || {};
+
+      var grid = options.width ? options : overlay_volume.getObliqueGrid();
+      var slices = this.volumes.map(function(volume) {
+        return volume.obliqueSlice(plane, {
+          width: grid.width,
+          height: grid.height,
+          step: grid.step,
+          center: grid.center,
+          time: options.time === undefined ? overlay_volume.current_time : options.time,
+          interpolation: options.interpolation
+        });
+      });
+
+      return {
+        axis: "oblique",
+        plane: plane,
+        width_space: slices[0].width_space,
+        height_space: slices[0].height_space,
+        width: grid.width,
+        height: grid.height,
+        slices: slices
+      };
+    };
+
     // Get the slice image, at the requested zoom level, contrast
     // and brightness. Zoom values of less than one imply a smaller
-    // image (therefore a larger field of view)
-    overlay_volume.getSliceImage = function(slice, zoom, contrast, brightness) {
+    // image (therefore a larger field of view). Each volume is
+    // interpolated as requested, or with its own interpolation.
+    overlay_volume.getSliceImage = function(slice, zoom, contrast, brightness, clamp, interpolation) {
       zoom = zoom || 1;
 
       var slices = slice.slices;
@@ -120,6 +151,20 @@
       var max_width = Math.round(this.size * zoom);
       var max_height = max_width;
 
+      // Oblique slices are already on the same grid, so each volume
+      // can draw its own.
+      if (slice.plane) {
+        images = slices.map(function(slice, i) {
+          return overlay_volume.volumes[i].getSliceImage(slice, zoom, contrast, brightness, clamp, interpolation);
+        });
+
+        return blendImages(
+          images,
+          overlay_volume.blend_ratios,
+          image_creation_context.createImageData(images[0].width, images[0].height)
+        );
+      }
+
       // Stepping through the dimensions efficiently means we need
       // to keep stepping our voxel coordinates by the appropriate
       // amount relative to the world coordinate frame. We do this
@@ -145,6 +190,8 @@
         var color_map = volume.color_map;
         var intensity_min = volume.intensity_min;
         var intensity_max = volume.intensity_max;
+        var volume_interpolation = interpolation || volume.interpolation || "nearest";
+        var interpolated = volume_interpolation !== "nearest";
         var error_message;
 
         if (!color_map) {
@@ -179,9 +226,14 @@
         var data_length = max_width * max_height;
 
         // Calling the volume data's constructor guarantees that the
-        // slice data buffer has the same type as the volume.
+        // slice data buffer has the same type as the volume. Interpolated
+        // values fall between those of the volume. Lazily loaded data
+        // gives its type and values through array_type and get().
         //
-        var slice_data = new volume.data.constructor(data_length);
+        var data = volume.data;
+        var lazy = BrainBrowser.utils.isFunction(data.get);
+        var SliceArray = interpolated ? Float32Array : lazy ? data.array_type : data.constructor;
+        var slice_data = new SliceArray(data_length);
         var data_index = 0;
 
         // We need to calculate the slice coordinate in world
@@ -191,7 +243,7 @@
         w_origin[width_space.name[0]] = min_col / zoom;
         w_origin[height_space.name[0]] = max_row / zoom;
 
-        var v_origin = volume.worldToVoxel(w_origin.x, w_origin.y, w_origin.z);
+        var v_origin = volume.worldToVoxel(w_origin.x, w_origin.y, w_origin.z, interpolated);
 
         // Get the appropriate values for stepping through
         // the width and height dimensions.
@@ -218,13 +270,18 @@
                 coord.k < 0 || coord.k >= k_size) {
               slice_data[data_index] = 0;
             }
+            else if (interpolated) {
+              if (data_index < data_length)
+                slice_data[data_index] = VolumeViewer.utils.sampleVoxel(volume, coord.i, coord.j, coord.k,
+                                                                        volume.current_time, volume_interpolation);
+            }
             else {
               var volume_index = (time_offset +
                                   Math.round(coord.i) * i_offset +
                                   Math.round(coord.j) * j_offset +
                                   Math.round(coord.k) * k_offset);
               if (data_index < data_length)
-                slice_data[data_index] = volume.data[volume_index];
+                slice_data[data_index] = lazy ? data.get(volume_index) : data[volume_index];
             }
             data_index++;
             coord.i += col_step.di;
@@ -278,6 +335,17 @@
       }, 0);
     };
 
+    // Blended intensity at world coordinates that may fall between
+    // the voxels of the overlaid volumes.
+    overlay_volume.getInterpolatedIntensityValue = function(x, y, z, time, interpolation) {
+      time = time === undefined ? this.current_time : time;
+
+      return this.volumes.reduce(function(intensity, volume, i) {
+        return intensity + overlay_volume.blend_ratios[i] *
+          volume.getInterpolatedIntensityValue(x, y, z, time, interpolation);
+      }, 0);
+    };
+
     volumes.forEach(function(volume) {
       overlay_volume.volumes.push(volume);
       overlay_volume.blend_ratios.push(1 / volumes.length);
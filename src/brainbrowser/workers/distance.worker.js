@@ -0,0 +1,156 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// Euclidean distance transform of a mask volume. Each voxel gets the
+// distance, in mm, from its center to the center of the nearest voxel
+// of the mask (0 inside the mask, Infinity if the mask is empty).
+//
+// The message contains:
+//   data: the voxel values, with the last dimension varying fastest.
+//   sizes: the number of voxels along each dimension.
+//   spacing: the distance between voxels along each dimension, in mm.
+//   threshold: voxels with values above it are part of the mask.
+//   label: (optional) only voxels with this value are part of the mask.
+//
+// Uses the separable algorithm of Felzenszwalb and Huttenlocher,
+// "Distance Transforms of Sampled Functions", 2012.
+(function() {
+  "use strict";
+
+  var INF = 1e20;
+
+  self.addEventListener("message", function(event) {
+    var data = event.data;
+    var distances = distanceTransform(data.data, data.sizes, data.spacing, data.threshold || 0, data.label);
+
+    self.postMessage({ distances: distances }, [distances.buffer]);
+  });
+
+  function distanceTransform(data, sizes, spacing, threshold, label) {
+    var count = sizes[0] * sizes[1] * sizes[2];
+    var distances = new Float32Array(count);
+    var strides = [sizes[1] * sizes[2], sizes[2], 1];
+    var max_size = Math.max(sizes[0], sizes[1], sizes[2]);
+    var line = new Float64Array(max_size);
+    var result = new Float64Array(max_size);
+    var parabolas = new Int32Array(max_size);
+    var boundaries = new Float64Array(max_size + 1);
+    var axis, other1, other2, a, b, n, base, stride, i;
+
+    for (i = 0; i < count; i++) {
+      if (label === undefined) {
+        distances[i] = data[i] > threshold ? 0 : INF;
+      } else {
+        distances[i] = data[i] === label ? 0 : INF;
+      }
+    }
+
+    // Squared distances along each axis in turn.
+    for (axis = 0; axis < 3; axis++) {
+      other1 = (axis + 1) % 3;
+      other2 = (axis + 2) % 3;
+      n = sizes[axis];
+      stride = strides[axis];
+
+      for (a = 0; a < sizes[other1]; a++) {
+        for (b = 0; b < sizes[other2]; b++) {
+          base = a * strides[other1] + b * strides[other2];
+
+          for (i = 0; i < n; i++) {
+            line[i] = distances[base + i * stride];
+          }
+
+          transformLine(line, n, spacing[axis], result, parabolas, boundaries);
+
+          for (i = 0; i < n; i++) {
+            distances[base + i * stride] = result[i];
+          }
+        }
+      }
+    }
+
+    for (i = 0; i < count; i++) {
+      distances[i] = distances[i] >= INF ? Infinity : Math.sqrt(distances[i]);
+    }
+
+    return distances;
+  }
+
+  // Lower envelope of the parabolas (x - q * step)^2 + f[q].
+  function transformLine(f, n, step, result, parabolas, boundaries) {
+    var k = 0;
+    var q, s, x, offset;
+
+    parabolas[0] = 0;
+    boundaries[0] = -Infinity;
+    boundaries[1] = Infinity;
+
+    for (q = 1; q < n; q++) {
+      if (f[q] >= INF) {
+        continue;
+      }
+
+      // Skip the leading voxels outside the mask.
+      if (f[parabolas[0]] >= INF) {
+        parabolas[0] = q;
+        continue;
+      }
+
+      s = intersection(f, q, parabolas[k], step);
+      while (k > 0 && s <= boundaries[k]) {
+        k--;
+        s = intersection(f, q, parabolas[k], step);
+      }
+
+      k++;
+      parabolas[k] = q;
+      boundaries[k] = s;
+      boundaries[k + 1] = Infinity;
+    }
+
+    if (f[parabolas[0]] >= INF) {
+      for (q = 0; q < n; q++) {
+        result[q] = INF;
+      }
+      return;
+    }
+
+    k = 0;
+    for (q = 0; q < n; q++) {
+      x = q * step;
+      while (boundaries[k + 1] < x) {
+        k++;
+      }
+      offset = x - parabolas[k] * step;
+      result[q] = offset * offset + f[parabolas[k]];
+    }
+  }
+
+  // Position where the parabolas of voxels q and p cross.
+  function intersection(f, q, p, step) {
+    var xq = q * step;
+    var xp = p * step;
+
+    return ((f[q] + xq * xq) - (f[p] + xp * xp)) / (2 * (xq - xp));
+  }
+
+})();
@@ -0,0 +1,172 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// Intensity statistics and histogram of the voxels of a volume.
+//
+// The message contains:
+//   data: the voxel values.
+//   mask: (optional) values of the same length, only voxels whose
+//     mask value is not 0 are counted.
+//   percentiles: (optional) the percentiles to compute, from 0 to 100.
+//   histogram: (optional) an object with the number of bins, and the
+//     min and max of their range (default: the range of the values).
+//
+// Percentiles are interpolated linearly between the sorted values.
+(function() {
+  "use strict";
+
+  self.addEventListener("message", function(event) {
+    var data = event.data;
+    var values = maskValues(data.data, data.mask);
+    var statistics = getStatistics(values);
+    var histogram = null;
+    var transfer = [];
+
+    if (data.percentiles) {
+      statistics.percentiles = getPercentiles(values, data.percentiles);
+    }
+
+    if (data.histogram) {
+      histogram = getHistogram(values, data.histogram, statistics);
+      transfer.push(histogram.counts.buffer);
+    }
+
+    self.postMessage({ statistics: statistics, histogram: histogram }, transfer);
+  });
+
+  function maskValues(data, mask) {
+    var count = 0;
+    var values, i;
+
+    if (!mask) {
+      return data;
+    }
+
+    for (i = 0; i < data.length; i++) {
+      if (mask[i] !== 0) count++;
+    }
+
+    values = new data.constructor(count);
+    count = 0;
+    for (i = 0; i < data.length; i++) {
+      if (mask[i] !== 0) {
+        values[count++] = data[i];
+      }
+    }
+
+    return values;
+  }
+
+  function getStatistics(values) {
+    var count = values.length;
+    var min = Infinity;
+    var max = -Infinity;
+    var nonzero = 0;
+    var sum = 0;
+    var squares = 0;
+    var mean, value, i;
+
+    for (i = 0; i < count; i++) {
+      value = values[i];
+      if (value < min) min = value;
+      if (value > max) max = value;
+      if (value !== 0) nonzero++;
+      sum += value;
+    }
+
+    mean = sum / count;
+
+    // Second pass for the deviations, which is more accurate
+    // than the sum of squares for large volumes.
+    for (i = 0; i < count; i++) {
+      value = values[i] - mean;
+      squares += value * value;
+    }
+
+    return {
+      count: count,
+      nonzero: nonzero,
+      min: count > 0 ? min : NaN,
+      max: count > 0 ? max : NaN,
+      mean: mean,
+      std: Math.sqrt(squares / count)
+    };
+  }
+
+  function getPercentiles(values, percentiles) {
+    var sorted = values.slice();
+    var result = {};
+
+    // Typed arrays sort numerically by default.
+    if (Array.isArray(sorted)) {
+      sorted.sort(function(a, b) {
+        return a - b;
+      });
+    } else {
+      sorted.sort();
+    }
+
+    percentiles.forEach(function(percentile) {
+      var rank = Math.max(0, Math.min(percentile, 100)) / 100 * (sorted.length - 1);
+      var low = Math.floor(rank);
+      var high = Math.min(low + 1, sorted.length - 1);
+
+      if (sorted.length === 0) {
+        result[percentile] = NaN;
+      } else {
+        result[percentile] = sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+      }
+    });
+
+    return result;
+  }
+
+  function getHistogram(values, options, statistics) {
+    var bins = options.bins;
+    var min = options.min === undefined ? statistics.min : options.min;
+    var max = options.max === undefined ? statistics.max : options.max;
+    var counts = new Uint32Array(bins);
+    var bin_width, value, i;
+
+    if (max <= min) {
+      max = min + 1;
+    }
+
+    bin_width = (max - min) / bins;
+
+    for (i = 0; i < values.length; i++) {
+      value = values[i];
+      if (value >= min && value <= max) {
+        counts[Math.min(Math.floor((value - min) / bin_width), bins - 1)]++;
+      }
+    }
+
+    return {
+      bins: bins,
+      min: min,
+      max: max,
+      bin_width: bin_width,
+      counts: counts
+    };
+  }
+
+})();
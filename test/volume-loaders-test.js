@@ -0,0 +1,939 @@
+/*
+* BrainBrowser: Web-based Neurological Visualization Tools
+* (https://brainbrowser.cbrain.mcgill.ca)
+*
+* Copyright (C) 2011
+* The Royal Institution for the Advancement of Learning
+* McGill University
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+* The volume loaders are given small synthetic files, built in memory, and
+* the world coordinates of their voxels are checked against the transform
+* written in the file. Files written by the volume writers are loaded again
+* and compared with the volume they were written from.
+*/
+
+var VolumeViewer = BrainBrowser.VolumeViewer;
+
+// World coordinates of the voxel at the given indices along the
+// x, y and z axes of a volume.
+function voxelToWorld(volume, x, y, z) {
+  var position = { xspace: x, yspace: y, zspace: z };
+  var order = volume.header.order;
+
+  return volume.voxelToWorld(position[order[0]], position[order[1]], position[order[2]]);
+}
+
+function assertWorld(assert, actual, expected, message) {
+  var close = Math.abs(actual.x - expected.x) < 1e-4 &&
+    Math.abs(actual.y - expected.y) < 1e-4 &&
+    Math.abs(actual.z - expected.z) < 1e-4;
+
+  assert.ok(close, message + ": expected " + JSON.stringify(expected) + ", got " + JSON.stringify(actual));
+}
+
+// Apply a 3x4 affine transform to voxel indices.
+function applyTransform(transform, x, y, z) {
+  return {
+    x: transform[0][0] * x + transform[0][1] * y + transform[0][2] * z + transform[0][3],
+    y: transform[1][0] * x + transform[1][1] * y + transform[1][2] * z + transform[1][3],
+    z: transform[2][0] * x + transform[2][1] * y + transform[2][2] * z + transform[2][3]
+  };
+}
+
+function loadVolume(type, description) {
+  var result = null;
+
+  VolumeViewer.volume_loaders[type](description, function(volume) {
+    result = volume;
+  });
+
+  return result;
+}
+
+// A viewer with only the loading module, whose volumes aren't displayed.
+function createViewer() {
+  var result = null;
+
+  VolumeViewer.start(document.createElement("div"), function(viewer) {
+    result = viewer;
+  });
+
+  return result;
+}
+
+function setString(view, offset, string) {
+  var i;
+
+  for (i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+}
+
+function setInt64(view, offset, value) {
+  view.setInt32(offset, value, true);
+  view.setInt32(offset + 4, value < 0 ? -1 : 0, true);
+}
+
+// A little-endian NIfTI-2 file of 16-bit integers, with the
+// given sform, whose voxel values are their indices.
+function createNifti2(sizes, sform) {
+  var count = sizes[0] * sizes[1] * sizes[2];
+  var buffer = new ArrayBuffer(544 + count * 2);
+  var view = new DataView(buffer);
+  var i, j;
+
+  view.setInt32(0, 540, true);
+  setString(view, 4, "n+2\0\r\n\x1a\n");
+  view.setInt16(12, 4, true);
+  view.setInt16(14, 16, true);
+
+  setInt64(view, 16, 3);
+  for (i = 0; i < 7; i++) {
+    setInt64(view, 24 + i * 8, i < 3 ? sizes[i] : 1);
+  }
+  for (i = 0; i < 8; i++) {
+    view.setFloat64(104 + i * 8, i > 0 && i < 4 ? Math.abs(sform[i - 1][i - 1]) || 1 : 1, true);
+  }
+
+  setInt64(view, 168, 544);
+  view.setFloat64(176, 1, true);
+  view.setInt32(348, 1, true);
+  for (i = 0; i < 3; i++) {
+    for (j = 0; j < 4; j++) {
+      view.setFloat64(400 + (i * 4 + j) * 8, sform[i][j], true);
+    }
+  }
+
+  for (i = 0; i < count; i++) {
+    view.setInt16(544 + i * 2, i, true);
+  }
+
+  return buffer;
+}
+
+QUnit.module("NIfTI-2");
+
+QUnit.test("World coordinates come from the sform.", function(assert) {
+  var sform = [
+    [2, 0, 0, -10],
+    [0, 3, 0, -20],
+    [0, 0, 4, -30]
+  ];
+  var volume = loadVolume("nifti2", { nii_source: createNifti2([4, 3, 2], sform) });
+
+  assert.strictEqual(volume.header.xspace.space_length, 4);
+  assert.strictEqual(volume.header.yspace.space_length, 3);
+  assert.strictEqual(volume.header.zspace.space_length, 2);
+  assertWorld(assert, voxelToWorld(volume, 0, 0, 0), applyTransform(sform, 0, 0, 0), "origin");
+  assertWorld(assert, voxelToWorld(volume, 3, 1, 1), applyTransform(sform, 3, 1, 1), "corner");
+});
+
+QUnit.test("Negative steps follow the sform's directions.", function(assert) {
+  var sform = [
+    [-2, 0, 0, 10],
+    [0, 3, 0, -20],
+    [0, 0, -4, 30]
+  ];
+  var volume = loadVolume("nifti2", { nii_source: createNifti2([4, 3, 2], sform) });
+
+  assert.strictEqual(volume.header.xspace.step, -2);
+  assert.strictEqual(volume.header.zspace.step, -4);
+  assertWorld(assert, voxelToWorld(volume, 0, 0, 0), applyTransform(sform, 0, 0, 0), "origin");
+  assertWorld(assert, voxelToWorld(volume, 3, 2, 1), applyTransform(sform, 3, 2, 1), "corner");
+});
+
+QUnit.test("Voxel values are read in file order.", function(assert) {
+  var volume = loadVolume("nifti2", {
+    nii_source: createNifti2([4, 3, 2], [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]])
+  });
+
+  assert.deepEqual(Array.prototype.slice.call(volume.data, 0, 6), [0, 1, 2, 3, 4, 5]);
+  assert.strictEqual(volume.data[23], 23);
+});
+
+QUnit.test("Reject files without the NIfTI-2 magic.", function(assert) {
+  var buffer = createNifti2([2, 2, 2], [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]]);
+
+  new DataView(buffer).setUint8(5, "x".charCodeAt(0));
+
+  assert.throws(function() {
+    loadVolume("nifti2", { nii_source: buffer });
+  });
+});
+
+// A NRRD file with the given header fields, followed by the bytes
+// of the given data.
+function createNrrd(fields, data) {
+  var text = "NRRD0004\n" + fields.join("\n") + "\n\n";
+  var bytes = new Uint8Array(data ? data.byteLength : 0);
+  var buffer = new ArrayBuffer(text.length + bytes.length);
+
+  setString(new DataView(buffer), 0, text);
+  if (data) {
+    bytes.set(new Uint8Array(data));
+    new Uint8Array(buffer).set(bytes, text.length);
+  }
+
+  return buffer;
+}
+
+function createInt16Data(count, little_endian) {
+  var buffer = new ArrayBuffer(count * 2);
+  var view = new DataView(buffer);
+  var i;
+
+  for (i = 0; i < count; i++) {
+    view.setInt16(i * 2, i, little_endian);
+  }
+
+  return buffer;
+}
+
+QUnit.module("NRRD");
+
+QUnit.test("LPS world coordinates are converted to RAS.", function(assert) {
+  var volume = loadVolume("nrrd", {
+    nrrd_source: createNrrd([
+      "type: short",
+      "dimension: 3",
+      "space: left-posterior-superior",
+      "sizes: 4 3 2",
+      "space directions: (2,0,0) (0,3,0) (0,0,4)",
+      "endian: little",
+      "encoding: raw",
+      "space origin: (10,20,-30)"
+    ], createInt16Data(24, true))
+  });
+
+  // RAS is LPS with the first two axes negated.
+  var ras = [
+    [-2, 0, 0, -10],
+    [0, -3, 0, -20],
+    [0, 0, 4, -30]
+  ];
+
+  assert.strictEqual(volume.type, "nrrd");
+  assertWorld(assert, voxelToWorld(volume, 0, 0, 0), applyTransform(ras, 0, 0, 0), "origin");
+  assertWorld(assert, voxelToWorld(volume, 3, 2, 1), applyTransform(ras, 3, 2, 1), "corner");
+});
+
+QUnit.test("Big-endian voxels are swapped.", function(assert) {
+  var volume = loadVolume("nrrd", {
+    nrrd_source: createNrrd([
+      "type: int16",
+      "dimension: 3",
+      "sizes: 4 3 2",
+      "spacings: 1 1 1",
+      "endian: big",
+      "encoding: raw"
+    ], createInt16Data(24, false))
+  });
+
+  assert.deepEqual(Array.prototype.slice.call(volume.data, 0, 6), [0, 1, 2, 3, 4, 5]);
+  assert.strictEqual(volume.data[23], 23);
+  assert.strictEqual(volume.intensity_max, 23);
+});
+
+QUnit.test("Detached headers read their data from raw_data_source.", function(assert) {
+  var volume = loadVolume("nrrd", {
+    nrrd_source: createNrrd([
+      "type: short",
+      "dimension: 3",
+      "sizes: 4 3 2",
+      "spacings: 1.5 1.5 3",
+      "encoding: raw",
+      "data file: volume.raw"
+    ]),
+    raw_data_source: createInt16Data(24, true)
+  });
+
+  assert.strictEqual(volume.data[7], 7);
+  assertWorld(assert, voxelToWorld(volume, 1, 1, 1), { x: 1.5, y: 1.5, z: 3 }, "voxel");
+});
+
+QUnit.test("Reject unsupported data types.", function(assert) {
+  assert.throws(function() {
+    loadVolume("nrrd", {
+      nrrd_source: createNrrd([
+        "type: block",
+        "dimension: 3",
+        "sizes: 2 2 2",
+        "encoding: raw"
+      ], new ArrayBuffer(8))
+    });
+  });
+});
+
+// A DICOM Part 10 file in explicit little-endian VR holding the given
+// [group, element, VR, value] data elements. Values are strings, numbers
+// for US elements, or ArrayBuffers for pixel data.
+function createDicom(elements, transfer_syntax) {
+  var meta = [[0x0002, 0x0010, "UI", transfer_syntax || "1.2.840.10008.1.2.1"]];
+  var all = meta.concat(elements);
+  var length = 132;
+  var buffer, view, bytes, offset;
+
+  all = all.map(function(element) {
+    var value = element[3];
+
+    // Values always have an even length.
+    if (typeof value === "string" && value.length % 2 === 1) {
+      value += element[2] === "UI" ? "\0" : " ";
+    }
+
+    return [element[0], element[1], element[2], value];
+  });
+
+  all.forEach(function(element) {
+    var value = element[3];
+
+    length += element[2] === "OW" ? 12 : 8;
+    length += typeof value === "number" ? 2 : value.length || value.byteLength;
+  });
+
+  buffer = new ArrayBuffer(length);
+  view = new DataView(buffer);
+  bytes = new Uint8Array(buffer);
+  offset = 128;
+
+  setString(view, offset, "DICM");
+  offset += 4;
+
+  all.forEach(function(element) {
+    var value = element[3];
+    var value_length = typeof value === "number" ? 2 : value.length || value.byteLength;
+
+    view.setUint16(offset, element[0], true);
+    view.setUint16(offset + 2, element[1], true);
+    setString(view, offset + 4, element[2]);
+
+    if (element[2] === "OW") {
+      view.setUint32(offset + 8, value_length, true);
+      offset += 12;
+    } else {
+      view.setUint16(offset + 6, value_length, true);
+      offset += 8;
+    }
+
+    if (typeof value === "number") {
+      view.setUint16(offset, value, true);
+    } else if (typeof value === "string") {
+      setString(view, offset, value);
+    } else {
+      bytes.set(new Uint8Array(value), offset);
+    }
+
+    offset += value_length;
+  });
+
+  return buffer;
+}
+
+// A 3x2 slice of 16-bit pixels whose values start at first_value.
+function createDicomSlice(position, first_value, elements) {
+  var pixels = new ArrayBuffer(12);
+  var view = new DataView(pixels);
+  var i;
+
+  for (i = 0; i < 6; i++) {
+    view.setInt16(i * 2, first_value + i, true);
+  }
+
+  return createDicom([
+    [0x0008, 0x0060, "CS", "MR"],
+    [0x0020, 0x000E, "UI", "1.2.3"],
+    [0x0020, 0x0032, "DS", position.join("\\")],
+    [0x0020, 0x0037, "DS", "1\\0\\0\\0\\1\\0"],
+    [0x0028, 0x0010, "US", 2],
+    [0x0028, 0x0011, "US", 3],
+    [0x0028, 0x0030, "DS", "2\\3"],
+    [0x0028, 0x0100, "US", 16],
+    [0x0028, 0x0103, "US", 1]
+  ].concat(elements || [], [
+    [0x7FE0, 0x0010, "OW", pixels]
+  ]));
+}
+
+QUnit.module("DICOM");
+
+QUnit.test("Slices are sorted and placed in RAS world coordinates.", function(assert) {
+  var volume = loadVolume("dicom", {
+    dicom_sources: [
+      createDicomSlice([10, 20, 34], 6),
+      createDicomSlice([10, 20, 30], 0)
+    ]
+  });
+
+  // Columns are 3mm apart along x, rows 2mm along y, slices
+  // 4mm along z, with x and y negated to go from LPS to RAS.
+  var ras = [
+    [-3, 0, 0, -10],
+    [0, -2, 0, -20],
+    [0, 0, 4, 30]
+  ];
+
+  assert.strictEqual(volume.type, "dicom");
+  assert.strictEqual(volume.header.xspace.space_length, 3);
+  assert.strictEqual(volume.header.yspace.space_length, 2);
+  assert.strictEqual(volume.header.zspace.space_length, 2);
+  assertWorld(assert, voxelToWorld(volume, 0, 0, 0), applyTransform(ras, 0, 0, 0), "origin");
+  assertWorld(assert, voxelToWorld(volume, 2, 1, 1), applyTransform(ras, 2, 1, 1), "corner");
+  assert.deepEqual(Array.prototype.slice.call(volume.data), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+});
+
+QUnit.test("Pixel values are rescaled.", function(assert) {
+  var volume = loadVolume("dicom", {
+    source: createDicomSlice([0, 0, 0], 0, [
+      [0x0028, 0x1052, "DS", "-10"],
+      [0x0028, 0x1053, "DS", "2"]
+    ])
+  });
+
+  assert.ok(volume.data instanceof Float32Array);
+  assert.deepEqual(Array.prototype.slice.call(volume.data), [-10, -8, -6, -4, -2, 0]);
+});
+
+QUnit.test("Choose a series with series_instance_uid.", function(assert) {
+  var other_series = createDicom([
+    [0x0020, 0x000E, "UI", "4.5.6"],
+    [0x0028, 0x0010, "US", 1],
+    [0x0028, 0x0011, "US", 1],
+    [0x0028, 0x0100, "US", 16],
+    [0x7FE0, 0x0010, "OW", new ArrayBuffer(2)]
+  ]);
+  var sources = [createDicomSlice([0, 0, 0], 0), other_series];
+  var volume;
+
+  assert.throws(function() {
+    loadVolume("dicom", { dicom_sources: sources });
+  });
+
+  sources = [createDicomSlice([0, 0, 0], 0), other_series];
+  volume = loadVolume("dicom", { dicom_sources: sources, series_instance_uid: "1.2.3" });
+
+  assert.strictEqual(volume.header.series_instance_uid, "1.2.3");
+  assert.strictEqual(volume.data.length, 6);
+});
+
+QUnit.test("Reject compressed transfer syntaxes.", function(assert) {
+  assert.throws(function() {
+    loadVolume("dicom", {
+      source: createDicom([[0x0008, 0x0060, "CS", "MR"]], "1.2.840.10008.1.2.4.50")
+    });
+  });
+});
+
+// A NIfTI-1 file of the given data type with 1mm voxels, followed by
+// the given voxel bytes. The header has the same byte order as the voxels.
+function createNifti1(sizes, datatype, bitpix, voxels, little_endian) {
+  var voxel_bytes = new Uint8Array(voxels);
+  var buffer = new ArrayBuffer(352 + voxel_bytes.length);
+  var view = new DataView(buffer);
+  var i;
+
+  view.setInt32(0, 348, little_endian);
+  view.setInt16(40, 3, little_endian);
+  for (i = 0; i < 7; i++) {
+    view.setInt16(42 + i * 2, i < 3 ? sizes[i] : 1, little_endian);
+  }
+  view.setInt16(70, datatype, little_endian);
+  view.setInt16(72, bitpix, little_endian);
+  for (i = 0; i < 4; i++) {
+    view.setFloat32(76 + i * 4, 1, little_endian);
+  }
+  view.setFloat32(108, 352, little_endian);
+  setString(view, 344, "n+1\0");
+
+  new Uint8Array(buffer).set(voxel_bytes, 352);
+
+  return buffer;
+}
+
+// 64-bit integers, as pairs of 32-bit halves.
+function createInt64Data(values, little_endian) {
+  var view = new DataView(new ArrayBuffer(values.length * 8));
+
+  values.forEach(function(value, i) {
+    var high = Math.floor(value / 4294967296);
+    var low = value - high * 4294967296;
+
+    view.setUint32(i * 8 + (little_endian ? 0 : 4), low, little_endian);
+    view.setInt32(i * 8 + (little_endian ? 4 : 0), high, little_endian);
+  });
+
+  return view.buffer;
+}
+
+function createFloatData(FloatArray, values, little_endian) {
+  var size = FloatArray.BYTES_PER_ELEMENT;
+  var view = new DataView(new ArrayBuffer(values.length * size));
+
+  values.forEach(function(value, i) {
+    if (size === 4) {
+      view.setFloat32(i * 4, value, little_endian);
+    } else {
+      view.setFloat64(i * 8, value, little_endian);
+    }
+  });
+
+  return view.buffer;
+}
+
+QUnit.module("NIfTI-1 data types");
+
+QUnit.test("RGB24 voxels are packed as opaque RGBA.", function(assert) {
+  var volume = loadVolume("nifti1", {
+    nii_source: createNifti1([2, 1, 1], 128, 24, [10, 20, 30, 40, 50, 60], true)
+  });
+
+  assert.strictEqual(volume.header.datatype, "rgb8");
+  assert.ok(volume.data instanceof Uint32Array);
+  assert.deepEqual(Array.prototype.slice.call(new Uint8Array(volume.data.buffer)), [10, 20, 30, 255, 40, 50, 60, 255]);
+});
+
+QUnit.test("RGBA32 voxels keep their alpha.", function(assert) {
+  var volume = loadVolume("nifti1", {
+    nii_source: createNifti1([2, 1, 1], 2304, 32, [1, 2, 3, 4, 5, 6, 7, 8], false)
+  });
+
+  assert.strictEqual(volume.header.datatype, "rgb8");
+  assert.deepEqual(Array.prototype.slice.call(new Uint8Array(volume.data.buffer)), [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+QUnit.test("Signed 64-bit integers are read in either byte order.", function(assert) {
+  var values = [-5, 1099511627779, -1099511627779];
+
+  [true, false].forEach(function(little_endian) {
+    var volume = loadVolume("nifti1", {
+      nii_source: createNifti1([3, 1, 1], 1024, 64, createInt64Data(values, little_endian), little_endian)
+    });
+
+    assert.strictEqual(volume.header.datatype, 1024);
+    assert.deepEqual(Array.prototype.slice.call(volume.data), values, little_endian ? "little-endian" : "big-endian");
+  });
+});
+
+QUnit.test("Unsigned 64-bit integers are read above 2^32.", function(assert) {
+  var values = [0, 8589934592, 4294967295];
+  var volume = loadVolume("nifti1", {
+    nii_source: createNifti1([3, 1, 1], 1280, 64, createInt64Data(values, false), false)
+  });
+
+  assert.deepEqual(Array.prototype.slice.call(volume.data), values);
+});
+
+QUnit.test("Complex voxels give their magnitude or phase.", function(assert) {
+  var complex64 = createFloatData(Float32Array, [3, 4, 0, -2], true);
+  var magnitude = loadVolume("nifti1", { nii_source: createNifti1([2, 1, 1], 32, 64, complex64, true) });
+  var phase = loadVolume("nifti1", {
+    nii_source: createNifti1([2, 1, 1], 32, 64, complex64, true),
+    complex_mode: "phase"
+  });
+  var complex128 = loadVolume("nifti1", {
+    nii_source: createNifti1([2, 1, 1], 1792, 128, createFloatData(Float64Array, [6, 8, 0, -1], false), false),
+    complex_mode: "phase"
+  });
+
+  assert.deepEqual(Array.prototype.slice.call(magnitude.data), [5, 2]);
+  assert.ok(Math.abs(phase.data[0] - Math.atan2(4, 3)) < 1e-6, "phase of 3 + 4i");
+  assert.ok(Math.abs(phase.data[1] + Math.PI / 2) < 1e-6, "phase of -2i");
+  assert.ok(Math.abs(complex128.data[0] - Math.atan2(8, 6)) < 1e-6, "big-endian phase of 6 + 8i");
+  assert.ok(Math.abs(complex128.data[1] + Math.PI / 2) < 1e-6, "big-endian phase of -i");
+});
+
+QUnit.test("Reject unsupported data types.", function(assert) {
+  assert.throws(function() {
+    loadVolume("nifti1", { nii_source: createNifti1([1, 1, 1], 1536, 128, new ArrayBuffer(16), true) });
+  });
+});
+
+// A big-endian MGH file of 16-bit integers with 1mm voxels, whose voxel
+// values are their indices, followed by the given tail.
+function createMgh(sizes, tail) {
+  var count = sizes[0] * sizes[1] * sizes[2];
+  var tail_bytes = tail ? new Uint8Array(tail) : new Uint8Array(0);
+  var buffer = new ArrayBuffer(284 + count * 2 + tail_bytes.length);
+  var view = new DataView(buffer);
+  var i;
+
+  view.setInt32(0, 1, false);
+  for (i = 0; i < 3; i++) {
+    view.setInt32(4 + i * 4, sizes[i], false);
+    view.setFloat32(30 + i * 4, 1, false);
+    view.setFloat32(42 + i * 16, 1, false);
+  }
+  view.setInt32(16, 1, false);
+  view.setInt32(20, 4, false);
+  view.setInt16(28, 1, false);
+
+  for (i = 0; i < count; i++) {
+    view.setInt16(284 + i * 2, i, false);
+  }
+
+  new Uint8Array(buffer).set(tail_bytes, 284 + count * 2);
+
+  return buffer;
+}
+
+// Scan parameters, a command line tag with a 64-bit length and a
+// transform file name tag with a 32-bit length.
+function createMghTail() {
+  var buffer = new ArrayBuffer(20 + 12 + 8 + 8 + 8);
+  var view = new DataView(buffer);
+
+  [2000, 90, 30, 800, 256].forEach(function(value, i) {
+    view.setFloat32(i * 4, value, false);
+  });
+
+  view.setInt32(20, 3, false);
+  view.setInt32(24, 0, false);
+  view.setInt32(28, 4, false);
+  setString(view, 32, "ls a");
+
+  view.setInt32(36, 30, false);
+  view.setInt32(40, 4, false);
+  setString(view, 44, "x.m\0");
+
+  return buffer;
+}
+
+QUnit.module("MGH");
+
+QUnit.test("Gzipped sources are inflated.", function(assert) {
+  var volume = loadVolume("mgh", {
+    source: window.pako.gzip(new Uint8Array(createMgh([4, 3, 2]))).buffer
+  });
+
+  assert.strictEqual(volume.header.xspace.space_length, 4);
+  assert.strictEqual(volume.header.zspace.space_length, 2);
+  assert.deepEqual(Array.prototype.slice.call(volume.data, 0, 4), [0, 1, 2, 3]);
+  assert.strictEqual(volume.data[23], 23);
+});
+
+QUnit.test("The scan parameters and tags after the voxels are read.", function(assert) {
+  var header = loadVolume("mgh", { source: createMgh([4, 3, 2], createMghTail()) }).header;
+
+  assert.strictEqual(header.tr, 2000);
+  assert.strictEqual(header.flip_angle, 90);
+  assert.strictEqual(header.te, 30);
+  assert.strictEqual(header.ti, 800);
+  assert.strictEqual(header.fov, 256);
+  assert.deepEqual(header.tags.map(function(tag) {
+    return [tag.tag, tag.value];
+  }), [[3, "ls a"], [30, "x.m"]]);
+});
+
+QUnit.test("header_only gives the header without the voxels.", function(assert) {
+  var source = createMgh([4, 3, 2], createMghTail());
+  var header = loadVolume("mgh", { source: source, header_only: true });
+  var gzipped_header = loadVolume("mgh", {
+    source: window.pako.gzip(new Uint8Array(source)).buffer,
+    header_only: true
+  });
+
+  assert.strictEqual(header.data, undefined);
+  assert.strictEqual(header.xspace.space_length, 4);
+  assert.strictEqual(header.tr, 2000);
+  assert.strictEqual(gzipped_header.data, undefined);
+  assert.strictEqual(gzipped_header.yspace.space_length, 3);
+  assert.strictEqual(gzipped_header.zspace.space_length, 2);
+});
+
+QUnit.asyncTest("viewer.probeVolume() resolves with the header only.", 3, function(assert) {
+  var viewer = createViewer();
+
+  viewer.probeVolume({ type: "mgh", source: createMgh([4, 3, 2]) }).then(function(header) {
+    assert.strictEqual(header.data, undefined);
+    assert.strictEqual(header.xspace.space_length, 4);
+    assert.strictEqual(viewer.volumes.length, 0);
+  }).then(QUnit.start, QUnit.start);
+});
+
+QUnit.asyncTest("viewer.loadVolume() rejects header_only.", 2, function(assert) {
+  var viewer = createViewer();
+
+  viewer.loadVolume({ type: "mgh", source: createMgh([4, 3, 2]), header_only: true }).catch(function(error) {
+    assert.ok(/probeVolume/.test(error.message), error.message);
+    assert.strictEqual(viewer.volumes.length, 0);
+  }).then(QUnit.start, QUnit.start);
+});
+
+// A rotation by 30 degrees around z, with voxel sizes of 2, 3 and 4,
+// so that the written transforms aren't only axis-aligned.
+var OBLIQUE_SFORM = [
+  [2 * Math.cos(Math.PI / 6), -3 * Math.sin(Math.PI / 6), 0, -10],
+  [2 * Math.sin(Math.PI / 6), 3 * Math.cos(Math.PI / 6), 0, -20],
+  [0, 0, -4, 30]
+];
+
+// Write a volume with the given writer, load the file again with the
+// given loader and check that every corner of the volume is still at
+// the same world coordinates, and that the voxel values are kept.
+function assertRoundTrip(assert, volume, writer, loader, source_key) {
+  var description = {};
+  var header = volume.header;
+  var written, x, y, z;
+
+  description[source_key] = VolumeViewer.volume_writers[writer](volume);
+  written = loadVolume(loader, description);
+
+  for (x = 0; x < header.xspace.space_length; x += header.xspace.space_length - 1) {
+    for (y = 0; y < header.yspace.space_length; y += header.yspace.space_length - 1) {
+      for (z = 0; z < header.zspace.space_length; z += header.zspace.space_length - 1) {
+        assertWorld(assert, voxelToWorld(written, x, y, z), voxelToWorld(volume, x, y, z), "voxel " + [x, y, z]);
+      }
+    }
+  }
+
+  assert.deepEqual(Array.prototype.slice.call(written.data), Array.prototype.slice.call(volume.data));
+}
+
+QUnit.module("NIfTI-1 and MGH writers");
+
+QUnit.test("NIfTI-1 files keep the world coordinates.", function(assert) {
+  var volume = loadVolume("nifti2", {
+    nii_source: createNifti2([4, 3, 2], [[2, 0, 0, -10], [0, 3, 0, -20], [0, 0, 4, -30]])
+  });
+
+  assertRoundTrip(assert, volume, "nifti1", "nifti1", "nii_source");
+});
+
+QUnit.test("NIfTI-1 files keep oblique and flipped transforms.", function(assert) {
+  var volume = loadVolume("nifti2", { nii_source: createNifti2([4, 3, 2], OBLIQUE_SFORM) });
+
+  assertRoundTrip(assert, volume, "nifti1", "nifti1", "nii_source");
+});
+
+QUnit.test("MGH files keep the world coordinates.", function(assert) {
+  var volume = loadVolume("nifti2", {
+    nii_source: createNifti2([4, 3, 2], [[2, 0, 0, -10], [0, 3, 0, -20], [0, 0, 4, -30]])
+  });
+
+  assertRoundTrip(assert, volume, "mgh", "mgh", "source");
+});
+
+QUnit.test("MGH files keep oblique and flipped transforms.", function(assert) {
+  var volume = loadVolume("nifti2", { nii_source: createNifti2([4, 3, 2], OBLIQUE_SFORM) });
+
+  assertRoundTrip(assert, volume, "mgh", "mgh", "source");
+});
+
+QUnit.test("niftiMat44ToQuatern inverts niftiQuaternToMat44.", function(assert) {
+  var utils = VolumeViewer.utils;
+
+  [OBLIQUE_SFORM, [[0, 0, 2, 5], [-3, 0, 0, 6], [0, 4, 0, 7]]].forEach(function(transform) {
+    var quatern = utils.niftiMat44ToQuatern(transform);
+    var m = utils.niftiQuaternToMat44(
+      quatern.qb, quatern.qc, quatern.qd,
+      quatern.qx, quatern.qy, quatern.qz,
+      quatern.dx, quatern.dy, quatern.dz,
+      quatern.qfac
+    );
+    var i, j, close = true;
+
+    for (i = 0; i < 3; i++) {
+      for (j = 0; j < 4; j++) {
+        close = close && Math.abs(m[i][j] - transform[i][j]) < 1e-6;
+      }
+    }
+
+    assert.ok(close, "expected " + JSON.stringify(transform) + ", got " + JSON.stringify(m.slice(0, 3)));
+  });
+});
+
+// A buffer starting with the given bytes, padded with zeros.
+function createMagic(bytes, length) {
+  var buffer = new ArrayBuffer(length);
+
+  new Uint8Array(buffer).set(bytes);
+
+  return buffer;
+}
+
+// The names of the sniffers that recognize the given data.
+function sniffVolume(buffer, filename) {
+  return Object.keys(VolumeViewer.volume_sniffers).filter(function(name) {
+    return VolumeViewer.volume_sniffers[name](new Uint8Array(buffer), filename);
+  });
+}
+
+QUnit.module("Format detection");
+
+QUnit.test("Each format is recognized by its own sniffer only.", function(assert) {
+  var identity = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]];
+
+  assert.deepEqual(sniffVolume(createNifti1([2, 2, 2], 2, 8, new ArrayBuffer(8), true)), ["nifti1"], "NIfTI-1");
+  assert.deepEqual(sniffVolume(createNifti1([2, 2, 2], 4, 16, new ArrayBuffer(16), false)), ["nifti1"], "big-endian NIfTI-1");
+  assert.deepEqual(sniffVolume(createNifti2([2, 2, 2], identity)), ["nifti2"], "NIfTI-2");
+  assert.deepEqual(sniffVolume(createMgh([2, 2, 2])), ["mgh"], "MGH");
+  assert.deepEqual(sniffVolume(createNrrd(["type: short", "dimension: 3", "sizes: 1 1 1"], new ArrayBuffer(2))), ["nrrd"], "NRRD");
+  assert.deepEqual(sniffVolume(createDicomSlice([0, 0, 0], 0)), ["dicom"], "DICOM");
+  assert.deepEqual(sniffVolume(createMagic([0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a], 64)), ["minc"], "MINC 2 (HDF5)");
+  assert.deepEqual(sniffVolume(createMagic([0x43, 0x44, 0x46, 1], 64)), ["minc"], "MINC 1 (netCDF)");
+  assert.deepEqual(sniffVolume(createMagic([0x43, 0x44, 0x46, 3], 64)), [], "unknown netCDF version");
+  assert.deepEqual(sniffVolume(createMagic([], 64), "volume.mgz"), ["mgh"], "MGH file name");
+});
+
+QUnit.asyncTest("Volumes without a type are given to the loader that recognizes them.", 4, function(assert) {
+  var viewer = createViewer();
+  var identity = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]];
+
+  Promise.all([
+    viewer.probeVolume({ source: createNifti1([4, 3, 2], 2, 8, new ArrayBuffer(24), true) }),
+    viewer.probeVolume({ source: createNifti2([4, 3, 2], identity) }),
+    viewer.probeVolume({ source: createMgh([4, 3, 2]) }),
+    viewer.probeVolume({
+      source: createNrrd(["type: short", "dimension: 3", "sizes: 4 3 2", "encoding: raw", "endian: little"], createInt16Data(24, true))
+    })
+  ]).then(function(headers) {
+    headers.forEach(function(header, i) {
+      assert.deepEqual([
+        header.xspace.space_length,
+        header.yspace.space_length,
+        header.zspace.space_length
+      ], [4, 3, 2], ["NIfTI-1", "NIfTI-2", "MGH", "NRRD"][i]);
+    });
+  }).then(QUnit.start, QUnit.start);
+});
+
+QUnit.asyncTest("Registered loaders and sniffers are used.", 3, function(assert) {
+  var viewer = createViewer();
+  var header = { xspace: {}, yspace: {}, zspace: {} };
+
+  assert.throws(function() {
+    VolumeViewer.registerVolumeLoader("test", {});
+  });
+
+  VolumeViewer.registerVolumeLoader("test", {
+    sniff: function(bytes) {
+      return String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === "TEST";
+    },
+    load: function(description, callback) {
+      callback({ header: header, source: description.source });
+    }
+  });
+
+  viewer.probeVolume({ source: createMagic([0x54, 0x45, 0x53, 0x54], 8) }).then(function(result) {
+    assert.strictEqual(result, header);
+
+    // A loader registered again without a sniffer isn't detected anymore.
+    VolumeViewer.registerVolumeLoader("test", {
+      load: VolumeViewer.volume_loaders.test
+    });
+    assert.deepEqual(sniffVolume(createMagic([0x54, 0x45, 0x53, 0x54], 8)), []);
+  }).then(unregister, unregister);
+
+  function unregister() {
+    delete VolumeViewer.volume_loaders.test;
+    delete VolumeViewer.volume_sniffers.test;
+    QUnit.start();
+  }
+});
+
+QUnit.asyncTest("Unknown data rejects with the registered loaders.", 2, function(assert) {
+  var viewer = createViewer();
+
+  viewer.loadVolume({ source: createMagic([], 1024), filename: "volume.bin" }).catch(function(error) {
+    var names = Object.keys(VolumeViewer.volume_sniffers);
+
+    assert.ok(/^Unknown volume format: volume\.bin/.test(error.message), error.message);
+    assert.ok(error.message.indexOf("Registered volume loaders: " + names.join(", ")) !== -1, error.message);
+  }).then(QUnit.start, QUnit.start);
+});
+
+// A MINC 2.0 file with a 5 x 6 x 7 int16 image, chunked by slice and
+// scaled by per-slice image-min and image-max values. There's no HDF5
+// writer here, so it was written with h5wasm, then gzipped and base64
+// encoded.
+var MINC2_CHUNKED =
+  "H4sIAAAAAAACA+1ZzVNbVRQ/5ySBpAUnbUGR8hFaVBYFGYeFCy3hs6k6yiiL6DhjI0khQAIC46Cr" +
+  "rhRaaGmrjn+CM9YWaGnRLpqly2qhtFXHLl0yalto6Tu+x7uP5L02H1TAcXJ/i5zc+8699+W83/3l" +
+  "nPtGfc2t+duKt4EGpxPs4IZEsMBErbltXD8kLAo7Iuw3ZPTj6rUi0b9DzG/1a3+7pUXzZguMdW47" +
+  "dOsEiWyEr6WhTbN+0Tb49COZ/SLhaEf1SzW1YOGl9wnXTcZfn01vdzky4+8fLvN9S2Q3fz2GXjrM" +
+  "fsFwJBQdDPdFB/V2OBLoDCXw+OV1rvvOm281aww2dNNjM+8LK48l1qcDbbl6u9+VmQ44d0kdkDrw" +
+  "qA5MuMx+w4P9gQ51438i7KfC/jsdoDUdqMo164CVxwY/a7eb/fyiPZwvdSBRB6xxSacDk26Zz0od" +
+  "iOuAUXV9bdlXtZY81rdJ/C16SuiKOzP+jnjM9y2R3fw1eOq3EMLIX1dttVqdJfZXRwLDFn5XrTOf" +
+  "Xcw3j7fyWCKZDrj0mKHRdpri6Dby2xJRH4h+h+qn+RAR6v9fupLYsK1A97Cb1tmZMO983Xx3nqjE" +
+  "EXIhTx3bG4p2DqmTu53GSF1YENF0P4YVaYo61if6c6BAnWdwKDAwpOmZp16s6IW67VDHRr2TZD4d" +
+  "lTGdV7Y1Xi3tSB0/g16zJan9DJ0tKss+js0py0oZN3EXj/M0L/AKV0Ar9MAEzMAtYKjEgxjF0ziL" +
+  "vyHRC/QGfURf0WVaUkq5kTt5jKf4Oj9gD7RAN5yAC3ATFNiLPozgKbyEvyLS8/Q69dOX9APdU0q4" +
+  "gQ/zMZ7keb7P5dAMYTgO5+EGPIQ9eAB78SRexF/UNPg5eo366Av6nu4qu9nLIT7K53iOl7kMmlSu" +
+  "j8M0LMAKVGAr9uAEzuAtZKykgxSl0zRLd5Rirucgj/JZvsZLXAqN0AljMAXX4QF4sAW78QRewJuo" +
+  "4F7yUYRO0SX6W3mW93MHj/B3/DPf4xJogMNwDCZhHu5DOTZjGI/jebyBD3EPHaBeOkkX6S+liF/l" +
+  "D/lzPsM/8V3erTI7BEfhHMzBMpRhE3bhOE7jAq5gBbVSD03QDP2pPMOvcIA/42/5Kt/hYqiHIIzC" +
+  "WbgGS1CKjdiJYzgltsHiFfHIYiIrFdYtbIGw7+qb1yvsEWFjwsJ7XqmsEhISEtkJm5oZaX8q1nwu" +
+  "nq85RL4W6ocnztcW61HkoW1J8tdk95E8f23fkvw1Z1Py17rYxsYXvBsfX/+WxNexKfHdv8Hxda7F" +
+  "N15/6Se6aEPT78ix1D3J+hOfByVUKGvPw2Y8Dz1+NrJfrYjfWo6YitI/F5d6xam9p+obCIYGDP9d" +
+  "OwEKE36nfl69Tz++3mecZsfrSneN7nfIVNfH66/h8tQ6I46f4MiLmdVp/TXZob/auZ3GUeu5XXuG" +
+  "498Xu7T98brwCCYt/pTG315o9rel8fdb/O1p/M8UmtvJ9guBhISEhISEhISEhESeeKOL6jetzv04" +
+  "0BsOfjAQiK6+xU1f79Jj8+vbMe0zxr97tXrcXPcWmcY7LHm7Tb2OKdZNft4AT+seVSnPG9RK8z+N" +
+  "99bFo+p/EY9/AMIUJG+QMAAA";
+
+function createMinc2() {
+  var binary = atob(MINC2_CHUNKED);
+  var bytes = new Uint8Array(binary.length);
+  var i;
+
+  for (i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return pako.inflate(bytes).buffer;
+}
+
+QUnit.module("MINC 2.0 lazy decoding");
+
+QUnit.test("Lazily decoded chunks match the eagerly decoded image.", function(assert) {
+  var eager = VolumeViewer.utils.hdf5Loader(createMinc2());
+  var lazy = VolumeViewer.utils.hdf5Loader(createMinc2(), { lazy: true, chunk_cache_size: 2 });
+  var expected = new Float32Array(eager.raw_data);
+  var slice_length = 6 * 7;
+  var mismatches;
+  var i, j, k;
+
+  function compare(offset) {
+    if (lazy.raw_data.get(offset) !== expected[offset]) {
+      mismatches.push(offset);
+    }
+  }
+
+  assert.strictEqual(typeof lazy.raw_data.get, "function", "lazy image accessor");
+  assert.strictEqual(lazy.raw_data.length, expected.length, "length");
+
+  mismatches = [];
+  for (i = 0; i < expected.length; i++) {
+    compare(i);
+  }
+  assert.deepEqual(mismatches, [], "voxels read in order");
+
+  // Visiting the 5 slices in turn for each voxel of a slice goes through
+  // more chunks than are cached, so they're evicted and decoded again.
+  mismatches = [];
+  for (j = 0; j < slice_length; j++) {
+    for (k = 0; k < 5; k++) {
+      compare(k * slice_length + j);
+    }
+  }
+  assert.deepEqual(mismatches, [], "voxels read across chunks");
+
+  mismatches = [];
+  for (i = expected.length - 1; i >= 0; i--) {
+    compare(i);
+  }
+  assert.deepEqual(mismatches, [], "voxels read in reverse");
+});